@@ -74,4 +74,18 @@ export class Anchor {
       this.tail && this.tail.clone()
     );
   }
+
+  /**
+   * Create a copy of the anchor with the control points swapped,
+   * which is used for reversing the direction of a path.
+   *
+   * @returns {Anchor} The reversed anchor.
+   */
+  reverse() {
+    return new Anchor(
+      this.body.clone(),
+      this.tail && this.tail.clone(),
+      this.head && this.head.clone()
+    );
+  }
 }
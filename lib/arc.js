@@ -0,0 +1,757 @@
+import { approx, snapToInteger } from "./utils.js";
+import { Point, Rectangle, Matrix } from "./geom.js";
+import {
+  CubicBezier,
+  tangentFromDerivatives, curvatureFromDerivatives, nearestPointBySampling,
+  crossingNumberByMonotonePieces, sweptAreaMoments, flattenBySubdivision, splitAtManyBySubEdges
+} from "./edges.js";
+import { integrate, solveMonotoneEq } from "./math.js";
+
+// compute the angle between two vectors
+function vectorAngle(u, v) {
+  return Math.atan2(u.outerProd(v), u.innerProd(v));
+}
+
+// enumerate parameters `t` such that `startAngle + sweepAngle * t` is equivalent to `angle`
+// modulo `period` and `0 <= t <= 1`
+function paramsForAngle(startAngle, sweepAngle, angle, period, epsilon = Number.EPSILON) {
+  if (sweepAngle === 0) {
+    return [];
+  }
+  const min = Math.min(startAngle, startAngle + sweepAngle);
+  const max = Math.max(startAngle, startAngle + sweepAngle);
+  const res = [];
+  const k0 = Math.floor((min - angle) / period);
+  const k1 = Math.ceil((max - angle) / period);
+  for (let k = k0; k <= k1; k++) {
+    const t = snapToInteger((angle + k * period - startAngle) / sweepAngle, epsilon);
+    if (0 <= t && t <= 1) {
+      res.push(t);
+    }
+  }
+  return res;
+}
+
+// compute a point on the ellipse at the parametric angle
+function pointAtAngle(arc, angle) {
+  // reduce the angle so that angles differing by full turns give exactly the same point
+  let a = angle % (2 * Math.PI);
+  if (a < 0) {
+    a += 2 * Math.PI;
+  }
+  const x = arc.radiusX * Math.cos(a);
+  const y = arc.radiusY * Math.sin(a);
+  const cos = Math.cos(arc.rotation);
+  const sin = Math.sin(arc.rotation);
+  return new Point(
+    arc.center.x + x * cos - y * sin,
+    arc.center.y + x * sin + y * cos
+  );
+}
+
+// compute the derivative of a point on the ellipse with respect to the parametric angle
+function derivativeAtAngle(arc, angle) {
+  const x = -arc.radiusX * Math.sin(angle);
+  const y = arc.radiusY * Math.cos(angle);
+  const cos = Math.cos(arc.rotation);
+  const sin = Math.sin(arc.rotation);
+  return new Point(x * cos - y * sin, x * sin + y * cos);
+}
+
+// compute the derivatives of an arc at `t`, from the first order
+function derivativesAt(arc, t) {
+  const d1 = arc.derivativeAt(t);
+  const sq = arc.sweepAngle ** 2;
+  return [
+    d1,
+    arc.center.sub(arc.pointAt(t)).scale(sq),
+    d1.scale(-sq)
+  ];
+}
+
+// enumerate parameters `t` at which the Y coordinate of the arc is equal to `y`
+function paramsForY(arc, y) {
+  // solve `a cos(angle) + b sin(angle) = y - center.y`
+  const a = arc.radiusX * Math.sin(arc.rotation);
+  const b = arc.radiusY * Math.cos(arc.rotation);
+  const r = Math.sqrt(a ** 2 + b ** 2);
+  if (r === 0) {
+    return [];
+  }
+  const c = (y - arc.center.y) / r;
+  if (Math.abs(c) > 1) {
+    return [];
+  }
+  const phase = Math.atan2(b, a);
+  const d = Math.acos(c);
+  return [
+    ...paramsForAngle(arc.startAngle, arc.sweepAngle, phase + d, 2 * Math.PI),
+    ...paramsForAngle(arc.startAngle, arc.sweepAngle, phase - d, 2 * Math.PI)
+  ];
+}
+
+// upper bound of the error of the cubic Bezier approximation of a unit circular arc
+// see http://spencermortensen.com/articles/bezier-circle/ and Goldapp (1991)
+function cubicApproximationError(angle) {
+  const a = Math.abs(angle) / 4;
+  return 4 / 27 * Math.sin(a) ** 6 / Math.cos(a) ** 2;
+}
+
+// transform an arc by an affine transformation matrix
+function transformArc(arc, matrix) {
+  const { a, b, c, d } = matrix;
+  const center = arc.center.transform(matrix);
+  // linear part applied to the ellipse axes
+  const cos = Math.cos(arc.rotation);
+  const sin = Math.sin(arc.rotation);
+  const m00 = arc.radiusX * (a * cos + c * sin);
+  const m10 = arc.radiusX * (b * cos + d * sin);
+  const m01 = arc.radiusY * (-a * sin + c * cos);
+  const m11 = arc.radiusY * (-b * sin + d * cos);
+  // singular value decomposition: M = R(rotation) diag(sx, sy) R(theta)
+  const ee = (m00 + m11) / 2;
+  const ff = (m00 - m11) / 2;
+  const gg = (m10 + m01) / 2;
+  const hh = (m10 - m01) / 2;
+  const q = Math.sqrt(ee ** 2 + hh ** 2);
+  const r = Math.sqrt(ff ** 2 + gg ** 2);
+  const sx = q + r;
+  const sy = q - r;
+  const a1 = Math.atan2(gg, ff);
+  const a2 = Math.atan2(hh, ee);
+  const theta = (a2 - a1) / 2;
+  const rotation = (a2 + a1) / 2;
+  if (sy >= 0) {
+    return new Arc(center, sx, sy, rotation, arc.startAngle + theta, arc.sweepAngle);
+  }
+  else {
+    // the transformation flips the orientation
+    return new Arc(center, sx, -sy, rotation, -(arc.startAngle + theta), -arc.sweepAngle);
+  }
+}
+
+/**
+ * An {@link Arc} object represents an elliptical arc on the 2D space.
+ *
+ * A point on the arc is given by `center + R(rotation) (radiusX cos(a), radiusY sin(a))`,
+ * where `R(rotation)` is the rotation matrix and `a` moves from `startAngle` to `startAngle + sweepAngle`.
+ *
+ * @implements {IEdge}
+ */
+export class Arc {
+  /**
+   * Create a new {@link Arc} object.
+   *
+   * @param {Point} center - The center of the ellipse.
+   * @param {number} radiusX - The radius of the ellipse along its X-axis.
+   * @param {number} radiusY - The radius of the ellipse along its Y-axis.
+   * @param {number} rotation - The angle of the X-axis of the ellipse, in radian.
+   * @param {number} startAngle - The parametric angle of the start point, in radian.
+   * @param {number} sweepAngle - The parametric angle swept from the start point to the end point, in radian.
+   */
+  constructor(center, radiusX, radiusY, rotation, startAngle, sweepAngle) {
+    /**
+     * The center of the ellipse.
+     *
+     * @type {Point}
+     */
+    this.center = center;
+    /**
+     * The radius of the ellipse along its X-axis.
+     *
+     * @type {number}
+     */
+    this.radiusX = radiusX;
+    /**
+     * The radius of the ellipse along its Y-axis.
+     *
+     * @type {number}
+     */
+    this.radiusY = radiusY;
+    /**
+     * The angle of the X-axis of the ellipse, in radian.
+     *
+     * @type {number}
+     */
+    this.rotation = rotation;
+    /**
+     * The parametric angle of the start point, in radian.
+     *
+     * @type {number}
+     */
+    this.startAngle = startAngle;
+    /**
+     * The parametric angle swept from the start point to the end point, in radian.
+     * The arc goes in the positive direction if it is positive, and in the negative direction if negative.
+     *
+     * @type {number}
+     */
+    this.sweepAngle = sweepAngle;
+  }
+
+  /**
+   * Create a new {@link Arc} object from the endpoint parameterization used in SVG path data.
+   * If the radii are too small to connect the endpoints, they are scaled up.
+   *
+   * @param {Point} start - The start point of the arc.
+   * @param {Point} end - The end point of the arc.
+   * @param {number} radiusX - The radius of the ellipse along its X-axis.
+   * @param {number} radiusY - The radius of the ellipse along its Y-axis.
+   * @param {number} rotation - The angle of the X-axis of the ellipse, in radian.
+   * @param {boolean} largeArc - Whether the arc sweeps more than 180 degrees or not.
+   * @param {boolean} sweep - Whether the arc goes in the positive direction or not.
+   * @returns {Arc|undefined} An {@link Arc} object.
+   * If the endpoints are identical or either radius is zero, returns `undefined`.
+   * @see https://www.w3.org/TR/SVG/implnote.html#ArcImplementationNotes
+   */
+  static fromEndpoints(start, end, radiusX, radiusY, rotation, largeArc, sweep) {
+    if (start.equals(end) || radiusX === 0 || radiusY === 0) {
+      return undefined;
+    }
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const hx = (start.x - end.x) / 2;
+    const hy = (start.y - end.y) / 2;
+    const x1 = cos * hx + sin * hy;
+    const y1 = -sin * hx + cos * hy;
+    let rx = Math.abs(radiusX);
+    let ry = Math.abs(radiusY);
+    const lambda = x1 ** 2 / rx ** 2 + y1 ** 2 / ry ** 2;
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+    const num = rx ** 2 * ry ** 2 - rx ** 2 * y1 ** 2 - ry ** 2 * x1 ** 2;
+    const den = rx ** 2 * y1 ** 2 + ry ** 2 * x1 ** 2;
+    const coef = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, num / den));
+    const cx1 = coef * rx * y1 / ry;
+    const cy1 = -coef * ry * x1 / rx;
+    const center = new Point(
+      cos * cx1 - sin * cy1 + (start.x + end.x) / 2,
+      sin * cx1 + cos * cy1 + (start.y + end.y) / 2
+    );
+    const u = new Point((x1 - cx1) / rx, (y1 - cy1) / ry);
+    const v = new Point((-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    const startAngle = vectorAngle(new Point(1, 0), u);
+    let sweepAngle = vectorAngle(u, v);
+    if (!sweep && sweepAngle > 0) {
+      sweepAngle -= 2 * Math.PI;
+    }
+    else if (sweep && sweepAngle < 0) {
+      sweepAngle += 2 * Math.PI;
+    }
+    return new Arc(center, rx, ry, rotation, startAngle, sweepAngle);
+  }
+
+  /**
+   * The start point of the arc.
+   *
+   * @type {Point}
+   */
+  get start() {
+    return this.pointAt(0);
+  }
+
+  /**
+   * The end point of the arc.
+   *
+   * @type {Point}
+   */
+  get end() {
+    return this.pointAt(1);
+  }
+
+  /**
+   * Get a degree of arc.
+   * An ellipse is a curve of degree 2, so an arc can intersect with another curve of degree `n`
+   * at most `2 n` points, like a quadratic Bezier curve.
+   *
+   * @returns {number} `2`.
+   */
+  degree() {
+    return 2;
+  }
+
+  /**
+   * Create a copy of the arc.
+   *
+   * @returns {Arc} A copy of the arc.
+   */
+  clone() {
+    return new Arc(
+      this.center.clone(),
+      this.radiusX, this.radiusY, this.rotation, this.startAngle, this.sweepAngle
+    );
+  }
+
+  /**
+   * Create a copy of the arc in the reverse direction,
+   * such that `reverse().pointAt(t)` equals `pointAt(1 - t)`.
+   *
+   * @returns {Arc} The reversed arc.
+   */
+  reverse() {
+    return new Arc(
+      this.center.clone(),
+      this.radiusX, this.radiusY, this.rotation, this.startAngle + this.sweepAngle, -this.sweepAngle
+    );
+  }
+
+  /**
+   * Translate the arc.
+   *
+   * @param {Point} dist -The distance the arc is translated by for both X and Y directions.
+   * @returns {Arc} The translated arc.
+   */
+  translate(dist) {
+    return new Arc(
+      this.center.add(dist),
+      this.radiusX, this.radiusY, this.rotation, this.startAngle, this.sweepAngle
+    );
+  }
+
+  /**
+   * Rotate the arc around the speified center.
+   *
+   * @param {number} angle - The angle the arc is rotated.
+   * @param {Point} [center=new Point(0, 0)] The center point of rotation.
+   * @returns {Arc} The rotated arc.
+   */
+  rotate(angle, center = new Point(0, 0)) {
+    return new Arc(
+      this.center.rotate(angle, center),
+      this.radiusX, this.radiusY, this.rotation + angle, this.startAngle, this.sweepAngle
+    );
+  }
+
+  /**
+   * Scale the arc.
+   * Since an ellipse is scaled to another ellipse, the result is also an elliptical arc.
+   *
+   * @param {number} ratioX - Scaling ratio for X direction.
+   * @param {number} ratioY - Scaling ratio for Y direction.
+   * @param {Point} [center=new Point(0, 0)] - The center point of scaling.
+   * @returns {Arc} Scaled arc.
+   */
+  scale(ratioX, ratioY, center = new Point(0, 0)) {
+    return transformArc(this, Matrix.scaling(ratioX, ratioY, center));
+  }
+
+  /**
+   * Transform the arc by an affine transformation matrix.
+   * Since an ellipse is transformed to another ellipse, the result is also an elliptical arc.
+   *
+   * @param {Matrix} matrix - A transformation matrix.
+   * @returns {Arc} The transformed arc.
+   */
+  transform(matrix) {
+    return transformArc(this, matrix);
+  }
+
+  /**
+   * Return a point at `t` on the arc.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point} A point on the arc.
+   */
+  pointAt(t) {
+    return pointAtAngle(this, this.startAngle + this.sweepAngle * t);
+  }
+
+  /**
+   * Split the arc at `t` and return two new arcs.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Array<Arc>} An array of split arcs.
+   */
+  splitAt(t) {
+    const sweepAngle = this.sweepAngle * t;
+    return [
+      new Arc(
+        this.center.clone(), this.radiusX, this.radiusY, this.rotation,
+        this.startAngle, sweepAngle
+      ),
+      new Arc(
+        this.center.clone(), this.radiusX, this.radiusY, this.rotation,
+        this.startAngle + sweepAngle, this.sweepAngle - sweepAngle
+      )
+    ];
+  }
+
+  /**
+   * Take the part of the arc between `t0` and `t1`.
+   * If `t0` is greater than `t1`, the part is reversed.
+   *
+   * @param {number} t0 - A number between 0 and 1.
+   * @param {number} t1 - A number between 0 and 1.
+   * @returns {Arc} The part of the arc.
+   */
+  subEdge(t0, t1) {
+    return new Arc(
+      this.center.clone(), this.radiusX, this.radiusY, this.rotation,
+      this.startAngle + this.sweepAngle * t0, this.sweepAngle * (t1 - t0)
+    );
+  }
+
+  /**
+   * Split the arc at multiple parameters in one pass.
+   * The parameters can be given in any order, since they are sorted before splitting.
+   *
+   * @param {Array<number>} ts - Numbers between 0 and 1.
+   * @returns {Array<Arc>} An array of `ts.length + 1` split arcs, from the start.
+   */
+  splitAtMany(ts) {
+    return splitAtManyBySubEdges(this, ts);
+  }
+
+  /**
+   * Get the extreme points.
+   *
+   * @returns {Array<{ t: number, point: Point }>} An array of the object,
+   * each contains information about an extreme point.
+   */
+  extremePoints() {
+    const ets = new Set([0, 1]);
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    const ax = Math.atan2(-this.radiusY * sin, this.radiusX * cos);
+    const ay = Math.atan2(this.radiusY * cos, this.radiusX * sin);
+    for (const a of [ax, ay]) {
+      for (const t of paramsForAngle(this.startAngle, this.sweepAngle, a, Math.PI)) {
+        if (0 < t && t < 1) {
+          ets.add(t);
+        }
+      }
+    }
+    return [...ets].map(t => ({ t, point: this.pointAt(t) }));
+  }
+
+  /**
+   * Get the bounding box of the arc.
+   *
+   * @returns {Rectangle} - A rectangle object representing the bounding box.
+   */
+  boundingBox() {
+    return Rectangle.fromPoints(this.extremePoints().map(ep => ep.point));
+  }
+
+  /**
+   * Returns the degree of deviation from the line between the start and the end,
+   * where the degree of deviation is defined as the ratio of the maximum deviation from the line to the line length.
+   * If there are no perpendicular line between some point on a curve and the line segment, the curve's degree of deviation is infinity.
+   *
+   * @returns {number} The degree of deviation.
+   */
+  deviationFromLine() {
+    const start = this.start;
+    const se = this.end.sub(start);
+    const seSq = se.innerProd(se);
+    if (seSq === 0) {
+      return Infinity;
+    }
+    // a point on the arc is written as `center + u cos(a) + v sin(a)`
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    const u = new Point(this.radiusX * cos, this.radiusX * sin);
+    const v = new Point(-this.radiusY * sin, this.radiusY * cos);
+    const sc = this.center.sub(start);
+    // projection onto the line must be between the start and the end
+    const lu = se.innerProd(u);
+    const lv = se.innerProd(v);
+    const lc = se.innerProd(sc);
+    const lts = paramsForAngle(this.startAngle, this.sweepAngle, Math.atan2(lv, lu), Math.PI);
+    for (const t of lts) {
+      if (t === 0 || t === 1) {
+        continue;
+      }
+      const a = this.startAngle + this.sweepAngle * t;
+      const l = lu * Math.cos(a) + lv * Math.sin(a) + lc;
+      if (l < 0 || seSq < l) {
+        return Infinity;
+      }
+    }
+    // maximum deviation
+    const du = se.outerProd(u);
+    const dv = se.outerProd(v);
+    const dc = se.outerProd(sc);
+    const dts = paramsForAngle(this.startAngle, this.sweepAngle, Math.atan2(dv, du), Math.PI);
+    let max = 0;
+    for (const t of dts) {
+      const a = this.startAngle + this.sweepAngle * t;
+      const d = du * Math.cos(a) + dv * Math.sin(a) + dc;
+      max = Math.max(max, Math.abs(d));
+    }
+    return max / seSq;
+  }
+
+  /**
+   * Get parameters that give the specified point.
+   *
+   * @param {Point} point - A point.
+   * @param {number} [epsilon=Number.EPSILON] - Epsilon.
+   * @returns {Array<number>} An array of parameters.
+   * If there are infinitely many parameters, returns `undefined`.
+   */
+  paramsForPoint(point, epsilon = Number.EPSILON) {
+    if (this.sweepAngle === 0 || this.radiusX === 0 && this.radiusY === 0) {
+      const p = this.start;
+      if (approx(p.x, point.x, epsilon) && approx(p.y, point.y, epsilon)) {
+        return undefined;
+      }
+      return [];
+    }
+    // local coordinates on the ellipse
+    const q = point.sub(this.center).rotate(-this.rotation);
+    const angles = [];
+    if (this.radiusX === 0) {
+      if (approx(q.x, 0, epsilon) && Math.abs(q.y) <= this.radiusY) {
+        const a = Math.asin(q.y / this.radiusY);
+        angles.push(a, Math.PI - a);
+      }
+    }
+    else if (this.radiusY === 0) {
+      if (approx(q.y, 0, epsilon) && Math.abs(q.x) <= this.radiusX) {
+        const a = Math.acos(q.x / this.radiusX);
+        angles.push(a, -a);
+      }
+    }
+    else {
+      const c = q.x / this.radiusX;
+      const s = q.y / this.radiusY;
+      if (approx(Math.sqrt(c ** 2 + s ** 2), 1, epsilon)) {
+        angles.push(Math.atan2(s, c));
+      }
+    }
+    const res = [];
+    for (const a of angles) {
+      for (const t of paramsForAngle(this.startAngle, this.sweepAngle, a, 2 * Math.PI, epsilon)) {
+        if (!res.some(r => approx(r, t, epsilon))) {
+          res.push(t);
+        }
+      }
+    }
+    return res;
+  }
+
+  /**
+   * Approximate the arc by a sequence of cubic Bezier curves.
+   * The arc is divided into pieces of equal parametric angle, each of which sweeps at most 90 degrees,
+   * and more pieces are used until the error of the approximation gets within the tolerance.
+   *
+   * @param {number} [tolerance=1e-3] - The maximum distance allowed between the arc and the curves.
+   * Must be positive.
+   * @returns {Array<CubicBezier>} An array of cubic Bezier curves, connected from the start to the end.
+   * @throws {RangeError} If the tolerance is not positive.
+   */
+  toCubicBeziers(tolerance = 1e-3) {
+    if (!(tolerance > 0)) {
+      throw new RangeError("invalid tolerance: " + String(tolerance));
+    }
+    const radius = Math.max(this.radiusX, this.radiusY);
+    let n = Math.max(1, Math.ceil(Math.abs(this.sweepAngle) / (Math.PI / 2)));
+    while (radius * cubicApproximationError(this.sweepAngle / n) > tolerance) {
+      n += 1;
+    }
+    const delta = this.sweepAngle / n;
+    const k = 4 / 3 * Math.tan(delta / 4);
+    const curves = [];
+    let p = this.start;
+    let d = derivativeAtAngle(this, this.startAngle);
+    for (let i = 1; i <= n; i++) {
+      const angle = this.startAngle + delta * i;
+      const q = i === n ? this.end : pointAtAngle(this, angle);
+      const e = derivativeAtAngle(this, angle);
+      curves.push(new CubicBezier(p, p.add(d.scale(k)), q.sub(e.scale(k)), q));
+      p = q;
+      d = e;
+    }
+    return curves;
+  }
+
+  /**
+   * Compute the derivative of the arc with respect to `t`.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point} The derivative vector.
+   */
+  derivativeAt(t) {
+    const angle = this.startAngle + this.sweepAngle * t;
+    return derivativeAtAngle(this, angle).scale(this.sweepAngle);
+  }
+
+  /**
+   * Compute the unit tangent vector at `t`, which points to the direction the arc goes.
+   * If the derivative vanishes at `t`, the direction is determined by the higher order derivatives.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point|undefined} The unit tangent vector.
+   * If the arc degenerates to a point, returns `undefined`.
+   */
+  tangentAt(t) {
+    return tangentFromDerivatives(derivativesAt(this, t), t);
+  }
+
+  /**
+   * Compute the unit normal vector at `t`, which is the tangent vector rotated by 90 degrees
+   * i.e. `(-y, x)` for the tangent vector `(x, y)`.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point|undefined} The unit normal vector.
+   * If the arc degenerates to a point, returns `undefined`.
+   */
+  normalAt(t) {
+    const tangent = this.tangentAt(t);
+    return tangent === undefined ? undefined : new Point(-tangent.y, tangent.x);
+  }
+
+  /**
+   * Compute the signed curvature at `t`.
+   * It is positive if the arc turns in the direction of the normal vector, and negative if opposite.
+   * If the derivative vanishes at `t`, the limit is returned, which can be infinite.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {number|undefined} The signed curvature.
+   * If the arc degenerates to a point, returns `undefined`.
+   */
+  curvatureAt(t) {
+    return curvatureFromDerivatives(derivativesAt(this, t));
+  }
+
+  /**
+   * Compute the length of the arc.
+   *
+   * @param {number} [tolerance=1e-9] - The maximum absolute error allowed.
+   * @returns {number} The length of the arc.
+   */
+  length(tolerance = 1e-9) {
+    return this.lengthAt(1, tolerance);
+  }
+
+  /**
+   * Compute the length of the part of the arc from the start to `t`.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @param {number} [tolerance=1e-9] - The maximum absolute error allowed.
+   * @returns {number} The length of the part of the arc.
+   */
+  lengthAt(t, tolerance = 1e-9) {
+    if (this.radiusX === this.radiusY) {
+      return this.radiusX * Math.abs(this.sweepAngle) * t;
+    }
+    return integrate(u => this.derivativeAt(u).length(), 0, t, tolerance);
+  }
+
+  /**
+   * Get the parameter `t` such that the length of the part of the arc from the start to `t` is `s`.
+   * This is the inverse of {@link Arc#lengthAt}.
+   *
+   * @param {number} s - A length.
+   * @param {number} [tolerance=1e-9] - The maximum absolute error of the length allowed.
+   * @returns {number} A number between 0 and 1.
+   * If `s` is negative or longer than the arc, returns 0 or 1 respectively.
+   */
+  paramAtLength(s, tolerance = 1e-9) {
+    return solveMonotoneEq(
+      t => this.lengthAt(t, tolerance),
+      t => this.derivativeAt(t).length(),
+      s, 0, 1, tolerance
+    );
+  }
+
+  /**
+   * Find the nearest point on the arc to the specified point.
+   *
+   * @param {Point} point - A point.
+   * @returns {{ t: number, point: Point, distance: number }} An object that contains
+   * the parameter and the position of the nearest point, and the distance to it.
+   */
+  nearestPoint(point) {
+    const samples = Math.max(4, Math.ceil(Math.abs(this.sweepAngle) / (Math.PI / 8)));
+    return nearestPointBySampling(this, point, derivativesAt, samples);
+  }
+
+  /**
+   * Compute the distance from a point to the arc.
+   * The bounding box is checked first, so that far points are quickly rejected.
+   *
+   * @param {Point} point - A point.
+   * @param {number} [maxDistance=Infinity] - The distance of interest.
+   * If the distance is larger than this, the result is only guaranteed to be larger than this,
+   * without computing the nearest point.
+   * @returns {number} The distance.
+   */
+  distanceTo(point, maxDistance = Infinity) {
+    const d = this.boundingBox().distanceTo(point);
+    if (d > maxDistance) {
+      return d;
+    }
+    return this.nearestPoint(point).distance;
+  }
+
+  /**
+   * Compute the signed number of crossings of the arc and the ray from the specified point
+   * to the positive X direction, which is the contribution to the winding number around the point.
+   * Upward crossings are counted as positive, and downward ones as negative.
+   *
+   * @param {Point} point - The start point of the ray.
+   * @returns {number} The signed number of crossings.
+   */
+  crossingNumber(point) {
+    return crossingNumberByMonotonePieces(this, point, y => paramsForY(this, y));
+  }
+
+  /**
+   * Compute the signed area of the region swept by the segment from the origin to a point
+   * moving along the arc, which is positive where it goes around the origin
+   * from the positive X direction to the positive Y direction.
+   * The sum over the edges of a closed contour is the signed area enclosed by the contour.
+   *
+   * @returns {number} The signed area.
+   */
+  signedArea() {
+    return sweptAreaMoments(this).area;
+  }
+
+  /**
+   * Compute the centroid of the region swept by the segment from the origin to a point
+   * moving along the arc (see {@link Arc#signedArea}).
+   *
+   * @returns {Point|undefined} The centroid.
+   * If the signed area of the region is zero, returns `undefined`.
+   */
+  centroid() {
+    const { area, moment } = sweptAreaMoments(this);
+    return area === 0 ? undefined : moment.scale(1 / area);
+  }
+
+  /**
+   * Approximate the arc by a polyline.
+   * The arc is subdivided until each piece gets close enough to the line between its ends.
+   *
+   * @param {number} tolerance - The maximum distance allowed between the arc and the polyline.
+   * Must be positive.
+   * @returns {Array<Point>} The vertices of the polyline, including the start and the end.
+   * @throws {RangeError} If the tolerance is not positive.
+   */
+  flatten(tolerance) {
+    return flattenBySubdivision(this, tolerance);
+  }
+
+  /**
+   * Approximate the offset of the arc, i.e. the arc displaced by a signed distance
+   * along the normal vector (see {@link Arc#normalAt}).
+   * The arc is approximated by cubic Bezier curves first, and then they are offset.
+   *
+   * @param {number} distance - The signed distance of offset.
+   * @param {number} [tolerance=1e-3] - The maximum error allowed. Must be positive.
+   * @returns {Array<CubicBezier>} An array of curves approximating the offset.
+   * @throws {RangeError} If the tolerance is not positive.
+   */
+  offset(distance, tolerance = 1e-3) {
+    const res = [];
+    for (const curve of this.toCubicBeziers(tolerance / 2)) {
+      res.push(...curve.offset(distance, tolerance / 2));
+    }
+    return res;
+  }
+}
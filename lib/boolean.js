@@ -0,0 +1,234 @@
+import { intersections, selfIntersections } from "./edges.js";
+import { containsPoint } from "./contour.js";
+
+// search depth for intersections
+const DEPTH = 54;
+// epsilon for parameters of split points
+const T_EPSILON = 1e-9;
+// distance of sample points from fragments, relative to the size of shapes
+const OFFSET_RATIO = 1e-7;
+// maximum gap between fragments to be joined, relative to the size of shapes
+const JOIN_RATIO = 1e-6;
+
+// collect parameters at which edges intersect with each other
+function collectSplitParams(edges) {
+  const params = edges.map(() => []);
+  for (let i = 0; i < edges.length; i++) {
+    const e1 = edges[i];
+    // self-intersections that cannot be resolved are left unsplit
+    for (const si of selfIntersections(e1, DEPTH) || []) {
+      if (si.t1Range !== undefined) {
+        // split at the ends of the overlapping part
+        params[i].push(...si.t1Range, ...si.t2Range);
+      }
+      else {
+        params[i].push(si.t1, si.t2);
+      }
+    }
+    for (let j = i + 1; j < edges.length; j++) {
+      const e2 = edges[j];
+      const is = intersections(e1, e2, DEPTH);
+      if (is === undefined) {
+        // split at the ends of the part overlapping too short to be resolved
+        for (const p of [e1.start, e1.end]) {
+          params[j].push(...(e2.paramsForPoint(p, T_EPSILON) || []));
+        }
+        for (const p of [e2.start, e2.end]) {
+          params[i].push(...(e1.paramsForPoint(p, T_EPSILON) || []));
+        }
+        continue;
+      }
+      for (const r of is) {
+        if (r.t1Range !== undefined) {
+          params[i].push(...r.t1Range);
+          params[j].push(...r.t2Range);
+        }
+        else {
+          params[i].push(r.t1);
+          params[j].push(r.t2);
+        }
+      }
+    }
+  }
+  return params;
+}
+
+// split an edge at the parameters, ignoring ones too close to the ends or the others
+function splitEdge(edge, params) {
+  const ts = [];
+  for (const t of params.filter(t => T_EPSILON < t && t < 1 - T_EPSILON).sort((x, y) => x - y)) {
+    if (t - (ts.length > 0 ? ts[ts.length - 1] : 0) >= T_EPSILON) {
+      ts.push(t);
+    }
+  }
+  return edge.splitAtMany(ts);
+}
+
+// checks if two fragments are approximately identical
+function isSameFragment(f1, f2, tolerance) {
+  return f1.start.sub(f2.start).length() <= tolerance
+    && f1.end.sub(f2.end).length() <= tolerance
+    && f1.pointAt(0.5).sub(f2.pointAt(0.5)).length() <= tolerance;
+}
+
+// join fragments into contours, or returns undefined if some of them cannot be closed
+function joinFragments(fragments, tolerance) {
+  const used = new Array(fragments.length).fill(false);
+  const contours = [];
+  for (let i = 0; i < fragments.length; i++) {
+    if (used[i]) {
+      continue;
+    }
+    used[i] = true;
+    const contour = [fragments[i]];
+    const start = fragments[i].start;
+    let end = fragments[i].end;
+    while (end.sub(start).length() > tolerance) {
+      let next = -1;
+      let min = tolerance;
+      for (let j = 0; j < fragments.length; j++) {
+        if (used[j]) {
+          continue;
+        }
+        const d = fragments[j].start.sub(end).length();
+        if (d <= min) {
+          next = j;
+          min = d;
+        }
+      }
+      if (next < 0) {
+        break;
+      }
+      used[next] = true;
+      contour.push(fragments[next]);
+      end = fragments[next].end;
+    }
+    if (end.sub(start).length() > tolerance) {
+      return undefined;
+    }
+    contours.push(contour);
+  }
+  return contours;
+}
+
+// compute a boolean operation of two shapes
+function combine(shape1, shape2, fillRule, operation) {
+  const owned = [];
+  for (const contour of shape1) {
+    for (const edge of contour) {
+      owned.push({ edge, owner: 1 });
+    }
+  }
+  for (const contour of shape2) {
+    for (const edge of contour) {
+      owned.push({ edge, owner: 2 });
+    }
+  }
+  if (owned.length === 0) {
+    return [];
+  }
+  const bb = owned.map(o => o.edge.boundingBox()).reduce((bb1, bb2) => bb1.union(bb2));
+  const size = Math.max(bb.width, bb.height);
+  if (size === 0) {
+    return [];
+  }
+  const offset = size * OFFSET_RATIO;
+  const edges1 = owned.filter(o => o.owner === 1).map(o => o.edge);
+  const edges2 = owned.filter(o => o.owner === 2).map(o => o.edge);
+  function isInsideResult(point) {
+    return operation(
+      containsPoint(edges1, point, fillRule),
+      containsPoint(edges2, point, fillRule)
+    );
+  }
+  // split edges at intersections
+  const params = collectSplitParams(owned.map(o => o.edge));
+  const fragments = [];
+  for (let i = 0; i < owned.length; i++) {
+    for (const edge of splitEdge(owned[i].edge, params[i])) {
+      fragments.push(edge);
+    }
+  }
+  // keep fragments that separate the inside and the outside of the result,
+  // directed so that the inside is on the side of the normal vector
+  const kept = [];
+  for (const fragment of fragments) {
+    const normal = fragment.normalAt(0.5);
+    if (normal === undefined) {
+      continue;
+    }
+    const middle = fragment.pointAt(0.5);
+    const inLeft = isInsideResult(middle.add(normal.scale(offset)));
+    const inRight = isInsideResult(middle.sub(normal.scale(offset)));
+    if (inLeft === inRight) {
+      continue;
+    }
+    const directed = inLeft ? fragment : fragment.reverse();
+    // fragments shared by both shapes are kept only once
+    if (kept.some(k => isSameFragment(k, directed, size * JOIN_RATIO))) {
+      continue;
+    }
+    kept.push(directed);
+  }
+  return joinFragments(kept, size * JOIN_RATIO);
+}
+
+/**
+ * Compute the union of two shapes.
+ *
+ * A shape is represented by an array of closed contours, each of which is an array of connected edges.
+ * The resulting contours are directed so that the filled region is on the side of the normal vectors
+ * (see {@link Line#normalAt}), thus they can be filled by either of the fill rules.
+ *
+ * @param {Array<Array<IEdge>>} shape1 - A shape.
+ * @param {Array<Array<IEdge>>} shape2 - Another shape.
+ * @param {string} [fillRule="nonzero"] - The fill rule of the shapes, `"nonzero"` or `"evenodd"`.
+ * @returns {Array<Array<IEdge>>|undefined} The union of the shapes.
+ * If the boundary of the result cannot be joined into closed contours, e.g. a contour of the shapes
+ * is not closed, it returns `undefined`.
+ */
+export function union(shape1, shape2, fillRule = "nonzero") {
+  return combine(shape1, shape2, fillRule, (in1, in2) => in1 || in2);
+}
+
+/**
+ * Compute the intersection of two shapes.
+ * See {@link union} for the representation of shapes.
+ *
+ * @param {Array<Array<IEdge>>} shape1 - A shape.
+ * @param {Array<Array<IEdge>>} shape2 - Another shape.
+ * @param {string} [fillRule="nonzero"] - The fill rule of the shapes, `"nonzero"` or `"evenodd"`.
+ * @returns {Array<Array<IEdge>>|undefined} The intersection of the shapes,
+ * or `undefined` in the same case as {@link union}.
+ */
+export function intersect(shape1, shape2, fillRule = "nonzero") {
+  return combine(shape1, shape2, fillRule, (in1, in2) => in1 && in2);
+}
+
+/**
+ * Compute the difference of two shapes, i.e. the region of `shape1` not covered by `shape2`.
+ * See {@link union} for the representation of shapes.
+ *
+ * @param {Array<Array<IEdge>>} shape1 - A shape.
+ * @param {Array<Array<IEdge>>} shape2 - Another shape to be subtracted.
+ * @param {string} [fillRule="nonzero"] - The fill rule of the shapes, `"nonzero"` or `"evenodd"`.
+ * @returns {Array<Array<IEdge>>|undefined} The difference of the shapes,
+ * or `undefined` in the same case as {@link union}.
+ */
+export function difference(shape1, shape2, fillRule = "nonzero") {
+  return combine(shape1, shape2, fillRule, (in1, in2) => in1 && !in2);
+}
+
+/**
+ * Compute the exclusive or of two shapes, i.e. the region covered by exactly one of them.
+ * See {@link union} for the representation of shapes.
+ *
+ * @param {Array<Array<IEdge>>} shape1 - A shape.
+ * @param {Array<Array<IEdge>>} shape2 - Another shape.
+ * @param {string} [fillRule="nonzero"] - The fill rule of the shapes, `"nonzero"` or `"evenodd"`.
+ * @returns {Array<Array<IEdge>>|undefined} The exclusive or of the shapes,
+ * or `undefined` in the same case as {@link union}.
+ */
+export function xor(shape1, shape2, fillRule = "nonzero") {
+  return combine(shape1, shape2, fillRule, (in1, in2) => in1 !== in2);
+}
@@ -0,0 +1,109 @@
+import { Point } from "./geom.js";
+import { sweptAreaMoments } from "./edges.js";
+
+/**
+ * Reverses the direction of a contour.
+ *
+ * @private
+ * @param {Array<IEdge>} edges - The edges of a contour.
+ * @returns {Array<IEdge>} The edges of the reversed contour.
+ */
+export function reverseContour(edges) {
+  return edges.map(edge => edge.reverse()).reverse();
+}
+
+/**
+ * Compute the winding number of closed contours around a point,
+ * i.e. the number of times the contours wind around the point counterclockwise.
+ *
+ * The winding number is counted by casting a ray from the point to the positive X direction
+ * (see {@link Line#crossingNumber}), thus the result for a point on the contours is either of
+ * the winding numbers of the regions around it.
+ * Since winding numbers are additive, the edges of multiple contours can be passed together.
+ *
+ * @param {Array<IEdge>} edges - The edges of closed contours.
+ * @param {Point} point - A point.
+ * @returns {number} The winding number.
+ */
+export function windingNumber(edges, point) {
+  let wn = 0;
+  for (const edge of edges) {
+    wn += edge.crossingNumber(point);
+  }
+  return wn;
+}
+
+// checks if a winding number means the inside under the fill rule
+function isInsideByFillRule(wn, fillRule) {
+  switch (fillRule) {
+  case "nonzero":
+    return wn !== 0;
+  case "evenodd":
+    return wn % 2 !== 0;
+  default:
+    throw new Error("unknown fill rule: " + String(fillRule));
+  }
+}
+
+/**
+ * Checks if closed contours contain a point, i.e. the point is in the region filled by the fill rule.
+ * See {@link windingNumber} for the detail.
+ *
+ * @param {Array<IEdge>} edges - The edges of closed contours.
+ * @param {Point} point - A point.
+ * @param {string} [fillRule="nonzero"] - A fill rule, `"nonzero"` or `"evenodd"`.
+ * @returns {boolean} `true` if the contours contain the point.
+ * @throws {Error} If the fill rule is unknown.
+ */
+export function containsPoint(edges, point, fillRule = "nonzero") {
+  return isInsideByFillRule(windingNumber(edges, point), fillRule);
+}
+
+/**
+ * Compute the signed area enclosed by closed contours,
+ * which is positive if the contours go around the region
+ * from the positive X direction to the positive Y direction,
+ * i.e. counterclockwise if the Y axis points upward.
+ * Regions where the contours wind more than once are counted multiple times.
+ *
+ * @param {Array<IEdge>} edges - The edges of closed contours.
+ * @returns {number} The signed area.
+ */
+export function signedArea(edges) {
+  let area = 0;
+  for (const edge of edges) {
+    area += edge.signedArea();
+  }
+  return area;
+}
+
+/**
+ * Compute the centroid of the region enclosed by closed contours,
+ * where the region is weighted by the winding number.
+ *
+ * @param {Array<IEdge>} edges - The edges of closed contours.
+ * @returns {Point|undefined} The centroid.
+ * If the signed area is zero, returns `undefined`.
+ */
+export function centroid(edges) {
+  let area = 0;
+  let moment = new Point(0, 0);
+  for (const edge of edges) {
+    const ms = sweptAreaMoments(edge);
+    area += ms.area;
+    moment = moment.add(ms.moment);
+  }
+  return area === 0 ? undefined : moment.scale(1 / area);
+}
+
+/**
+ * Determine the orientation of closed contours by the sign of the signed area
+ * (see {@link signedArea}).
+ *
+ * @param {Array<IEdge>} edges - The edges of closed contours.
+ * @returns {number} `1` if counterclockwise, `-1` if clockwise, and `0` if the signed area is zero,
+ * where the Y axis is assumed to point upward.
+ */
+export function orientation(edges) {
+  return Math.sign(signedArea(edges));
+}
@@ -0,0 +1,71 @@
+/**
+ * Apply a dash pattern to connected edges, in the same way as a renderer strokes them.
+ *
+ * The edges are cut at the positions measured by the arc length,
+ * and the phase of the pattern is carried continuously across the boundaries of the edges,
+ * thus a dash may consist of parts of multiple edges.
+ * The dash array and the dash offset are the same as those of SVG,
+ * i.e. `stroke-dasharray` and `stroke-dashoffset`:
+ * if the dash array has an odd number of values, it is repeated to yield an even number of values,
+ * and if all the values are zero, the edges are treated as solid.
+ * Dashes of zero length are omitted.
+ *
+ * @param {Array<IEdge>} edges - An array of connected edges.
+ * @param {Array<number>} dashArray - The lengths of alternating dashes and gaps.
+ * @param {number} [dashOffset=0] - The distance into the pattern at which the first dash starts.
+ * @param {number} [tolerance=1e-9] - The maximum absolute error of the lengths allowed.
+ * @returns {Array<Array<IEdge>>} The dashes, each of which is an array of connected edges.
+ * @throws {Error} If the dash array contains negative or non-finite values.
+ */
+export function dash(edges, dashArray, dashOffset = 0, tolerance = 1e-9) {
+  if (dashArray.some(x => !(x >= 0 && x < Infinity))) {
+    throw new Error("invalid dash array: " + String(dashArray));
+  }
+  const pattern = dashArray.length % 2 === 0 ? dashArray : dashArray.concat(dashArray);
+  const period = pattern.reduce((sum, x) => sum + x, 0);
+  if (period === 0) {
+    return edges.length > 0 ? [edges.map(edge => edge.clone())] : [];
+  }
+  // find the position in the pattern
+  let phase = dashOffset % period;
+  if (phase < 0) {
+    phase += period;
+  }
+  let index = 0;
+  while (phase >= pattern[index]) {
+    phase -= pattern[index];
+    index = (index + 1) % pattern.length;
+  }
+  // the remaining length of the current dash or gap
+  let rest = pattern[index] - phase;
+  const dashes = [];
+  let current = [];
+  for (const edge of edges) {
+    const length = edge.length(tolerance);
+    let s = 0;
+    let t = 0;
+    while (length - s > rest) {
+      s += rest;
+      const u = edge.paramAtLength(s, tolerance);
+      if (index % 2 === 0) {
+        current.push(edge.subEdge(t, u));
+        dashes.push(current);
+        current = [];
+      }
+      t = u;
+      index = (index + 1) % pattern.length;
+      rest = pattern[index];
+    }
+    rest -= length - s;
+    if (index % 2 === 0 && t < 1) {
+      current.push(edge.subEdge(t, 1));
+    }
+  }
+  if (current.length > 0) {
+    dashes.push(current);
+  }
+  // remove degenerate parts, which arise from dashes of zero length or rounding errors
+  return dashes
+    .map(d => d.filter(edge => !edge.boundingBox().isPoint()))
+    .filter(d => d.length > 0);
+}
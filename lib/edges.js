@@ -1,6 +1,379 @@
 import { approx, snapToInteger } from "./utils.js";
 import { Point, Rectangle } from "./geom.js";
-import { solveLinearEq, solveQuadraticEq, solveCubicEq } from "./math.js";
+import {
+  solveLinearEq, solveQuadraticEq, solveCubicEq, solveQuarticEq, integrate, solveMonotoneEq
+} from "./math.js";
+
+// checks if a vector is zero
+function isZeroVector(v) {
+  return v.x === 0 && v.y === 0;
+}
+
+// compute the derivatives of a quadratic Bezier curve at `t`, from the first order
+function quadraticDerivativesAt(curve, t) {
+  return [
+    curve.derivativeAt(t),
+    curve.start.sub(curve.control.scale(2)).add(curve.end).scale(2)
+  ];
+}
+
+// compute the derivatives of a cubic Bezier curve at `t`, from the first order
+function cubicDerivativesAt(curve, t) {
+  const a = curve.start.sub(curve.control1.scale(2)).add(curve.control2);
+  const b = curve.control1.sub(curve.control2.scale(2)).add(curve.end);
+  return [
+    curve.derivativeAt(t),
+    a.scale(6 * (1 - t)).add(b.scale(6 * t)),
+    b.sub(a).scale(6)
+  ];
+}
+
+// evaluate the blossom (polar form) of a quadratic Bezier curve
+function quadraticBlossom(curve, u, v) {
+  return curve.start.scale((1 - u) * (1 - v))
+    .add(curve.control.scale((1 - u) * v + u * (1 - v)))
+    .add(curve.end.scale(u * v));
+}
+
+// evaluate the blossom (polar form) of a cubic Bezier curve
+function cubicBlossom(curve, u, v, w) {
+  const b1 = (1 - u) * (1 - v) * w + (1 - u) * v * (1 - w) + u * (1 - v) * (1 - w);
+  const b2 = (1 - u) * v * w + u * (1 - v) * w + u * v * (1 - w);
+  return curve.start.scale((1 - u) * (1 - v) * (1 - w))
+    .add(curve.control1.scale(b1))
+    .add(curve.control2.scale(b2))
+    .add(curve.end.scale(u * v * w));
+}
+
+/**
+ * Splits an edge at multiple parameters, by taking the parts between them by `subEdge`.
+ *
+ * @private
+ * @param {IEdge} edge - An edge object.
+ * @param {Array<number>} ts - Numbers between 0 and 1.
+ * @returns {Array<IEdge>} An array of split edges.
+ */
+export function splitAtManyBySubEdges(edge, ts) {
+  const res = [];
+  let t0 = 0;
+  for (const t of ts.slice().sort((x, y) => x - y)) {
+    res.push(edge.subEdge(t0, t));
+    t0 = t;
+  }
+  res.push(edge.subEdge(t0, 1));
+  return res;
+}
+
+/**
+ * Computes the unit tangent vector from the derivatives at `t`.
+ * If the first derivative vanishes, the direction is determined by the first non-vanishing one.
+ *
+ * @private
+ * @param {Array<Point>} derivatives - The derivatives at `t`, from the first order.
+ * @param {number} t - A number between 0 and 1.
+ * @returns {Point|undefined} The unit tangent vector.
+ * If all the derivatives vanish, returns `undefined`.
+ */
+export function tangentFromDerivatives(derivatives, t) {
+  for (let k = 0; k < derivatives.length; k++) {
+    const d = derivatives[k];
+    if (!isZeroVector(d)) {
+      // the first derivative near `t` is approximately `d h^k / k!`,
+      // so the direction is reversed when approaching the end if `k` is odd
+      const sign = t >= 1 && k % 2 === 1 ? -1 : 1;
+      return d.scale(sign / d.length());
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Computes the signed curvature from the derivatives at `t`.
+ * If the first derivative vanishes, the limit of the curvature is returned,
+ * which diverges unless the curve is locally straight.
+ *
+ * @private
+ * @param {Array<Point>} derivatives - The derivatives at `t`, from the first order.
+ * @returns {number|undefined} The signed curvature.
+ * If all the derivatives vanish, returns `undefined`.
+ */
+export function curvatureFromDerivatives(derivatives) {
+  const d1 = derivatives[0];
+  if (!isZeroVector(d1)) {
+    const d2 = derivatives[1];
+    return d1.outerProd(d2) / d1.length() ** 3;
+  }
+  for (let k = 1; k < derivatives.length; k++) {
+    const d = derivatives[k];
+    if (!isZeroVector(d)) {
+      const c = k + 1 < derivatives.length ? d.outerProd(derivatives[k + 1]) : 0;
+      return c > 0 ? Infinity : c < 0 ? -Infinity : 0;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Finds the nearest point on a curve to the specified point.
+ * The squared distance is sampled at evenly spaced parameters,
+ * then each local minimum is refined by Newton's method.
+ *
+ * @private
+ * @param {IEdge} edge - An edge object.
+ * @param {Point} point - A point.
+ * @param {function(IEdge, number): Array<Point>} derivativesAt - A function that computes
+ * the derivatives of the edge at `t`, at least to the second order.
+ * @param {number} samples - The number of intervals to be sampled.
+ * @returns {{ t: number, point: Point, distance: number }} Information about the nearest point.
+ */
+export function nearestPointBySampling(edge, point, derivativesAt, samples) {
+  const ds = [];
+  for (let i = 0; i <= samples; i++) {
+    const r = edge.pointAt(i / samples).sub(point);
+    ds.push(r.innerProd(r));
+  }
+  let bestT = 0;
+  let bestD = ds[0];
+  for (let i = 0; i <= samples; i++) {
+    if (i > 0 && ds[i - 1] < ds[i] || i < samples && ds[i + 1] < ds[i]) {
+      continue;
+    }
+    // find a zero of `(B(t) - point) . B'(t)` around the local minimum
+    const lo = Math.max(0, (i - 1) / samples);
+    const hi = Math.min(1, (i + 1) / samples);
+    let t = i / samples;
+    for (let k = 0; k < 16; k++) {
+      const [d1, d2] = derivativesAt(edge, t);
+      const r = edge.pointAt(t).sub(point);
+      const g = r.innerProd(d1);
+      const dg = d1.innerProd(d1) + r.innerProd(d2);
+      if (dg <= 0) {
+        break;
+      }
+      const next = Math.min(Math.max(t - g / dg, lo), hi);
+      const step = Math.abs(next - t);
+      t = next;
+      if (step <= Number.EPSILON) {
+        break;
+      }
+    }
+    if (ds[i] < bestD) {
+      bestT = i / samples;
+      bestD = ds[i];
+    }
+    const r = edge.pointAt(t).sub(point);
+    const d = r.innerProd(r);
+    if (d < bestD) {
+      bestT = t;
+      bestD = d;
+    }
+  }
+  return { t: bestT, point: edge.pointAt(bestT), distance: Math.sqrt(bestD) };
+}
+
+/**
+ * Computes the signed number of crossings of a curve and the ray from the specified point
+ * to the positive X direction.
+ * The curve is divided into monotone pieces at the extreme points,
+ * and each piece is regarded as half-open, so that the ray passing through the end of a piece,
+ * e.g. a vertex of a contour or an extreme point, is counted exactly once.
+ *
+ * @private
+ * @param {IEdge} edge - An edge object.
+ * @param {Point} point - The start point of the ray.
+ * @param {function(number): Array<number>|undefined} paramsForY - A function that computes
+ * the parameters at which the Y coordinate of the edge is equal to the given value.
+ * @returns {number} The signed number of crossings.
+ */
+export function crossingNumberByMonotonePieces(edge, point, paramsForY) {
+  const eps = edge.extremePoints().sort((ep1, ep2) => ep1.t - ep2.t);
+  let n = 0;
+  for (let i = 0; i < eps.length - 1; i++) {
+    const a = eps[i];
+    const b = eps[i + 1];
+    // a point on the ray is regarded as above it
+    const below = a.point.y < point.y;
+    if (below === b.point.y < point.y) {
+      continue;
+    }
+    if (a.point.x < point.x && b.point.x < point.x) {
+      continue;
+    }
+    // the piece is monotone, so there is exactly one crossing
+    let t = (paramsForY(point.y) || []).find(s => a.t <= s && s <= b.t);
+    if (t === undefined) {
+      // fall back to bisection if the solution is lost by rounding errors
+      let lo = a.t;
+      let hi = b.t;
+      for (let k = 0; k < 64 && lo < hi; k++) {
+        const mid = (lo + hi) / 2;
+        if (edge.pointAt(mid).y < point.y === below) {
+          lo = mid;
+        }
+        else {
+          hi = mid;
+        }
+      }
+      t = (lo + hi) / 2;
+    }
+    if (edge.pointAt(t).x > point.x) {
+      n += below ? 1 : -1;
+    }
+  }
+  return n;
+}
+
+/**
+ * Computes the signed area and the first moments of the region swept by the segment
+ * from the origin to a point moving along an edge, which are integrated along the edge by Green's theorem.
+ * For Bezier curves, the integrands are polynomials of degree at most 8,
+ * thus they are integrated exactly by the Gauss-Legendre quadrature.
+ *
+ * @private
+ * @param {IEdge} edge - An edge object.
+ * @returns {{ area: number, moment: Point }} The signed area and the first moments of the region.
+ */
+export function sweptAreaMoments(edge) {
+  // the region consists of infinitesimal triangles between the origin and the edge,
+  // each of which has the area `(p x p') dt / 2` and the centroid `2 p / 3`
+  const cross = t => edge.pointAt(t).outerProd(edge.derivativeAt(t));
+  const area = integrate(t => cross(t) / 2, 0, 1);
+  const mx = integrate(t => edge.pointAt(t).x * cross(t) / 3, 0, 1);
+  const my = integrate(t => edge.pointAt(t).y * cross(t) / 3, 0, 1);
+  return { area, moment: new Point(mx, my) };
+}
+
+// maximum depth of subdivision in flattening
+const FLATTEN_MAX_DEPTH = 16;
+
+/**
+ * Approximates a curve by a polyline, by subdividing the curve until the maximum deviation
+ * from the line between the start and the end (see {@link CubicBezier#deviationFromLine})
+ * gets within the tolerance.
+ *
+ * @private
+ * @param {IEdge} edge - An edge object.
+ * @param {number} tolerance - The maximum distance allowed between the curve and the polyline.
+ * Must be positive.
+ * @returns {Array<Point>} The vertices of the polyline, including the start and the end.
+ * @throws {RangeError} If the tolerance is not positive.
+ */
+export function flattenBySubdivision(edge, tolerance) {
+  if (!(tolerance > 0)) {
+    throw new RangeError("invalid tolerance: " + String(tolerance));
+  }
+  const points = [edge.start.clone()];
+  function subdivide(e, depth) {
+    const dl = e.deviationFromLine();
+    const length = e.end.sub(e.start).length();
+    // `dl * length` is NaN if the curve degenerates to a point
+    if (depth >= FLATTEN_MAX_DEPTH || e.boundingBox().isPoint() || dl * length <= tolerance) {
+      points.push(e.end.clone());
+      return;
+    }
+    const [e1, e2] = e.splitAt(0.5);
+    subdivide(e1, depth + 1);
+    subdivide(e2, depth + 1);
+  }
+  subdivide(edge, 0);
+  return points;
+}
+
+// maximum depth of subdivision in offsetting
+const OFFSET_MAX_DEPTH = 10;
+// number of sample points for estimating the error of offset curves
+const OFFSET_SAMPLES = 8;
+
+// estimate the maximum distance between the true offset of a curve and its approximation
+function offsetError(curve, approx, distance) {
+  let max = 0;
+  for (let i = 1; i < OFFSET_SAMPLES; i++) {
+    const t = i / OFFSET_SAMPLES;
+    const normal = curve.normalAt(t);
+    if (normal === undefined) {
+      continue;
+    }
+    const p = curve.pointAt(t).add(normal.scale(distance));
+    max = Math.max(max, approx.distanceTo(p));
+  }
+  return max;
+}
+
+/**
+ * Approximates the offset of a curve, i.e. the curve displaced by a distance along the normal vector.
+ * The curve is first split at the extreme points, which include the cusps,
+ * and then each piece is subdivided until the approximation gets within the tolerance.
+ *
+ * @private
+ * @param {IEdge} edge - An edge object.
+ * @param {number} distance - The signed distance of offset.
+ * @param {number} tolerance - The maximum error allowed. Must be positive.
+ * @param {function(IEdge, number): IEdge} approximate - A function that approximates the offset
+ * of a piece of the curve by a single curve.
+ * @returns {Array<IEdge>} The curves approximating the offset.
+ * @throws {RangeError} If the tolerance is not positive.
+ */
+export function offsetBySubdivision(edge, distance, tolerance, approximate) {
+  if (!(tolerance > 0)) {
+    throw new RangeError("invalid tolerance: " + String(tolerance));
+  }
+  const res = [];
+  function offsetPiece(piece, depth) {
+    if (piece.boundingBox().isPoint()) {
+      return;
+    }
+    const approx = approximate(piece, distance);
+    if (depth >= OFFSET_MAX_DEPTH || offsetError(piece, approx, distance) <= tolerance) {
+      res.push(approx);
+      return;
+    }
+    const [p1, p2] = piece.splitAt(0.5);
+    offsetPiece(p1, depth + 1);
+    offsetPiece(p2, depth + 1);
+  }
+  const ts = edge.extremePoints()
+    .map(ep => ep.t)
+    .filter(t => 0 < t && t < 1)
+    .sort((t1, t2) => t1 - t2);
+  for (const piece of edge.splitAtMany(ts)) {
+    offsetPiece(piece, 0);
+  }
+  return res;
+}
+
+// approximate the offset of a quadratic Bezier curve by a quadratic Bezier curve,
+// whose control point is at the intersection of the tangent lines at the ends
+function approximateQuadraticOffset(curve, distance) {
+  const start = curve.start.add(curve.normalAt(0).scale(distance));
+  const end = curve.end.add(curve.normalAt(1).scale(distance));
+  const t0 = curve.tangentAt(0);
+  const t1 = curve.tangentAt(1);
+  const c = t0.outerProd(t1);
+  // tangent lines are parallel if the curve is straight
+  const control = c === 0
+    ? start.add(end).scale(0.5)
+    : start.add(t0.scale(end.sub(start).outerProd(t1) / c));
+  return new QuadraticBezier(start, control, end);
+}
+
+// approximate the offset of a cubic Bezier curve by a cubic Bezier curve,
+// whose control points are scaled so that the derivatives at the ends are equal to the offset's,
+// i.e. `B'(t) (1 - distance * curvature(t))`
+function approximateCubicOffset(curve, distance) {
+  const start = curve.start.add(curve.normalAt(0).scale(distance));
+  const end = curve.end.add(curve.normalAt(1).scale(distance));
+  const k0 = curve.curvatureAt(0);
+  const k1 = curve.curvatureAt(1);
+  // the curvature diverges only where the derivative vanishes
+  const r0 = Number.isFinite(k0) ? 1 - distance * k0 : 1;
+  const r1 = Number.isFinite(k1) ? 1 - distance * k1 : 1;
+  return new CubicBezier(
+    start,
+    start.add(curve.control1.sub(curve.start).scale(r0)),
+    end.add(curve.control2.sub(curve.end).scale(r1)),
+    end
+  );
+}
 
 /**
  * A {@link Line} object represents a line segment on the 2D space.
@@ -47,6 +420,16 @@ export class Line {
     return new Line(this.start.clone(), this.end.clone());
   }
 
+  /**
+   * Create a copy of the line segment in the reverse direction,
+   * such that `reverse().pointAt(t)` equals `pointAt(1 - t)`.
+   *
+   * @returns {Line} The reversed line segment.
+   */
+  reverse() {
+    return new Line(this.end.clone(), this.start.clone());
+  }
+
   /**
    * Translate the line segment.
    *
@@ -83,6 +466,16 @@ export class Line {
     );
   }
 
+  /**
+   * Transform the line segment by an affine transformation matrix.
+   *
+   * @param {Matrix} matrix - A transformation matrix.
+   * @returns {Line} The transformed line segment.
+   */
+  transform(matrix) {
+    return new Line(this.start.transform(matrix), this.end.transform(matrix));
+  }
+
   /**
    * Return a point at `t` on the line segment.
    *
@@ -107,6 +500,29 @@ export class Line {
     ];
   }
 
+  /**
+   * Take the part of the line segment between `t0` and `t1`.
+   * If `t0` is greater than `t1`, the part is reversed.
+   *
+   * @param {number} t0 - A number between 0 and 1.
+   * @param {number} t1 - A number between 0 and 1.
+   * @returns {Line} The part of the line segment.
+   */
+  subEdge(t0, t1) {
+    return new Line(this.pointAt(t0), this.pointAt(t1));
+  }
+
+  /**
+   * Split the line segment at multiple parameters in one pass.
+   * The parameters can be given in any order, since they are sorted before splitting.
+   *
+   * @param {Array<number>} ts - Numbers between 0 and 1.
+   * @returns {Array<Line>} An array of `ts.length + 1` split line segments, from the start.
+   */
+  splitAtMany(ts) {
+    return splitAtManyBySubEdges(this, ts);
+  }
+
   /**
    * Get the extreme points.
    *
@@ -126,14 +542,7 @@ export class Line {
    * @returns {Rectangle} A rectangle object representing the bounding box.
    */
   boundingBox() {
-    const eps = this.extremePoints();
-    const xs = eps.map(ep => ep.point.x);
-    const ys = eps.map(ep => ep.point.y);
-    const left   = Math.min(...xs);
-    const right  = Math.max(...xs);
-    const top    = Math.min(...ys);
-    const bottom = Math.max(...ys);
-    return new Rectangle(left, top, right - left, bottom - top);
+    return Rectangle.fromPoints(this.extremePoints().map(ep => ep.point));
   }
 
   /**
@@ -187,6 +596,215 @@ export class Line {
       return res;
     }
   }
+
+  /**
+   * Compute the derivative of the line segment with respect to `t`.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point} The derivative vector.
+   */
+  derivativeAt(t) {
+    return this.end.sub(this.start);
+  }
+
+  /**
+   * Compute the unit tangent vector at `t`, which points to the direction the line segment goes.
+   * If the derivative vanishes at `t`, the direction is determined by the higher order derivatives.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point|undefined} The unit tangent vector.
+   * If the line segment degenerates to a point, returns `undefined`.
+   */
+  tangentAt(t) {
+    return tangentFromDerivatives([this.derivativeAt(t), new Point(0, 0)], t);
+  }
+
+  /**
+   * Compute the unit normal vector at `t`, which is the tangent vector rotated by 90 degrees
+   * i.e. `(-y, x)` for the tangent vector `(x, y)`.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point|undefined} The unit normal vector.
+   * If the line segment degenerates to a point, returns `undefined`.
+   */
+  normalAt(t) {
+    const tangent = this.tangentAt(t);
+    return tangent === undefined ? undefined : new Point(-tangent.y, tangent.x);
+  }
+
+  /**
+   * Compute the signed curvature at `t`.
+   * It is positive if the line segment turns in the direction of the normal vector, and negative if opposite.
+   * If the derivative vanishes at `t`, the limit is returned, which can be infinite.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {number|undefined} The signed curvature.
+   * If the line segment degenerates to a point, returns `undefined`.
+   */
+  curvatureAt(t) {
+    return curvatureFromDerivatives([this.derivativeAt(t), new Point(0, 0)]);
+  }
+
+  /**
+   * Compute the length of the line segment.
+   *
+   * @returns {number} The length of the line segment.
+   */
+  length() {
+    return this.end.sub(this.start).length();
+  }
+
+  /**
+   * Compute the length of the part of the line segment from the start to `t`.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {number} The length of the part of the line segment.
+   */
+  lengthAt(t) {
+    return this.length() * t;
+  }
+
+  /**
+   * Get the parameter `t` such that the length of the part of the line segment from the start to `t` is `s`.
+   * This is the inverse of {@link Line#lengthAt}.
+   *
+   * @param {number} s - A length.
+   * @returns {number} A number between 0 and 1.
+   * If `s` is negative or longer than the line segment, returns 0 or 1 respectively.
+   */
+  paramAtLength(s) {
+    const length = this.length();
+    if (s <= 0 || length === 0) {
+      return 0;
+    }
+    else if (s >= length) {
+      return 1;
+    }
+    else {
+      return s / length;
+    }
+  }
+
+  /**
+   * Find the nearest point on the line segment to the specified point.
+   *
+   * @param {Point} point - A point.
+   * @returns {{ t: number, point: Point, distance: number }} An object that contains
+   * the parameter and the position of the nearest point, and the distance to it.
+   */
+  nearestPoint(point) {
+    const se = this.end.sub(this.start);
+    const seSq = se.innerProd(se);
+    const t = seSq === 0 ? 0
+      : Math.min(Math.max(point.sub(this.start).innerProd(se) / seSq, 0), 1);
+    const p = this.pointAt(t);
+    return { t, point: p, distance: p.sub(point).length() };
+  }
+
+  /**
+   * Compute the distance from a point to the line segment.
+   * The bounding box is checked first, so that far points are quickly rejected.
+   *
+   * @param {Point} point - A point.
+   * @param {number} [maxDistance=Infinity] - The distance of interest.
+   * If the distance is larger than this, the result is only guaranteed to be larger than this,
+   * without computing the nearest point.
+   * @returns {number} The distance.
+   */
+  distanceTo(point, maxDistance = Infinity) {
+    const d = this.boundingBox().distanceTo(point);
+    if (d > maxDistance) {
+      return d;
+    }
+    return this.nearestPoint(point).distance;
+  }
+
+  /**
+   * Compute the signed number of crossings of the line segment and the ray from the specified point
+   * to the positive X direction, which is the contribution to the winding number around the point.
+   * Upward crossings are counted as positive, and downward ones as negative.
+   *
+   * @param {Point} point - The start point of the ray.
+   * @returns {number} The signed number of crossings.
+   */
+  crossingNumber(point) {
+    return crossingNumberByMonotonePieces(this, point, y => solveLinearEq(
+      this.start.y - y,
+      this.end.y - this.start.y
+    ));
+  }
+
+  /**
+   * Compute the signed area of the region swept by the segment from the origin to a point
+   * moving along the line segment, which is positive where it goes around the origin
+   * from the positive X direction to the positive Y direction.
+   * The sum over the edges of a closed contour is the signed area enclosed by the contour.
+   *
+   * @returns {number} The signed area.
+   */
+  signedArea() {
+    return this.start.outerProd(this.end) / 2;
+  }
+
+  /**
+   * Compute the centroid of the region swept by the segment from the origin to a point
+   * moving along the line segment (see {@link Line#signedArea}).
+   *
+   * @returns {Point|undefined} The centroid.
+   * If the signed area of the region is zero, returns `undefined`.
+   */
+  centroid() {
+    // the region is a triangle
+    const area = this.signedArea();
+    return area === 0 ? undefined : this.start.add(this.end).scale(1 / 3);
+  }
+
+  /**
+   * Approximate the line segment by a polyline, which is trivially the line segment itself.
+   *
+   * @param {number} tolerance - The maximum distance allowed, which is ignored.
+   * @returns {Array<Point>} The start and the end of the line segment.
+   */
+  flatten(tolerance) {
+    return [this.start.clone(), this.end.clone()];
+  }
+
+  /**
+   * Compute the offset of the line segment, i.e. the line segment displaced by a signed distance
+   * along the normal vector (see {@link Line#normalAt}).
+   *
+   * @param {number} distance - The signed distance of offset.
+   * @param {number} [tolerance=1e-3] - The maximum error allowed, which is ignored.
+   * @returns {Array<Line>} An array containing the offset line segment.
+   * If the line segment degenerates to a point, returns an empty array.
+   */
+  offset(distance, tolerance = 1e-3) {
+    const normal = this.normalAt(0);
+    if (normal === undefined) {
+      return [];
+    }
+    return [this.translate(normal.scale(distance))];
+  }
+
+  /**
+   * Convert the line segment to the equivalent quadratic Bezier curve by degree elevation.
+   *
+   * @returns {QuadraticBezier} A quadratic Bezier curve with the same parametrization.
+   */
+  toQuadraticBezier() {
+    return new QuadraticBezier(this.start.clone(), this.pointAt(0.5), this.end.clone());
+  }
+
+  /**
+   * Convert the line segment to the equivalent cubic Bezier curve by degree elevation.
+   *
+   * @returns {CubicBezier} A cubic Bezier curve with the same parametrization.
+   */
+  toCubicBezier() {
+    return new CubicBezier(
+      this.start.clone(), this.pointAt(1 / 3), this.pointAt(2 / 3), this.end.clone()
+    );
+  }
 }
 
 
@@ -242,6 +860,16 @@ export class QuadraticBezier {
     return new QuadraticBezier(this.start.clone(), this.control.clone(), this.end.clone());
   }
 
+  /**
+   * Create a copy of the curve in the reverse direction,
+   * such that `reverse().pointAt(t)` equals `pointAt(1 - t)`.
+   *
+   * @returns {QuadraticBezier} The reversed curve.
+   */
+  reverse() {
+    return new QuadraticBezier(this.end.clone(), this.control.clone(), this.start.clone());
+  }
+
   /**
    * Translate the curve.
    *
@@ -283,6 +911,20 @@ export class QuadraticBezier {
     );
   }
 
+  /**
+   * Transform the curve by an affine transformation matrix.
+   *
+   * @param {Matrix} matrix - A transformation matrix.
+   * @returns {QuadraticBezier} The transformed curve.
+   */
+  transform(matrix) {
+    return new QuadraticBezier(
+      this.start.transform(matrix),
+      this.control.transform(matrix),
+      this.end.transform(matrix)
+    );
+  }
+
   /**
    * Return a point at `t` on the curve.
    *
@@ -311,6 +953,33 @@ export class QuadraticBezier {
     ];
   }
 
+  /**
+   * Take the part of the curve between `t0` and `t1`.
+   * If `t0` is greater than `t1`, the part is reversed.
+   *
+   * @param {number} t0 - A number between 0 and 1.
+   * @param {number} t1 - A number between 0 and 1.
+   * @returns {QuadraticBezier} The part of the curve.
+   */
+  subEdge(t0, t1) {
+    return new QuadraticBezier(
+      this.pointAt(t0),
+      quadraticBlossom(this, t0, t1),
+      this.pointAt(t1)
+    );
+  }
+
+  /**
+   * Split the curve at multiple parameters in one pass.
+   * The parameters can be given in any order, since they are sorted before splitting.
+   *
+   * @param {Array<number>} ts - Numbers between 0 and 1.
+   * @returns {Array<QuadraticBezier>} An array of `ts.length + 1` split curves, from the start.
+   */
+  splitAtMany(ts) {
+    return splitAtManyBySubEdges(this, ts);
+  }
+
   /**
    * Get the extreme points.
    *
@@ -336,14 +1005,7 @@ export class QuadraticBezier {
    * @returns {Rectangle} - A rectangle object representing the bounding box.
    */
   boundingBox() {
-    const eps = this.extremePoints();
-    const xs = eps.map(ep => ep.point.x);
-    const ys = eps.map(ep => ep.point.y);
-    const left   = Math.min(...xs);
-    const right  = Math.max(...xs);
-    const top    = Math.min(...ys);
-    const bottom = Math.max(...ys);
-    return new Rectangle(left, top, right - left, bottom - top);
+    return Rectangle.fromPoints(this.extremePoints().map(ep => ep.point));
   }
 
   /**
@@ -414,6 +1076,223 @@ export class QuadraticBezier {
       return res;
     }
   }
+
+  /**
+   * Compute the derivative of the curve with respect to `t`.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point} The derivative vector.
+   */
+  derivativeAt(t) {
+    return this.control.sub(this.start).scale(2 * (1 - t))
+      .add(this.end.sub(this.control).scale(2 * t));
+  }
+
+  /**
+   * Compute the unit tangent vector at `t`, which points to the direction the curve goes.
+   * If the derivative vanishes at `t`, the direction is determined by the higher order derivatives.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point|undefined} The unit tangent vector.
+   * If the curve degenerates to a point, returns `undefined`.
+   */
+  tangentAt(t) {
+    return tangentFromDerivatives(quadraticDerivativesAt(this, t), t);
+  }
+
+  /**
+   * Compute the unit normal vector at `t`, which is the tangent vector rotated by 90 degrees
+   * i.e. `(-y, x)` for the tangent vector `(x, y)`.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point|undefined} The unit normal vector.
+   * If the curve degenerates to a point, returns `undefined`.
+   */
+  normalAt(t) {
+    const tangent = this.tangentAt(t);
+    return tangent === undefined ? undefined : new Point(-tangent.y, tangent.x);
+  }
+
+  /**
+   * Compute the signed curvature at `t`.
+   * It is positive if the curve turns in the direction of the normal vector, and negative if opposite.
+   * If the derivative vanishes at `t`, the limit is returned, which can be infinite.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {number|undefined} The signed curvature.
+   * If the curve degenerates to a point, returns `undefined`.
+   */
+  curvatureAt(t) {
+    return curvatureFromDerivatives(quadraticDerivativesAt(this, t));
+  }
+
+  /**
+   * Compute the length of the curve.
+   *
+   * @param {number} [tolerance=1e-9] - The maximum absolute error allowed.
+   * @returns {number} The length of the curve.
+   */
+  length(tolerance = 1e-9) {
+    return this.lengthAt(1, tolerance);
+  }
+
+  /**
+   * Compute the length of the part of the curve from the start to `t`.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @param {number} [tolerance=1e-9] - The maximum absolute error allowed.
+   * @returns {number} The length of the part of the curve.
+   */
+  lengthAt(t, tolerance = 1e-9) {
+    return integrate(u => this.derivativeAt(u).length(), 0, t, tolerance);
+  }
+
+  /**
+   * Get the parameter `t` such that the length of the part of the curve from the start to `t` is `s`.
+   * This is the inverse of {@link QuadraticBezier#lengthAt}.
+   *
+   * @param {number} s - A length.
+   * @param {number} [tolerance=1e-9] - The maximum absolute error of the length allowed.
+   * @returns {number} A number between 0 and 1.
+   * If `s` is negative or longer than the curve, returns 0 or 1 respectively.
+   */
+  paramAtLength(s, tolerance = 1e-9) {
+    return solveMonotoneEq(
+      t => this.lengthAt(t, tolerance),
+      t => this.derivativeAt(t).length(),
+      s, 0, 1, tolerance
+    );
+  }
+
+  /**
+   * Find the nearest point on the curve to the specified point.
+   *
+   * @param {Point} point - A point.
+   * @returns {{ t: number, point: Point, distance: number }} An object that contains
+   * the parameter and the position of the nearest point, and the distance to it.
+   */
+  nearestPoint(point) {
+    // solve (B(t) - point) . B'(t) = 0
+    const a = this.control.sub(this.start);
+    const b = this.start.sub(this.control.scale(2)).add(this.end);
+    const m = this.start.sub(point);
+    const ts = solveCubicEq(
+      m.innerProd(a),
+      m.innerProd(b) + 2 * a.innerProd(a),
+      3 * a.innerProd(b),
+      b.innerProd(b)
+    ) || [];
+    const candidates = [0, ...ts.filter(t => 0 < t && t < 1), 1];
+    let res;
+    for (const t of candidates) {
+      const p = this.pointAt(t);
+      const distance = p.sub(point).length();
+      if (res === undefined || distance < res.distance) {
+        res = { t, point: p, distance };
+      }
+    }
+    return res;
+  }
+
+  /**
+   * Compute the distance from a point to the curve.
+   * The bounding box is checked first, so that far points are quickly rejected.
+   *
+   * @param {Point} point - A point.
+   * @param {number} [maxDistance=Infinity] - The distance of interest.
+   * If the distance is larger than this, the result is only guaranteed to be larger than this,
+   * without computing the nearest point.
+   * @returns {number} The distance.
+   */
+  distanceTo(point, maxDistance = Infinity) {
+    const d = this.boundingBox().distanceTo(point);
+    if (d > maxDistance) {
+      return d;
+    }
+    return this.nearestPoint(point).distance;
+  }
+
+  /**
+   * Compute the signed number of crossings of the curve and the ray from the specified point
+   * to the positive X direction, which is the contribution to the winding number around the point.
+   * Upward crossings are counted as positive, and downward ones as negative.
+   *
+   * @param {Point} point - The start point of the ray.
+   * @returns {number} The signed number of crossings.
+   */
+  crossingNumber(point) {
+    return crossingNumberByMonotonePieces(this, point, y => solveQuadraticEq(
+      this.start.y - y,
+      -2 * (this.start.y - this.control.y),
+      this.start.y - 2 * this.control.y + this.end.y
+    ));
+  }
+
+  /**
+   * Compute the signed area of the region swept by the segment from the origin to a point
+   * moving along the curve, which is positive where it goes around the origin
+   * from the positive X direction to the positive Y direction.
+   * The sum over the edges of a closed contour is the signed area enclosed by the contour.
+   *
+   * @returns {number} The signed area.
+   */
+  signedArea() {
+    return sweptAreaMoments(this).area;
+  }
+
+  /**
+   * Compute the centroid of the region swept by the segment from the origin to a point
+   * moving along the curve (see {@link QuadraticBezier#signedArea}).
+   *
+   * @returns {Point|undefined} The centroid.
+   * If the signed area of the region is zero, returns `undefined`.
+   */
+  centroid() {
+    const { area, moment } = sweptAreaMoments(this);
+    return area === 0 ? undefined : moment.scale(1 / area);
+  }
+
+  /**
+   * Approximate the curve by a polyline.
+   * The curve is subdivided until each piece gets close enough to the line between its ends.
+   *
+   * @param {number} tolerance - The maximum distance allowed between the curve and the polyline.
+   * Must be positive.
+   * @returns {Array<Point>} The vertices of the polyline, including the start and the end.
+   * @throws {RangeError} If the tolerance is not positive.
+   */
+  flatten(tolerance) {
+    return flattenBySubdivision(this, tolerance);
+  }
+
+  /**
+   * Approximate the offset of the curve, i.e. the curve displaced by a signed distance
+   * along the normal vector (see {@link QuadraticBezier#normalAt}).
+   * High curvature regions are subdivided until the approximation gets within the tolerance.
+   * The result is not connected at cusps of the curve, where the normal vector is flipped.
+   *
+   * @param {number} distance - The signed distance of offset.
+   * @param {number} [tolerance=1e-3] - The maximum error allowed. Must be positive.
+   * @returns {Array<QuadraticBezier>} An array of curves approximating the offset.
+   * @throws {RangeError} If the tolerance is not positive.
+   */
+  offset(distance, tolerance = 1e-3) {
+    return offsetBySubdivision(this, distance, tolerance, approximateQuadraticOffset);
+  }
+
+  /**
+   * Convert the curve to the equivalent cubic Bezier curve by degree elevation.
+   *
+   * @returns {CubicBezier} A cubic Bezier curve with the same parametrization.
+   */
+  toCubicBezier() {
+    return new CubicBezier(
+      this.start.clone(),
+      this.start.add(this.control.scale(2)).scale(1 / 3),
+      this.end.add(this.control.scale(2)).scale(1 / 3),
+      this.end.clone()
+    );
+  }
 }
 
 
@@ -478,6 +1357,18 @@ export class CubicBezier {
     );
   }
 
+  /**
+   * Create a copy of the curve in the reverse direction,
+   * such that `reverse().pointAt(t)` equals `pointAt(1 - t)`.
+   *
+   * @returns {CubicBezier} The reversed curve.
+   */
+  reverse() {
+    return new CubicBezier(
+      this.end.clone(), this.control2.clone(), this.control1.clone(), this.start.clone()
+    );
+  }
+
   /**
    * Translate the curve.
    *
@@ -523,6 +1414,21 @@ export class CubicBezier {
     );
   }
 
+  /**
+   * Transform the curve by an affine transformation matrix.
+   *
+   * @param {Matrix} matrix - A transformation matrix.
+   * @returns {CubicBezier} The transformed curve.
+   */
+  transform(matrix) {
+    return new CubicBezier(
+      this.start.transform(matrix),
+      this.control1.transform(matrix),
+      this.control2.transform(matrix),
+      this.end.transform(matrix)
+    );
+  }
+
   /**
    * Return a point at `t` on the curve.
    *
@@ -558,6 +1464,34 @@ export class CubicBezier {
     ];
   }
 
+  /**
+   * Take the part of the curve between `t0` and `t1`.
+   * If `t0` is greater than `t1`, the part is reversed.
+   *
+   * @param {number} t0 - A number between 0 and 1.
+   * @param {number} t1 - A number between 0 and 1.
+   * @returns {CubicBezier} The part of the curve.
+   */
+  subEdge(t0, t1) {
+    return new CubicBezier(
+      this.pointAt(t0),
+      cubicBlossom(this, t0, t0, t1),
+      cubicBlossom(this, t0, t1, t1),
+      this.pointAt(t1)
+    );
+  }
+
+  /**
+   * Split the curve at multiple parameters in one pass.
+   * The parameters can be given in any order, since they are sorted before splitting.
+   *
+   * @param {Array<number>} ts - Numbers between 0 and 1.
+   * @returns {Array<CubicBezier>} An array of `ts.length + 1` split curves, from the start.
+   */
+  splitAtMany(ts) {
+    return splitAtManyBySubEdges(this, ts);
+  }
+
   /**
    * Get the extreme points.
    *
@@ -571,8 +1505,10 @@ export class CubicBezier {
       const bx = this.start.x - 2 * this.control1.x + this.control2.x;
       const cx = -this.start.x + this.control1.x;
       const s = Math.sqrt(bx ** 2 - ax * cx);
-      const tx1 = -(bx - s) / ax;
-      const tx2 = -(bx + s) / ax;
+      // avoid the cancellation of `bx` and `s`, which loses the root if `ax` is almost zero
+      const qx = bx >= 0 ? -(bx + s) : -(bx - s);
+      const tx1 = qx / ax;
+      const tx2 = cx / qx;
       if (0 < tx1 && tx1 < 1) {
         ets.add(tx1);
       }
@@ -592,8 +1528,9 @@ export class CubicBezier {
       const by = this.start.y - 2 * this.control1.y + this.control2.y;
       const cy = -this.start.y + this.control1.y;
       const s = Math.sqrt(by ** 2 - ay * cy);
-      const ty1 = -(by - s) / ay;
-      const ty2 = -(by + s) / ay;
+      const qy = by >= 0 ? -(by + s) : -(by - s);
+      const ty1 = qy / ay;
+      const ty2 = cy / qy;
       if (0 < ty1 && ty1 < 1) {
         ets.add(ty1);
       }
@@ -617,14 +1554,7 @@ export class CubicBezier {
    * @returns {Rectangle} - A rectangle object representing the bounding box.
    */
   boundingBox() {
-    const eps = this.extremePoints();
-    const xs = eps.map(ep => ep.point.x);
-    const ys = eps.map(ep => ep.point.y);
-    const left   = Math.min(...xs);
-    const right  = Math.max(...xs);
-    const top    = Math.min(...ys);
-    const bottom = Math.max(...ys);
-    return new Rectangle(left, top, right - left, bottom - top);
+    return Rectangle.fromPoints(this.extremePoints().map(ep => ep.point));
   }
 
   /**
@@ -730,6 +1660,224 @@ export class CubicBezier {
       return res;
     }
   }
+
+  /**
+   * Compute the derivative of the curve with respect to `t`.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point} The derivative vector.
+   */
+  derivativeAt(t) {
+    return this.control1.sub(this.start).scale(3 * (1 - t) ** 2)
+      .add(this.control2.sub(this.control1).scale(6 * (1 - t) * t))
+      .add(this.end.sub(this.control2).scale(3 * t ** 2));
+  }
+
+  /**
+   * Compute the unit tangent vector at `t`, which points to the direction the curve goes.
+   * If the derivative vanishes at `t`, the direction is determined by the higher order derivatives.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point|undefined} The unit tangent vector.
+   * If the curve degenerates to a point, returns `undefined`.
+   */
+  tangentAt(t) {
+    return tangentFromDerivatives(cubicDerivativesAt(this, t), t);
+  }
+
+  /**
+   * Compute the unit normal vector at `t`, which is the tangent vector rotated by 90 degrees
+   * i.e. `(-y, x)` for the tangent vector `(x, y)`.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {Point|undefined} The unit normal vector.
+   * If the curve degenerates to a point, returns `undefined`.
+   */
+  normalAt(t) {
+    const tangent = this.tangentAt(t);
+    return tangent === undefined ? undefined : new Point(-tangent.y, tangent.x);
+  }
+
+  /**
+   * Compute the signed curvature at `t`.
+   * It is positive if the curve turns in the direction of the normal vector, and negative if opposite.
+   * If the derivative vanishes at `t`, the limit is returned, which can be infinite.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @returns {number|undefined} The signed curvature.
+   * If the curve degenerates to a point, returns `undefined`.
+   */
+  curvatureAt(t) {
+    return curvatureFromDerivatives(cubicDerivativesAt(this, t));
+  }
+
+  /**
+   * Compute the length of the curve.
+   *
+   * @param {number} [tolerance=1e-9] - The maximum absolute error allowed.
+   * @returns {number} The length of the curve.
+   */
+  length(tolerance = 1e-9) {
+    return this.lengthAt(1, tolerance);
+  }
+
+  /**
+   * Compute the length of the part of the curve from the start to `t`.
+   *
+   * @param {number} t - A number between 0 and 1.
+   * @param {number} [tolerance=1e-9] - The maximum absolute error allowed.
+   * @returns {number} The length of the part of the curve.
+   */
+  lengthAt(t, tolerance = 1e-9) {
+    return integrate(u => this.derivativeAt(u).length(), 0, t, tolerance);
+  }
+
+  /**
+   * Get the parameter `t` such that the length of the part of the curve from the start to `t` is `s`.
+   * This is the inverse of {@link CubicBezier#lengthAt}.
+   *
+   * @param {number} s - A length.
+   * @param {number} [tolerance=1e-9] - The maximum absolute error of the length allowed.
+   * @returns {number} A number between 0 and 1.
+   * If `s` is negative or longer than the curve, returns 0 or 1 respectively.
+   */
+  paramAtLength(s, tolerance = 1e-9) {
+    return solveMonotoneEq(
+      t => this.lengthAt(t, tolerance),
+      t => this.derivativeAt(t).length(),
+      s, 0, 1, tolerance
+    );
+  }
+
+  /**
+   * Find the nearest point on the curve to the specified point.
+   *
+   * @param {Point} point - A point.
+   * @returns {{ t: number, point: Point, distance: number }} An object that contains
+   * the parameter and the position of the nearest point, and the distance to it.
+   */
+  nearestPoint(point) {
+    return nearestPointBySampling(this, point, cubicDerivativesAt, 16);
+  }
+
+  /**
+   * Compute the distance from a point to the curve.
+   * The bounding box is checked first, so that far points are quickly rejected.
+   *
+   * @param {Point} point - A point.
+   * @param {number} [maxDistance=Infinity] - The distance of interest.
+   * If the distance is larger than this, the result is only guaranteed to be larger than this,
+   * without computing the nearest point.
+   * @returns {number} The distance.
+   */
+  distanceTo(point, maxDistance = Infinity) {
+    const d = this.boundingBox().distanceTo(point);
+    if (d > maxDistance) {
+      return d;
+    }
+    return this.nearestPoint(point).distance;
+  }
+
+  /**
+   * Compute the signed number of crossings of the curve and the ray from the specified point
+   * to the positive X direction, which is the contribution to the winding number around the point.
+   * Upward crossings are counted as positive, and downward ones as negative.
+   *
+   * @param {Point} point - The start point of the ray.
+   * @returns {number} The signed number of crossings.
+   */
+  crossingNumber(point) {
+    return crossingNumberByMonotonePieces(this, point, y => solveCubicEq(
+      this.start.y - y,
+      -3 * (this.start.y - this.control1.y),
+      3 * (this.start.y - 2 * this.control1.y + this.control2.y),
+      -this.start.y + 3 * this.control1.y - 3 * this.control2.y + this.end.y
+    ));
+  }
+
+  /**
+   * Compute the signed area of the region swept by the segment from the origin to a point
+   * moving along the curve, which is positive where it goes around the origin
+   * from the positive X direction to the positive Y direction.
+   * The sum over the edges of a closed contour is the signed area enclosed by the contour.
+   *
+   * @returns {number} The signed area.
+   */
+  signedArea() {
+    return sweptAreaMoments(this).area;
+  }
+
+  /**
+   * Compute the centroid of the region swept by the segment from the origin to a point
+   * moving along the curve (see {@link CubicBezier#signedArea}).
+   *
+   * @returns {Point|undefined} The centroid.
+   * If the signed area of the region is zero, returns `undefined`.
+   */
+  centroid() {
+    const { area, moment } = sweptAreaMoments(this);
+    return area === 0 ? undefined : moment.scale(1 / area);
+  }
+
+  /**
+   * Approximate the curve by a polyline.
+   * The curve is subdivided until each piece gets close enough to the line between its ends.
+   *
+   * @param {number} tolerance - The maximum distance allowed between the curve and the polyline.
+   * Must be positive.
+   * @returns {Array<Point>} The vertices of the polyline, including the start and the end.
+   * @throws {RangeError} If the tolerance is not positive.
+   */
+  flatten(tolerance) {
+    return flattenBySubdivision(this, tolerance);
+  }
+
+  /**
+   * Approximate the offset of the curve, i.e. the curve displaced by a signed distance
+   * along the normal vector (see {@link CubicBezier#normalAt}).
+   * High curvature regions are subdivided until the approximation gets within the tolerance.
+   * The result is not connected at cusps of the curve, where the normal vector is flipped.
+   *
+   * @param {number} distance - The signed distance of offset.
+   * @param {number} [tolerance=1e-3] - The maximum error allowed. Must be positive.
+   * @returns {Array<CubicBezier>} An array of curves approximating the offset.
+   * @throws {RangeError} If the tolerance is not positive.
+   */
+  offset(distance, tolerance = 1e-3) {
+    return offsetBySubdivision(this, distance, tolerance, approximateCubicOffset);
+  }
+
+  /**
+   * Approximate the curve by a sequence of quadratic Bezier curves, e.g. for TrueType outlines.
+   * The curve is divided into pieces of equal parameter intervals,
+   * and each piece is approximated by the quadratic curve whose control point is the average of
+   * the ones extrapolated from the both ends.
+   * The number of pieces is determined from the error bound `sqrt(3) / 36 * |P3 - 3 P2 + 3 P1 - P0|`
+   * of the approximation, which decreases cubically by the division.
+   *
+   * @param {number} [tolerance=1e-3] - The maximum distance allowed between the curve and
+   * the quadratic curves. Must be positive.
+   * @returns {Array<QuadraticBezier>} An array of quadratic Bezier curves,
+   * connected from the start to the end.
+   * @throws {RangeError} If the tolerance is not positive.
+   */
+  toQuadraticBeziers(tolerance = 1e-3) {
+    if (!(tolerance > 0)) {
+      throw new RangeError("invalid tolerance: " + String(tolerance));
+    }
+    const d = this.end.sub(this.control2.scale(3)).add(this.control1.scale(3)).sub(this.start);
+    const err = Math.sqrt(3) / 36 * d.length();
+    const n = Math.max(1, Math.ceil(Math.cbrt(err / tolerance)));
+    const ts = [];
+    for (let i = 1; i < n; i++) {
+      ts.push(i / n);
+    }
+    return this.splitAtMany(ts).map(piece => new QuadraticBezier(
+      piece.start,
+      piece.control1.add(piece.control2).scale(3).sub(piece.start).sub(piece.end).scale(1 / 4),
+      piece.end
+    ));
+  }
 }
 
 // pair type
@@ -745,12 +1893,31 @@ function approxPoints(p1, p2, epsilon = Number.EPSILON) {
   return approx(p1.x, p2.x, epsilon) && approx(p1.y, p2.y, epsilon);
 }
 
+// maximum sine of the angle between the tangents of edges touching at an intersection
+const TANGENT_EPSILON = 1e-6;
+
+// classify an intersection by the tangents of the edges
+function classifyIntersection(edge1, edge2, t1, t2) {
+  const tangent1 = edge1.tangentAt(t1);
+  const tangent2 = edge2.tangentAt(t2);
+  const cross = tangent1 === undefined || tangent2 === undefined
+    ? 0
+    : tangent1.outerProd(tangent2);
+  const sign = Math.abs(cross) <= TANGENT_EPSILON ? 0 : Math.sign(cross);
+  if (t1 === 0 || t1 === 1 || t2 === 0 || t2 === 1) {
+    return { type: "endpoint", sign };
+  }
+  return { type: sign === 0 ? "tangent" : "transversal", sign };
+}
+
 // make point info from parameters
 function pointFromParams(edge1, edge2, t1, t2) {
   const p1 = edge1.pointAt(t1);
   const p2 = edge2.pointAt(t2);
   const point = p1.add(p2).scale(0.5);
-  return { t1, t2, point };
+  const residual = p1.sub(p2).length();
+  const { type, sign } = classifyIntersection(edge1, edge2, t1, t2);
+  return { t1, t2, point, type, sign, residual };
 }
 
 // compute parameters for intersectionsLL
@@ -775,27 +1942,43 @@ function intersecionsLLParams(line1, line2) {
   return [b1 / a, b2 / a];
 }
 
+// find overlapping parts of line segments, reporting the ones too short as points
+function overlapsLL(line1, line2) {
+  const { overlaps, collapsed } = findOverlaps(line1, line2);
+  return collapsed.map(collapsedPoint)
+    .map(r => pointFromParams(line1, line2, r.t1, r.t2))
+    .concat(overlaps);
+}
+
 /**
  * Compute intersections of two line segments.
  *
  * @private
  * @param {Line} line1 - An line segment.
  * @param {Line} line2 - Another line segment.
- * @returns {Array<{ t1: number, t2: number, point: Point }>|undefined} - An array of the intersections.
- * If there are infinitely many intersections, it returns `undefined`.
+ * @returns {Array<{ t1: number, t2: number, point: Point, type: string, sign: number, residual: number }|{ t1Range: Array<number>, t2Range: Array<number> }>}
+ * - An array of the intersections. If the line segments overlap, it contains the overlapping part
+ * instead (see {@link intersections}).
  */
 export function intersectionsLL(line1, line2) {
   const bb1 = line1.boundingBox();
   const bb2 = line2.boundingBox();
   if (!bb1.overlaps(bb2)) {
     if (bb1.contacts(bb2)) {
+      // line segments along the common side of the bounding boxes can overlap
+      if (intersecionsLLParams(line1, line2) === undefined) {
+        const overlaps = overlapsLL(line1, line2);
+        if (overlaps.length > 0) {
+          return overlaps;
+        }
+      }
       const res = [];
       const eps1 = line1.extremePoints();
       const eps2 = line2.extremePoints();
       for (const ep1 of eps1) {
         for (const ep2 of eps2) {
           if (ep1.point.equals(ep2.point)) {
-            res.push({ t1: ep1.t, t2: ep2.t, point: ep1.point });
+            res.push(pointFromParams(line1, line2, ep1.t, ep2.t));
           }
         }
       }
@@ -807,7 +1990,7 @@ export function intersectionsLL(line1, line2) {
   }
   const ps = intersecionsLLParams(line1, line2);
   if (ps === undefined) {
-    return undefined;
+    return overlapsLL(line1, line2);
   }
   if (ps.length === 0) {
     return [];
@@ -839,12 +2022,263 @@ function _intersectionsLLBulk(line1, line2) {
   }
 }
 
+// compute the distance between two line segments that do not intersect
+function linesDistance(line1, line2) {
+  return Math.min(
+    line1.distanceTo(line2.start),
+    line1.distanceTo(line2.end),
+    line2.distanceTo(line1.start),
+    line2.distanceTo(line1.end)
+  );
+}
+
 // epsilon for X and Y coordinates
 const X_EPSILON = 4 * Number.EPSILON;
 // epsilon for t value
 const T_EPSILON = 8 * Number.EPSILON;
 
+// relative tolerance for finding overlaps, to the size of the edges for distances,
+// and to 1 for parameters
+const OVERLAP_EPSILON = 1e-9;
+// parameters of sample points for checking overlaps
+const OVERLAP_SAMPLES = [0.1, 0.3, 0.5, 0.7, 0.9];
+// minimum length of overlapping parts, relative to the size of the edges for arc lengths,
+// and to 1 for parameters
+// shorter ones are where the edges cross or touch at a small angle, and reported as points
+const OVERLAP_MIN_LENGTH = 1e-5;
+
+// find parameters at which an edge passes through a point or its neighborhood
+function paramsNearPoint(edge, point, tolerance) {
+  const ts = [];
+  const np = edge.nearestPoint(point);
+  if (np.distance <= tolerance) {
+    ts.push(np.t);
+  }
+  for (const t of edge.paramsForPoint(point, T_EPSILON) || []) {
+    if (!ts.some(u => approx(u, t, OVERLAP_EPSILON))) {
+      ts.push(t);
+    }
+  }
+  return ts.map(t => snapToInteger(t, OVERLAP_EPSILON));
+}
+
+// checks if two edges coincide, by measuring distances from sample points on each edge to the other
+function coincides(edge1, edge2, tolerance) {
+  return OVERLAP_SAMPLES.every(u =>
+    edge2.distanceTo(edge1.pointAt(u)) <= tolerance
+    && edge1.distanceTo(edge2.pointAt(u)) <= tolerance
+  );
+}
+
+// checks if a parameter range contains another one
+function rangeContains(range, t0, t1) {
+  const min = Math.min(...range);
+  const max = Math.max(...range);
+  return min - OVERLAP_EPSILON <= Math.min(t0, t1) && Math.max(t0, t1) <= max + OVERLAP_EPSILON;
+}
+
+// find overlapping parts of two edges
+// each part ends at the ends or the extreme points (where a curve can turn back) of either edge,
+// thus it is found by checking the parts between them
+// the parts too short to be overlaps are returned separately as `collapsed`
+function findOverlaps(edge1, edge2) {
+  const bb1 = edge1.boundingBox();
+  const bb2 = edge2.boundingBox();
+  if (bb1.isPoint() || bb2.isPoint()) {
+    return { overlaps: [], collapsed: [] };
+  }
+  const bb = bb1.union(bb2);
+  const tolerance = OVERLAP_EPSILON * (bb.width + bb.height);
+  const cs = [];
+  for (const ep1 of edge1.extremePoints()) {
+    for (const t2 of paramsNearPoint(edge2, ep1.point, tolerance)) {
+      cs.push({ t1: ep1.t, t2 });
+    }
+  }
+  for (const ep2 of edge2.extremePoints()) {
+    for (const t1 of paramsNearPoint(edge1, ep2.point, tolerance)) {
+      cs.push({ t1, t2: ep2.t });
+    }
+  }
+  const minLength = OVERLAP_MIN_LENGTH * (bb.width + bb.height);
+  const overlaps = [];
+  const shorts = [];
+  for (let i = 0; i < cs.length; i++) {
+    for (let j = i + 1; j < cs.length; j++) {
+      const [a, b] = cs[i].t1 <= cs[j].t1 ? [cs[i], cs[j]] : [cs[j], cs[i]];
+      if (b.t1 - a.t1 <= OVERLAP_EPSILON || Math.abs(b.t2 - a.t2) <= OVERLAP_EPSILON) {
+        continue;
+      }
+      const part1 = edge1.subEdge(a.t1, b.t1);
+      const part2 = edge2.subEdge(a.t2, b.t2);
+      if (coincides(part1, part2, tolerance)) {
+        const ov = { t1Range: [a.t1, b.t1], t2Range: [a.t2, b.t2] };
+        const long = b.t1 - a.t1 > OVERLAP_MIN_LENGTH && Math.abs(b.t2 - a.t2) > OVERLAP_MIN_LENGTH
+          && part1.length() > minLength && part2.length() > minLength;
+        (long ? overlaps : shorts).push(ov);
+      }
+    }
+  }
+  // remove duplicates and ones contained in the others
+  const isContained = (ov, other) => rangeContains(other.t1Range, ...ov.t1Range)
+    && rangeContains(other.t2Range, ...ov.t2Range);
+  const longest = overlaps.filter((ov, i) => !overlaps.some((other, j) =>
+    j !== i && isContained(ov, other) && (!isContained(other, ov) || j < i)
+  ));
+  // short parts within the overlaps or crossing the others are the same points
+  const collapsed = [];
+  for (const ov of shorts) {
+    const [t1, t2] = [middle(ov.t1Range), middle(ov.t2Range)];
+    if (!isInOverlaps(t1, t2, longest) && !isInOverlaps(t1, t2, collapsed)) {
+      collapsed.push(ov);
+    }
+  }
+  return { overlaps: longest, collapsed };
+}
+
+// the middle of a parameter range
+function middle(range) {
+  return (range[0] + range[1]) / 2;
+}
+
+// the intersection point that an overlapping part too short to be an overlap collapses to
+function collapsedPoint(ov) {
+  const err = Math.max(ov.t1Range[1] - ov.t1Range[0], Math.abs(ov.t2Range[1] - ov.t2Range[0])) / 2;
+  return { t1: middle(ov.t1Range), t2: middle(ov.t2Range), err };
+}
+
+// checks if a pair of parameters is in overlapping parts
+function isInOverlaps(t1, t2, overlaps) {
+  return overlaps.some(ov =>
+    rangeContains(ov.t1Range, t1, t1) && rangeContains(ov.t2Range, t2, t2)
+  );
+}
+
+// merge overlapping parts that continue to each other in the same direction
+function mergeOverlaps(overlaps) {
+  const direction = ov => Math.sign(ov.t2Range[1] - ov.t2Range[0]);
+  const res = [];
+  const sorted = overlaps.slice().sort((ov1, ov2) => ov1.t1Range[0] - ov2.t1Range[0]);
+  for (const ov of sorted) {
+    const prev = res.find(r =>
+      Math.abs(r.t1Range[1] - ov.t1Range[0]) <= OVERLAP_EPSILON
+      && Math.abs(r.t2Range[1] - ov.t2Range[0]) <= OVERLAP_EPSILON
+      && direction(r) === direction(ov)
+    );
+    if (prev) {
+      prev.t1Range[1] = ov.t1Range[1];
+      prev.t2Range[1] = ov.t2Range[1];
+    }
+    else {
+      res.push({ t1Range: ov.t1Range.slice(), t2Range: ov.t2Range.slice() });
+    }
+  }
+  return res;
+}
+
+// compute parameters that cut an edge into the overlapping parts and the others
+function cutParams(ranges) {
+  const ts = [0, 1];
+  for (const range of ranges) {
+    ts.push(...range);
+  }
+  ts.sort((x, y) => x - y);
+  return ts.filter((t, i) => i === 0 || t - ts[i - 1] > OVERLAP_EPSILON);
+}
+
+// take special points in a part of an edge, and add the ends of the part unless they are the ends
+// of the edge
+function specialPointsInPart(specialPoints, part, t0, t1) {
+  const res = specialPoints.filter(sp => t0 <= sp.t && sp.t <= t1)
+    .map(sp => ({ t: (sp.t - t0) / (t1 - t0), point: sp.point }));
+  if (t0 > 0 && !res.some(sp => sp.t === 0)) {
+    res.push({ t: 0, point: part.start });
+  }
+  if (t1 < 1 && !res.some(sp => sp.t === 1)) {
+    res.push({ t: 1, point: part.end });
+  }
+  return res;
+}
+
+// checks if parts of edges in parameter ranges meet at an end of the overlaps
+function meetsAtOverlapEnd(overlaps, range1, range2) {
+  const isEnd = (range, t) => range.some(u => Math.abs(u - t) <= OVERLAP_EPSILON);
+  return overlaps.some(ov => [0, 1].some(k =>
+    isEnd(range1, ov.t1Range[k]) && isEnd(range2, ov.t2Range[k])
+  ));
+}
+
+// compute intersections with special points assumed, reporting overlapping parts as intervals
+function _intersectionsWithOverlaps(
+  edge1, edge2, specialPoints1, specialPoints2,
+  depth, epsilon = 2 * T_EPSILON, maxIteration = -1, search = _intersectionsWithSpecialPoints
+) {
+  const { overlaps, collapsed } = findOverlaps(edge1, edge2);
+  // the points found in the collapsed parts are replaced by the ones they collapse to
+  const collapsedPoints = collapsed.map(collapsedPoint);
+  if (overlaps.length === 0) {
+    // the search fails if the edges coincide in the collapsed parts,
+    // and the other overlaps too short to be found are not resolved
+    const points = search(
+      edge1, edge2, specialPoints1, specialPoints2,
+      depth, epsilon, maxIteration
+    ) || (collapsed.length > 0
+      ? specialPointIntersections(edge1, edge2, specialPoints1, specialPoints2, epsilon)
+      : undefined);
+    if (points === undefined) {
+      return undefined;
+    }
+    return {
+      points: points.filter(r => !isInOverlaps(r.t1, r.t2, collapsed)).concat(collapsedPoints),
+      overlaps
+    };
+  }
+  // search intersection points in the pairs of the parts except the overlapping ones
+  const cuts1 = cutParams(overlaps.map(ov => ov.t1Range));
+  const cuts2 = cutParams(overlaps.map(ov => ov.t2Range));
+  const points = [];
+  for (let i = 0; i < cuts1.length - 1; i++) {
+    const [a1, b1] = [cuts1[i], cuts1[i + 1]];
+    const part1 = edge1.subEdge(a1, b1);
+    const sps1 = specialPointsInPart(specialPoints1, part1, a1, b1);
+    for (let j = 0; j < cuts2.length - 1; j++) {
+      const [a2, b2] = [cuts2[j], cuts2[j + 1]];
+      const overlapping = overlaps.some(ov =>
+        rangeContains(ov.t1Range, a1, b1) && rangeContains(ov.t2Range, a2, b2)
+      );
+      if (overlapping) {
+        continue;
+      }
+      const part2 = edge2.subEdge(a2, b2);
+      const sps2 = specialPointsInPart(specialPoints2, part2, a2, b2);
+      // the search can fail to separate the parts that coincide with each other up to an end of
+      // an overlap, which is an intersection at the special points, otherwise it is not resolved
+      const rs = search(
+        part1, part2, sps1, sps2,
+        depth, epsilon, maxIteration
+      ) || (meetsAtOverlapEnd(overlaps, [a1, b1], [a2, b2])
+        ? specialPointIntersections(part1, part2, sps1, sps2, epsilon)
+        : undefined);
+      if (rs === undefined) {
+        return undefined;
+      }
+      for (const r of rs) {
+        points.push({ t1: a1 + (b1 - a1) * r.t1, t2: a2 + (b2 - a2) * r.t2, err: r.err });
+      }
+    }
+  }
+  // points at the ends of the overlapping parts are included in the intervals
+  return {
+    points: points.filter(r =>
+      !isInOverlaps(r.t1, r.t2, overlaps) && !isInOverlaps(r.t1, r.t2, collapsed)
+    ).concat(collapsedPoints),
+    overlaps
+  };
+}
+
 // compute intersections with special points assumed
+// the edges are subdivided in half down to `depth`, so the parameters are only accurate to
+// about `2 ** -depth`
 function _intersectionsWithSpecialPoints(
   edge1, edge2, specialPoints1, specialPoints2,
   depth, epsilon = 2 * T_EPSILON, maxIteration = -1
@@ -1015,15 +2449,19 @@ function _intersectionsWithSpecialPoints(
           // 1 twip (1/20 px) for a typical curve of 1000 px length
           const maxdl = i === 0 ? 0 : Math.min(5e-5 * 2 ** i, 0.1);
           if (dl1 < maxdl && dl2 < maxdl) {
-            const isLL = _intersectionsLLBulk(
-              new Line(e1.start, e1.end),
-              new Line(e2.start, e2.end)
-            );
+            const l1 = new Line(e1.start, e1.end);
+            const l2 = new Line(e2.start, e2.end);
+            const isLL = _intersectionsLLBulk(l1, l2);
             if (isLL === undefined && dl1 === 0 && dl2 === 0) {
               return undefined;
             }
             if (isLL !== undefined && isLL.length === 0) {
-              break;
+              // the edges can still intersect if they are closer than their deviations,
+              // except when they only touch at the ends, which are checked as special points
+              const d = linesDistance(l1, l2);
+              if (d === 0 || d > dl1 * l1.length() + dl2 * l2.length()) {
+                break;
+              }
             }
           }
           // split and enqueue
@@ -1086,6 +2524,554 @@ function mergeNeighboringPoints(res, epsilon = 2 * T_EPSILON) {
   return res.filter((_, i) => !removed[i]);
 }
 
+// control points of a Bezier curve, or undefined if the edge is not a Bezier curve
+function bezierControlPoints(edge) {
+  if (edge instanceof Line) {
+    return [edge.start, edge.end];
+  }
+  else if (edge instanceof QuadraticBezier) {
+    return [edge.start, edge.control, edge.end];
+  }
+  else if (edge instanceof CubicBezier) {
+    return [edge.start, edge.control1, edge.control2, edge.end];
+  }
+  else {
+    return undefined;
+  }
+}
+
+// compute exact intersections at the special points of the edges
+function specialPointIntersections(edge1, edge2, specialPoints1, specialPoints2, epsilon) {
+  const res = [];
+  function pushResult(t1, t2) {
+    if (!res.some(r => approx(r.t1, t1, epsilon) && approx(r.t2, t2, epsilon))) {
+      res.push({ t1, t2, err: 0 });
+    }
+  }
+  // the roots of ill-conditioned equations solved by `paramsForPoint` can be spurious,
+  // e.g. those of degree-elevated curves, whose leading coefficients are almost zero
+  const isOnEdge = (edge, t, point) => approxPoints(edge.pointAt(t), point, X_EPSILON);
+  for (const sp1 of specialPoints1) {
+    for (const sp2 of specialPoints2) {
+      if (approxPoints(sp1.point, sp2.point, X_EPSILON)) {
+        pushResult(sp1.t, sp2.t);
+      }
+    }
+  }
+  for (const sp1 of specialPoints1) {
+    const ts2 = edge2.paramsForPoint(sp1.point, T_EPSILON);
+    if (ts2 === undefined) {
+      return undefined;
+    }
+    for (const t2 of ts2.filter(t => isOnEdge(edge2, t, sp1.point))) {
+      pushResult(sp1.t, t2);
+    }
+  }
+  for (const sp2 of specialPoints2) {
+    const ts1 = edge1.paramsForPoint(sp2.point, T_EPSILON);
+    if (ts1 === undefined) {
+      return undefined;
+    }
+    for (const t1 of ts1.filter(t => isOnEdge(edge1, t, sp2.point))) {
+      pushResult(t1, sp2.t);
+    }
+  }
+  return res;
+}
+
+// minimum ratio of the parameter range clipped at once, below which the curves are subdivided
+const CLIP_MIN_RATIO = 0.2;
+// epsilon for X and Y coordinates of the control points of sub-curves, which are computed from
+// the original curves
+const CLIP_X_EPSILON = 8 * Number.EPSILON;
+// precision of t value found by clipping, which is limited by the rounding errors of the sub-curves
+const CLIP_T_EPSILON = 64 * Number.EPSILON;
+// size of the neighborhoods of the exact intersections, in which clipping does not search,
+// since it is only accurate to about the square root of the precision around the tangent ones
+const CLIP_EXACT_NEIGHBORHOOD = Math.sqrt(CLIP_T_EPSILON);
+// maximum width of the parameter ranges in which clipping is considered to be stalled
+// rather than separating multiple intersections, for the same reason as above
+const CLIP_STALL_WIDTH = Math.sqrt(CLIP_T_EPSILON);
+
+// compute the parameter range of a Bezier curve clipped to the fat line of another curve,
+// which is the thinnest strip parallel to the line through the ends of the other curve
+// containing its control points
+function clipByFatLine(points, others) {
+  const first = others[0];
+  let dir = others[others.length - 1].sub(first);
+  if (isZeroVector(dir)) {
+    // any direction can be used if the ends coincide
+    const far = others.reduce((p, q) => q.sub(first).length() > p.sub(first).length() ? q : p);
+    dir = isZeroVector(far.sub(first)) ? new Point(1, 0) : far.sub(first);
+  }
+  const normal = new Point(-dir.y, dir.x).scale(1 / dir.length());
+  const dist = p => p.sub(first).innerProd(normal);
+  const ds = others.map(dist);
+  // the strip is widened by the rounding errors of the coordinates
+  const scale = Math.max(...points.concat(others).map(p => Math.max(Math.abs(p.x), Math.abs(p.y))));
+  const dmin = Math.min(...ds) - CLIP_X_EPSILON * scale;
+  const dmax = Math.max(...ds) + CLIP_X_EPSILON * scale;
+  // the curve is in the strip only where the convex hull of the distance curve is,
+  // whose control points are (i / n, d_i)
+  const n = points.length - 1;
+  const hull = points.map((p, i) => ({ t: i / n, d: dist(p) }));
+  let tmin = Infinity;
+  let tmax = -Infinity;
+  for (const h of hull) {
+    if (h.d >= dmin && h.d <= dmax) {
+      tmin = Math.min(tmin, h.t);
+      tmax = Math.max(tmax, h.t);
+    }
+  }
+  for (let i = 0; i < hull.length; i++) {
+    for (let j = i + 1; j < hull.length; j++) {
+      const [h1, h2] = [hull[i], hull[j]];
+      for (const d of [dmin, dmax]) {
+        if ((d - h1.d) * (d - h2.d) < 0) {
+          const t = h1.t + (h2.t - h1.t) * (d - h1.d) / (h2.d - h1.d);
+          tmin = Math.min(tmin, t);
+          tmax = Math.max(tmax, t);
+        }
+      }
+    }
+  }
+  if (tmin > tmax) {
+    return undefined;
+  }
+  return [Math.max(tmin, 0), Math.min(tmax, 1)];
+}
+
+// compute intersections of two Bezier curves by fat line clipping, with special points assumed
+// clipping the curves to the fat lines of each other converges faster than subdivision,
+// in particular for cubic ones, and `maxIteration` limits the number of the clipping steps
+function _intersectionsByClipping(
+  edge1, edge2, specialPoints1, specialPoints2,
+  depth, epsilon = 2 * T_EPSILON, maxIteration = -1
+) {
+  // maximum number of intersections
+  const maxIntersections = edge1.degree() * edge2.degree();
+  // intersections at the special points are computed exactly, which include the tangent ones
+  // where clipping converges slowly
+  const exactRes = specialPointIntersections(
+    edge1, edge2, specialPoints1, specialPoints2,
+    epsilon
+  );
+  if (exactRes === undefined) {
+    return undefined;
+  }
+  const res = exactRes.slice();
+  const nearExact = (range1, range2) => exactRes.some(r =>
+    range1[0] >= r.t1 - CLIP_EXACT_NEIGHBORHOOD && range1[1] <= r.t1 + CLIP_EXACT_NEIGHBORHOOD
+    && range2[0] >= r.t2 - CLIP_EXACT_NEIGHBORHOOD && range2[1] <= r.t2 + CLIP_EXACT_NEIGHBORHOOD
+  );
+  function pushResult(range1, range2) {
+    res.push({
+      t1 : (range1[0] + range1[1]) / 2,
+      t2 : (range2[0] + range2[1]) / 2,
+      err: Math.max(range1[1] - range1[0], range2[1] - range2[0], CLIP_T_EPSILON)
+    });
+  }
+  const tolerance = Math.max(0.5 ** depth, CLIP_T_EPSILON);
+  const stack = [{ range1: [0, 1], range2: [0, 1] }];
+  let itr = 0;
+  while (stack.length > 0) {
+    let { range1, range2 } = stack.pop();
+    for (;;) {
+      if (nearExact(range1, range2)) {
+        break;
+      }
+      // sub-curves are taken from the original ones to avoid accumulating errors
+      const e1 = edge1.subEdge(range1[0], range1[1]);
+      const e2 = edge2.subEdge(range2[0], range2[1]);
+      // the bounding boxes are widened by the rounding errors of the coordinates
+      const bb1 = e1.boundingBox();
+      const bb2 = e2.boundingBox();
+      const scale = Math.max(
+        ...[bb1.topLeft(), bb1.bottomRight()].map(p => Math.max(Math.abs(p.x), Math.abs(p.y)))
+      );
+      if (bb1.expand(CLIP_X_EPSILON * scale).intersection(bb2) === undefined) {
+        break;
+      }
+      const width1 = range1[1] - range1[0];
+      const width2 = range2[1] - range2[0];
+      if ((width1 <= tolerance && width2 <= tolerance)
+        || (maxIteration >= 0 && itr >= maxIteration)) {
+        pushResult(range1, range2);
+        break;
+      }
+      itr += 1;
+      const clip1 = clipByFatLine(bezierControlPoints(e1), bezierControlPoints(e2));
+      if (clip1 === undefined) {
+        break;
+      }
+      const clipped1 = [
+        range1[0] + width1 * clip1[0],
+        range1[0] + width1 * clip1[1]
+      ];
+      const clip2 = clipByFatLine(
+        bezierControlPoints(e2),
+        bezierControlPoints(edge1.subEdge(clipped1[0], clipped1[1]))
+      );
+      if (clip2 === undefined) {
+        break;
+      }
+      const clipped2 = [
+        range2[0] + width2 * clip2[0],
+        range2[0] + width2 * clip2[1]
+      ];
+      const ratio1 = clip1[1] - clip1[0];
+      const ratio2 = clip2[1] - clip2[0];
+      range1 = clipped1;
+      range2 = clipped2;
+      // subdivide the longer curve if the clipping does not converge well,
+      // which is the case if there are multiple intersections
+      if (ratio1 > 1 - CLIP_MIN_RATIO && ratio2 > 1 - CLIP_MIN_RATIO) {
+        // the clipping also stalls around an intersection at a small angle, due to the rounding
+        // errors of the fat lines
+        const stalled = range1[1] - range1[0] <= CLIP_STALL_WIDTH
+          && range2[1] - range2[0] <= CLIP_STALL_WIDTH;
+        if (stalled) {
+          pushResult(range1, range2);
+          break;
+        }
+        if (range1[1] - range1[0] >= range2[1] - range2[0]) {
+          const mid = (range1[0] + range1[1]) / 2;
+          stack.push({ range1: [mid, range1[1]], range2 });
+          stack.push({ range1: [range1[0], mid], range2 });
+        }
+        else {
+          const mid = (range2[0] + range2[1]) / 2;
+          stack.push({ range1, range2: [mid, range2[1]] });
+          stack.push({ range1, range2: [range2[0], mid] });
+        }
+        break;
+      }
+    }
+    // quit if too many intersections are found
+    if (res.length > maxIntersections
+      && mergeNeighboringPoints(res, epsilon).length > maxIntersections) {
+      return undefined;
+    }
+  }
+  return res;
+}
+
+// coefficients of a Bezier curve in the power basis, i.e. `P(t) = sum_k c_k t^k`
+function powerCoefficients(points) {
+  switch (points.length) {
+  case 2:
+    return [points[0], points[1].sub(points[0])];
+  case 3:
+    return [
+      points[0],
+      points[1].sub(points[0]).scale(2),
+      points[0].sub(points[1].scale(2)).add(points[2])
+    ];
+  case 4:
+    return [
+      points[0],
+      points[1].sub(points[0]).scale(3),
+      points[0].sub(points[1].scale(2)).add(points[2]).scale(3),
+      points[3].sub(points[0]).add(points[1].sub(points[2]).scale(3))
+    ];
+  default:
+    throw new Error("unknown degree: " + String(points.length - 1));
+  }
+}
+
+// multiply two polynomials given by the coefficients
+function multiplyPolynomials(a, b) {
+  const c = new Array(a.length + b.length - 1).fill(0);
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      c[i + j] += a[i] * b[j];
+    }
+  }
+  return c;
+}
+
+// solve a polynomial equation of degree at most 4
+function solvePolynomialEq(cs) {
+  const [c0 = 0, c1 = 0, c2 = 0, c3 = 0, c4 = 0] = cs;
+  return solveQuarticEq(c0, c1, c2, c3, c4);
+}
+
+// evaluate a polynomial given by the coefficients
+function evaluatePolynomial(cs, t) {
+  return cs.reduceRight((sum, c) => sum * t + c, 0);
+}
+
+// maximum sine of the angle at the first control point of a quadratic Bezier curve,
+// below which it is considered to be degenerate to a line and its implicit equation is unstable
+const IMPLICIT_DEGENERACY = 1e-9;
+// roots of the polynomial equations closer than this are considered to be a multiple root,
+// since it is only accurate to about the square root of the precision of simple roots
+const IMPLICIT_ROOT_NEIGHBORHOOD = Math.sqrt(T_EPSILON);
+// roots of the polynomial equations closer than this are considered to be the same intersection
+// if the edges do not separate between them, since a double root can be split by about this
+// and its pair of roots is not refined by Newton iteration, which converges slowly there
+const IMPLICIT_TANGENT_NEIGHBORHOOD = 1e-4;
+// maximum value of an implicit equation at its local extremum, relative to the magnitude of
+// its terms, below which the extremum is taken for a double root (a tangent intersection),
+// since rounding errors can turn it into a pair of complex roots
+const IMPLICIT_TANGENT_EPSILON = 16 * Number.EPSILON;
+
+// solve an implicit equation including the double roots lost by rounding errors,
+// where the magnitude of the terms is bounded by the polynomial with the coefficients `ms`
+function solveImplicitEq(cs, ms) {
+  // the leading terms smaller than the rounding errors in the range [0, 1] are dropped,
+  // since they only make the roots unstable
+  const noise = IMPLICIT_TANGENT_EPSILON * ms.reduce((sum, m) => sum + m, 0);
+  let n = cs.length;
+  while (n > 0 && Math.abs(cs[n - 1]) <= noise) {
+    n -= 1;
+  }
+  const ps = cs.slice(0, n);
+  const ts = solvePolynomialEq(ps);
+  if (ts === undefined) {
+    return undefined;
+  }
+  const ds = ps.slice(1).map((c, k) => (k + 1) * c);
+  for (const t of solvePolynomialEq(ds) || []) {
+    const bound = IMPLICIT_TANGENT_EPSILON * evaluatePolynomial(ms, Math.abs(t));
+    if (Math.abs(evaluatePolynomial(ps, t)) <= bound) {
+      ts.push(t);
+    }
+  }
+  return ts;
+}
+
+// compute parameters of intersections of a line segment and a Bezier curve,
+// by substituting the curve into the implicit equation of the line
+function implicitRootsLine(line, curve) {
+  const d = line.end.sub(line.start);
+  if (isZeroVector(d)) {
+    return undefined;
+  }
+  const cs = powerCoefficients(bezierControlPoints(curve));
+  const ks = cs.map((c, k) => k === 0 ? d.outerProd(c.sub(line.start)) : d.outerProd(c));
+  const ms = cs.map((c, k) =>
+    d.length() * (k === 0 ? c.length() + line.start.length() : c.length())
+  );
+  const ts = solveImplicitEq(ks, ms);
+  if (ts === undefined) {
+    return undefined;
+  }
+  const dSq = d.innerProd(d);
+  return ts.map(t => ({
+    tLine : curve.pointAt(t).sub(line.start).innerProd(d) / dSq,
+    tCurve: t
+  }));
+}
+
+// compute parameters of intersections of two quadratic Bezier curves,
+// by substituting the second curve into the implicit equation of the first one
+function implicitRootsQuadratic(curve1, curve2) {
+  const [p0, p1, p2] = bezierControlPoints(curve1);
+  const d1 = p1.sub(p0);
+  const d2 = p2.sub(p0);
+  const total = d1.outerProd(d2);
+  if (!(Math.abs(total) > IMPLICIT_DEGENERACY * d1.length() * d2.length())) {
+    return undefined;
+  }
+  // a point X is written as `a P0 + b P1 + c P2` by its barycentric coordinates, which are
+  // the areas of the triangles `X P1 P2`, `P0 X P2` and `P0 P1 X` divided by `total`,
+  // and it is on the curve iff `b^2 = 4 a c`, since `(a, b, c) = ((1 - t)^2, 2 t (1 - t), t^2)`
+  const cs = powerCoefficients(bezierControlPoints(curve2));
+  const area = (pj, pk) => {
+    const e = pk.sub(pj);
+    return cs.map((c, k) => k === 0 ? pj.outerProd(pk) + e.outerProd(c) : e.outerProd(c));
+  };
+  // bounds of the magnitude of the terms of the areas
+  const areaMagnitude = (pj, pk) => {
+    const e = pk.sub(pj).length();
+    return cs.map((c, k) =>
+      k === 0 ? pj.length() * pk.length() + e * c.length() : e * c.length()
+    );
+  };
+  const a = area(p1, p2);
+  const b = area(p2, p0);
+  const c = area(p0, p1);
+  const ac = multiplyPolynomials(a, c);
+  const bb = multiplyPolynomials(b, b);
+  const acm = multiplyPolynomials(areaMagnitude(p1, p2), areaMagnitude(p0, p1));
+  const bbm = multiplyPolynomials(areaMagnitude(p2, p0), areaMagnitude(p2, p0));
+  const ts = solveImplicitEq(
+    ac.map((x, i) => 4 * x - bb[i]),
+    acm.map((x, i) => 4 * x + bbm[i])
+  );
+  if (ts === undefined) {
+    return undefined;
+  }
+  // `t = b / 2 + c` on the curve
+  return ts.map(t => ({
+    t1: (evaluatePolynomial(b, t) / 2 + evaluatePolynomial(c, t)) / total,
+    t2: t
+  }));
+}
+
+// compute parameters of intersections of low-degree Bezier curves by implicitization,
+// or returns undefined if not applicable
+function implicitRoots(edge1, edge2) {
+  if (edge1 instanceof Line) {
+    const rs = implicitRootsLine(edge1, edge2);
+    return rs && rs.map(r => ({ t1: r.tLine, t2: r.tCurve }));
+  }
+  else if (edge2 instanceof Line) {
+    const rs = implicitRootsLine(edge2, edge1);
+    return rs && rs.map(r => ({ t1: r.tCurve, t2: r.tLine }));
+  }
+  else {
+    const rs = implicitRootsQuadratic(edge1, edge2);
+    if (rs !== undefined) {
+      return rs;
+    }
+    const rrs = implicitRootsQuadratic(edge2, edge1);
+    return rrs && rrs.map(r => ({ t1: r.t2, t2: r.t1 }));
+  }
+}
+
+// checks if intersections of two edges can be computed by implicitization,
+// i.e. pairs of a line segment and a quadratic or cubic Bezier curve, or two quadratic ones
+function isImplicitizable(edge1, edge2) {
+  const isLine = edge => edge instanceof Line;
+  const isCurve = edge => edge instanceof QuadraticBezier || edge instanceof CubicBezier;
+  return (isLine(edge1) && isCurve(edge2))
+    || (isCurve(edge1) && isLine(edge2))
+    || (edge1 instanceof QuadraticBezier && edge2 instanceof QuadraticBezier);
+}
+
+// compute intersections by implicitization with special points assumed,
+// which falls back to subdivision if the curves are degenerate
+// one edge is substituted into the implicit equation of the other, so `depth` and `maxIteration`
+// are used only by the fallback, and the tangent intersections, which are double roots,
+// are only accurate to about the square root of the precision
+function _intersectionsByImplicitization(
+  edge1, edge2, specialPoints1, specialPoints2,
+  depth, epsilon = 2 * T_EPSILON, maxIteration = -1
+) {
+  const exactRes = specialPointIntersections(
+    edge1, edge2, specialPoints1, specialPoints2,
+    epsilon
+  );
+  const roots = exactRes && implicitRoots(edge1, edge2);
+  if (roots === undefined) {
+    return _intersectionsWithSpecialPoints(
+      edge1, edge2, specialPoints1, specialPoints2,
+      depth, epsilon, maxIteration
+    );
+  }
+  const inRange = t => t >= -IMPLICIT_ROOT_NEIGHBORHOOD && t <= 1 + IMPLICIT_ROOT_NEIGHBORHOOD;
+  const clamp = t => Math.min(Math.max(t, 0), 1);
+  const refined = [];
+  for (const root of roots) {
+    if (!inRange(root.t1) || !inRange(root.t2)) {
+      continue;
+    }
+    // the roots lose precision if the polynomial is ill-conditioned
+    const { t1, t2 } = refineIntersection(
+      edge1, edge2, clamp(root.t1), clamp(root.t2),
+      IMPLICIT_ROOT_NEIGHBORHOOD
+    );
+    refined.push({ t1, t2, residual: edge1.pointAt(t1).sub(edge2.pointAt(t2)).length() });
+  }
+  // the most precise one is taken from the roots of the same intersection
+  refined.sort((r1, r2) => r1.residual - r2.residual);
+  const res = exactRes.slice();
+  for (const { t1, t2 } of refined) {
+    const near = res.some(r => {
+      const dt = Math.max(Math.abs(r.t1 - t1), Math.abs(r.t2 - t2));
+      return dt <= IMPLICIT_ROOT_NEIGHBORHOOD
+        || (dt <= IMPLICIT_TANGENT_NEIGHBORHOOD && isSameIntersection(edge1, edge2, r, { t1, t2 }));
+    });
+    if (!near) {
+      res.push({ t1, t2, err: T_EPSILON });
+    }
+  }
+  return res;
+}
+
+// get the search function of intersections for a strategy
+function intersectionSearch(strategy) {
+  switch (strategy) {
+  case undefined:
+  case "subdivision":
+    return _intersectionsWithSpecialPoints;
+  case "clipping":
+    return _intersectionsByClipping;
+  default:
+    throw new Error("unknown strategy: " + String(strategy));
+  }
+}
+
+// maximum number of Newton iterations to refine an intersection
+const REFINE_MAX_ITERATION = 16;
+
+// checks if two intersections close to each other are the same one,
+// i.e. the edges do not separate between them beyond the rounding errors of the points
+function isSameIntersection(edge1, edge2, r1, r2) {
+  const distanceAt = (t1, t2) => edge1.pointAt(t1).sub(edge2.pointAt(t2)).length();
+  const p = edge1.pointAt(r1.t1);
+  const noise = X_EPSILON * Math.max(1, Math.abs(p.x), Math.abs(p.y));
+  const between = distanceAt((r1.t1 + r2.t1) / 2, (r1.t2 + r2.t2) / 2);
+  return between <= Math.max(distanceAt(r1.t1, r1.t2), distanceAt(r2.t1, r2.t2)) + noise;
+}
+
+// refine an intersection found by the search with Newton iteration on the points of the edges,
+// which falls back to the estimate by the search if the iteration diverges
+function refineIntersection(edge1, edge2, t1, t2, err) {
+  // the residual of the exact intersections is zero
+  if (err === 0) {
+    return { t1, t2 };
+  }
+  // the estimate can be farther from the intersection than `err`, so the iteration is not
+  // confined to its neighborhood but only continues while the residual decreases
+  const inDomain = (s1, s2) =>
+    s1 >= 0 && s1 <= 1 && s2 >= 0 && s2 <= 1
+    // do not approach the trivial solution of self-intersections
+    && (edge1 !== edge2 || Math.abs(s1 - s2) > err);
+  let best = { t1, t2, residual: edge1.pointAt(t1).sub(edge2.pointAt(t2)).length() };
+  let [s1, s2] = [t1, t2];
+  for (let i = 0; i < REFINE_MAX_ITERATION && best.residual > 0; i++) {
+    // solve d1 * dt1 - d2 * dt2 = p2 - p1
+    const f = edge2.pointAt(s2).sub(edge1.pointAt(s1));
+    const d1 = edge1.derivativeAt(s1);
+    const d2 = edge2.derivativeAt(s2);
+    const det = d2.outerProd(d1);
+    if (det === 0) {
+      break;
+    }
+    s1 += d2.outerProd(f) / det;
+    s2 += d1.outerProd(f) / det;
+    if (!inDomain(s1, s2)) {
+      break;
+    }
+    const residual = edge1.pointAt(s1).sub(edge2.pointAt(s2)).length();
+    if (!(residual < best.residual)) {
+      break;
+    }
+    best = { t1: s1, t2: s2, residual };
+  }
+  return { t1: best.t1, t2: best.t2 };
+}
+
+// refine intersections, and remove those converged to the same one
+function refineIntersections(edge1, edge2, res, epsilon) {
+  const refined = [];
+  for (const r of res) {
+    const { t1, t2 } = refineIntersection(edge1, edge2, r.t1, r.t2, r.err);
+    const converged = refined.some(q => {
+      const err = Math.max(r.err, q.err, epsilon);
+      return approx(q.t1, t1, err) && approx(q.t2, t2, err)
+        && isSameIntersection(edge1, edge2, q, { t1, t2 });
+    });
+    if (!converged) {
+      refined.push({ t1, t2, err: r.err });
+    }
+  }
+  return refined;
+}
+
 /**
  * Compute intersecions of two edges.
  *
@@ -1094,23 +3080,47 @@ function mergeNeighboringPoints(res, epsilon = 2 * T_EPSILON) {
  * @param {number} depth - Search depth.
  * @param {number} [epsilon=16 * Number.EPSILON] - Minimum difference in t value of distinct intersections.
  * @param {number} [maxIteration=-1] - Maximum number of iterations. No limitation if negative.
- * @returns {Array<{ t1: number, t2: number, point: Point }>|undefined} - An array of the intersections.
- * If there are infinitely many intersections, it returns `undefined`.
+ * @param {boolean} [refine=false] - Whether to refine the intersection points with Newton iteration or not.
+ * @param {string} [strategy] - `"subdivision"` or `"clipping"`, or the closed form where possible if omitted.
+ * @returns {Array<{ t1: number, t2: number, point: Point, type: string, sign: number, residual: number }|{ t1Range: Array<number>, t2Range: Array<number> }>|undefined}
+ * - An array of the intersection points followed by the overlapping parts of the edges.
+ * `type` is `"transversal"`, `"tangent"` or `"endpoint"`, `sign` is the sign of the cross product
+ * of the tangents, and `residual` is the distance between the points of the edges.
+ * `t1Range` is in ascending order, and `t2Range` corresponds to it.
+ * If the intersections are not resolved, e.g. there are infinitely many ones not found as
+ * overlapping parts, it returns `undefined`.
+ * @throws {Error} If the strategy is unknown.
  */
-export function intersections(edge1, edge2, depth, epsilon = 2 * T_EPSILON, maxIteration = -1) {
+export function intersections(
+  edge1, edge2, depth,
+  epsilon = 2 * T_EPSILON, maxIteration = -1, refine = false, strategy = undefined
+) {
+  const search = intersectionSearch(strategy);
   if (edge1.degree() === 1 && edge2.degree() === 1) {
     return intersectionsLL(edge1, edge2);
   }
-  const res = _intersectionsWithSpecialPoints(
+  // edges never intersect if their bounding boxes are apart
+  if (edge1.boundingBox().intersection(edge2.boundingBox()) === undefined) {
+    return [];
+  }
+  // clipping applies only to Bezier curves, and the other edges are searched by subdivision
+  const clippable = bezierControlPoints(edge1) !== undefined
+    && bezierControlPoints(edge2) !== undefined;
+  const res = _intersectionsWithOverlaps(
     edge1, edge2,
     edge1.extremePoints(), edge2.extremePoints(),
-    depth, epsilon, maxIteration
+    depth, epsilon, maxIteration,
+    strategy === undefined && isImplicitizable(edge1, edge2) ? _intersectionsByImplicitization
+    : clippable ? search
+    : _intersectionsWithSpecialPoints
   );
   if (res === undefined) {
     return undefined;
   }
-  return mergeNeighboringPoints(res, epsilon)
-    .map(r => pointFromParams(edge1, edge2, r.t1, r.t2));
+  const merged = mergeNeighboringPoints(res.points, epsilon);
+  return (refine ? refineIntersections(edge1, edge2, merged, epsilon) : merged)
+    .map(r => pointFromParams(edge1, edge2, r.t1, r.t2))
+    .concat(res.overlaps);
 }
 
 /**
@@ -1120,11 +3130,20 @@ export function intersections(edge1, edge2, depth, epsilon = 2 * T_EPSILON, maxI
  * @param {number} depth - Search depth.
  * @param {number} [epsilon=16 * Number.EPSILON] - Minimum difference in t value of distinct intersections.
  * @param {number} [maxIteration=-1] - Maximum number of iterations. No limitation if negative.
- * @returns {Array<{ t1: number, t2: number, point: Point }>|undefined} - An array of the intersections.
- * If there are infinitely many intersections, it returns `undefined`.
+ * @param {boolean} [refine=false] - Whether to refine the intersection points found by subdivision
+ * with Newton iteration or not.
+ * @returns {Array<{ t1: number, t2: number, point: Point, type: string, sign: number, residual: number }|{ t1Range: Array<number>, t2Range: Array<number> }>|undefined}
+ * - An array of the intersections, where `t1` is less than `t2`.
+ * If the edge overlaps itself, the overlapping parts are reported in the same way as
+ * {@link intersections}, where `t1Range` lies before `t2Range`.
+ * It returns `undefined` in the same case as {@link intersections}.
  */
-export function selfIntersections(edge, depth, epsilon = 2 * T_EPSILON, maxIteration = -1) {
+export function selfIntersections(
+  edge, depth,
+  epsilon = 2 * T_EPSILON, maxIteration = -1, refine = false
+) {
   const res = [];
+  const overlaps = [];
   const eps = edge.extremePoints().sort((ep1, ep2) => ep1.t - ep2.t);
   const splits = [];
   {
@@ -1151,7 +3170,7 @@ export function selfIntersections(edge, depth, epsilon = 2 * T_EPSILON, maxItera
         sp1.push({ t: 1, point: s1.edge.end });
       }
       const sp2 = [{ t: 1, point: s2.edge.end }];
-      const rs = _intersectionsWithSpecialPoints(
+      const rs = _intersectionsWithOverlaps(
         s1.edge, s2.edge,
         sp1, sp2,
         depth, epsilon, maxIteration
@@ -1159,13 +3178,65 @@ export function selfIntersections(edge, depth, epsilon = 2 * T_EPSILON, maxItera
       if (rs === undefined) {
         return undefined;
       }
-      for (const r of rs) {
+      for (const r of rs.points) {
         const t1 = s1.t + s1.ratio * r.t1;
         const t2 = s2.t + s2.ratio * r.t2;
         res.push({ t1, t2, err: r.err });
       }
+      for (const ov of rs.overlaps) {
+        overlaps.push({
+          t1Range: ov.t1Range.map(t => s1.t + s1.ratio * t),
+          t2Range: ov.t2Range.map(t => s2.t + s2.ratio * t)
+        });
+      }
     }
   }
-  return mergeNeighboringPoints(res, epsilon)
-    .map(r => pointFromParams(edge, edge, r.t1, r.t2));
+  // the overlapping parts are found separately for each pair of the split edges
+  const merged = mergeOverlaps(overlaps);
+  const points = mergeNeighboringPoints(
+    res.filter(r => !isInOverlaps(r.t1, r.t2, merged)),
+    epsilon
+  );
+  return (refine ? refineIntersections(edge, edge, points, epsilon) : points)
+    .map(r => pointFromParams(edge, edge, r.t1, r.t2))
+    .concat(merged);
+}
+
+/**
+ * Remap the parameters of intersections to those of the reversed edges (see {@link Line#reverse}),
+ * so that the results for the original edges can be reused after reversing them.
+ * The ends of overlapping parts are swapped if needed, so that `t1Range` is kept in ascending order.
+ * For self-intersections, pass `true` for both; note that `t1` is then greater than `t2`.
+ * The signs of the intersection points are flipped if only one of the edges is reversed.
+ *
+ * @param {Array<{ t1: number, t2: number, point: Point, type: string, sign: number, residual: number }|{ t1Range: Array<number>, t2Range: Array<number> }>|undefined} results
+ * - An array of the intersections returned from {@link intersections} or {@link selfIntersections}.
+ * @param {boolean} [reversed1=true] - Whether the first edge is reversed or not.
+ * @param {boolean} [reversed2=false] - Whether the second edge is reversed or not.
+ * @returns {Array<{ t1: number, t2: number, point: Point, type: string, sign: number, residual: number }|{ t1Range: Array<number>, t2Range: Array<number> }>|undefined}
+ * - An array of the remapped intersections. If `results` is `undefined`, returns `undefined`.
+ */
+export function reverseIntersections(results, reversed1 = true, reversed2 = false) {
+  if (results === undefined) {
+    return undefined;
+  }
+  const remap1 = t => reversed1 ? 1 - t : t;
+  const remap2 = t => reversed2 ? 1 - t : t;
+  return results.map(r => {
+    if (r.t1Range !== undefined) {
+      const t1Range = r.t1Range.map(remap1);
+      const t2Range = r.t2Range.map(remap2);
+      return t1Range[0] <= t1Range[1]
+        ? { t1Range, t2Range }
+        : { t1Range: t1Range.reverse(), t2Range: t2Range.reverse() };
+    }
+    return {
+      t1      : remap1(r.t1),
+      t2      : remap2(r.t2),
+      point   : r.point.clone(),
+      type    : r.type,
+      sign    : reversed1 !== reversed2 && r.sign !== 0 ? -r.sign : r.sign,
+      residual: r.residual
+    };
+  });
 }
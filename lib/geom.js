@@ -194,6 +194,19 @@ export class Point {
       (this.y - center.y) * ratioY + center.y
     );
   }
+
+  /**
+   * Transform the point by an affine transformation matrix.
+   *
+   * @param {Matrix} matrix - A transformation matrix.
+   * @returns {Point} The transformed point object.
+   */
+  transform(matrix) {
+    return new Point(
+      matrix.a * this.x + matrix.c * this.y + matrix.e,
+      matrix.b * this.x + matrix.d * this.y + matrix.f
+    );
+  }
 }
 
 
@@ -236,6 +249,26 @@ export class Rectangle {
     this.height = height;
   }
 
+  /**
+   * Create the smallest rectangle that contains all the given points.
+   *
+   * @param {Array<Point>} points - An array of points.
+   * @returns {Rectangle|undefined} A rectangle object that bounds the points.
+   * If the array is empty, returns `undefined`.
+   */
+  static fromPoints(points) {
+    if (points.length === 0) {
+      return undefined;
+    }
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const left   = Math.min(...xs);
+    const right  = Math.max(...xs);
+    const top    = Math.min(...ys);
+    const bottom = Math.max(...ys);
+    return new Rectangle(left, top, right - left, bottom - top);
+  }
+
   /**
    * Create a copy of the rectangle object.
    *
@@ -317,6 +350,24 @@ export class Rectangle {
     return new Point(this.right(), this.bottom());
   }
 
+  /**
+   * Get the center of the rectangle as a point.
+   *
+   * @returns {Point} A point at the center of the rectangle.
+   */
+  center() {
+    return new Point(this.x + this.width / 2, this.y + this.height / 2);
+  }
+
+  /**
+   * Compute the area of the rectangle.
+   *
+   * @returns {number} The area of the rectangle.
+   */
+  area() {
+    return this.width * this.height;
+  }
+
   /**
    * Checks if both the width and height of the rectangle are 0.
    *
@@ -339,6 +390,19 @@ export class Rectangle {
     return x && y;
   }
 
+  /**
+   * Checks if the rectangle contains another rectangle.
+   * Unlike {@link Rectangle#contains}, the rectangles are considered to be closed
+   * i.e. a rectangle that touches the edge from inside is contained.
+   *
+   * @param {Rectangle} rect - A rectangle object to be checked.
+   * @returns {boolean} `true` if the rectangle is contained.
+   */
+  containsRect(rect) {
+    return this.left() <= rect.left() && rect.right() <= this.right()
+      && this.top() <= rect.top() && rect.bottom() <= this.bottom();
+  }
+
   /**
    * Checks if a point is on the edge of the rectangle.
    *
@@ -379,4 +443,342 @@ export class Rectangle {
       && (this.left() <= rect.right() && rect.left() <= this.right());
     return x || y;
   }
+
+  /**
+   * Compute the smallest rectangle that contains both the rectangle and another rectangle.
+   *
+   * @param {Rectangle} rect - A rectangle object.
+   * @returns {Rectangle} The union of the rectangles.
+   */
+  union(rect) {
+    const left   = Math.min(this.left(), rect.left());
+    const right  = Math.max(this.right(), rect.right());
+    const top    = Math.min(this.top(), rect.top());
+    const bottom = Math.max(this.bottom(), rect.bottom());
+    return new Rectangle(left, top, right - left, bottom - top);
+  }
+
+  /**
+   * Compute the common part of the rectangle and another rectangle.
+   * Rectangles are considered to be closed, so the result can have zero width or height
+   * if they only contact.
+   *
+   * @param {Rectangle} rect - A rectangle object.
+   * @returns {Rectangle|undefined} The intersection of the rectangles.
+   * If they have no common part, returns `undefined`.
+   */
+  intersection(rect) {
+    const left   = Math.max(this.left(), rect.left());
+    const right  = Math.min(this.right(), rect.right());
+    const top    = Math.max(this.top(), rect.top());
+    const bottom = Math.min(this.bottom(), rect.bottom());
+    if (left > right || top > bottom) {
+      return undefined;
+    }
+    return new Rectangle(left, top, right - left, bottom - top);
+  }
+
+  /**
+   * Expand the rectangle by the specified amounts on each side.
+   * If the amounts are negative, the rectangle shrinks,
+   * but it never gets smaller than a point or a line at the center.
+   *
+   * @param {number} dx - The amount by which both the left and right sides move outwards.
+   * @param {number} [dy=dx] - The amount by which both the top and bottom move outwards.
+   * @returns {Rectangle} The expanded rectangle.
+   */
+  expand(dx, dy = dx) {
+    const center = this.center();
+    const width = Math.max(this.width + 2 * dx, 0);
+    const height = Math.max(this.height + 2 * dy, 0);
+    return new Rectangle(center.x - width / 2, center.y - height / 2, width, height);
+  }
+
+  /**
+   * Shrink the rectangle by the specified amounts on each side.
+   * This is equivalent to {@link Rectangle#expand} with negated amounts.
+   *
+   * @param {number} dx - The amount by which both the left and right sides move inwards.
+   * @param {number} [dy=dx] - The amount by which both the top and bottom move inwards.
+   * @returns {Rectangle} The shrunk rectangle.
+   */
+  inset(dx, dy = dx) {
+    return this.expand(-dx, -dy);
+  }
+
+  /**
+   * Compute the distance from a point to the rectangle.
+   * It is the distance to the nearest point in the rectangle, so 0 if the point is inside.
+   *
+   * @param {Point} point - A point object.
+   * @returns {number} The distance.
+   */
+  distanceTo(point) {
+    const dx = Math.max(this.left() - point.x, 0, point.x - this.right());
+    const dy = Math.max(this.top() - point.y, 0, point.y - this.bottom());
+    return Math.sqrt(dx ** 2 + dy ** 2);
+  }
+
+  /**
+   * Transform the rectangle by an affine transformation matrix.
+   * Since the transformed rectangle is not axis-aligned in general,
+   * the result is the bounding box of the transformed corners.
+   *
+   * @param {Matrix} matrix - A transformation matrix.
+   * @returns {Rectangle} A rectangle object that bounds the transformed rectangle.
+   */
+  transform(matrix) {
+    const corners = [this.topLeft(), this.topRight(), this.bottomLeft(), this.bottomRight()];
+    return Rectangle.fromPoints(corners.map(p => p.transform(matrix)));
+  }
+}
+
+
+/**
+ * A {@link Matrix} object represents an affine transformation on the 2D space.
+ *
+ * Following the convention of SVG, the matrix
+ *
+ * ```
+ * | a c e |
+ * | b d f |
+ * | 0 0 1 |
+ * ```
+ *
+ * maps a point `(x, y)` to `(a x + c y + e, b x + d y + f)`.
+ */
+export class Matrix {
+  /**
+   * Create a new {@link Matrix} object.
+   *
+   * @param {number} a - The component at row 1, column 1.
+   * @param {number} b - The component at row 2, column 1.
+   * @param {number} c - The component at row 1, column 2.
+   * @param {number} d - The component at row 2, column 2.
+   * @param {number} e - The component at row 1, column 3, i.e. the translation along X-axis.
+   * @param {number} f - The component at row 2, column 3, i.e. the translation along Y-axis.
+   */
+  constructor(a, b, c, d, e, f) {
+    /**
+     * The component at row 1, column 1.
+     *
+     * @type {number}
+     */
+    this.a = a;
+    /**
+     * The component at row 2, column 1.
+     *
+     * @type {number}
+     */
+    this.b = b;
+    /**
+     * The component at row 1, column 2.
+     *
+     * @type {number}
+     */
+    this.c = c;
+    /**
+     * The component at row 2, column 2.
+     *
+     * @type {number}
+     */
+    this.d = d;
+    /**
+     * The component at row 1, column 3.
+     *
+     * @type {number}
+     */
+    this.e = e;
+    /**
+     * The component at row 2, column 3.
+     *
+     * @type {number}
+     */
+    this.f = f;
+  }
+
+  /**
+   * Create the identity matrix.
+   *
+   * @returns {Matrix} The identity matrix.
+   */
+  static identity() {
+    return new Matrix(1, 0, 0, 1, 0, 0);
+  }
+
+  /**
+   * Create a matrix of translation.
+   *
+   * @param {Point} dist - The distance of translation for both X and Y directions.
+   * @returns {Matrix} A transformation matrix.
+   */
+  static translation(dist) {
+    return new Matrix(1, 0, 0, 1, dist.x, dist.y);
+  }
+
+  /**
+   * Create a matrix of rotation around the specified center.
+   *
+   * @param {number} angle - The rotation angle, in radian.
+   * @param {Point} [center=new Point(0, 0)] - The center point of rotation.
+   * @returns {Matrix} A transformation matrix.
+   */
+  static rotation(angle, center = new Point(0, 0)) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return new Matrix(
+      cos, sin, -sin, cos,
+      center.x - cos * center.x + sin * center.y,
+      center.y - sin * center.x - cos * center.y
+    );
+  }
+
+  /**
+   * Create a matrix of scaling around the specified center.
+   *
+   * @param {number} ratioX - Scaling ratio for X direction.
+   * @param {number} ratioY - Scaling ratio for Y direction.
+   * @param {Point} [center=new Point(0, 0)] - The center point of scaling.
+   * @returns {Matrix} A transformation matrix.
+   */
+  static scaling(ratioX, ratioY, center = new Point(0, 0)) {
+    return new Matrix(
+      ratioX, 0, 0, ratioY,
+      center.x * (1 - ratioX),
+      center.y * (1 - ratioY)
+    );
+  }
+
+  /**
+   * Create a matrix of skewing, like `skewX` and `skewY` of SVG.
+   *
+   * @param {number} angleX - The skew angle along X-axis, in radian.
+   * @param {number} [angleY=0] - The skew angle along Y-axis, in radian.
+   * @returns {Matrix} A transformation matrix.
+   */
+  static skewing(angleX, angleY = 0) {
+    return new Matrix(1, Math.tan(angleY), Math.tan(angleX), 1, 0, 0);
+  }
+
+  /**
+   * Retrieve a {@link Matrix} object from a pure object representation.
+   * This is an inverse function of {@link Matrix#serialize}.
+   *
+   * @param {Object} obj - An object representing a matrix.
+   * @returns {Matrix} A {@link Matrix} object.
+   */
+  static deserialize(obj) {
+    return new Matrix(obj[0], obj[1], obj[2], obj[3], obj[4], obj[5]);
+  }
+
+  /**
+   * Return a pure object representation of the matrix.
+   *
+   * @returns {Object} An object representing the matrix.
+   */
+  serialize() {
+    return [this.a, this.b, this.c, this.d, this.e, this.f];
+  }
+
+  /**
+   * Create a copy of the {@link Matrix} object.
+   *
+   * @returns {Matrix} A copy of the {@link Matrix} object.
+   */
+  clone() {
+    return new Matrix(this.a, this.b, this.c, this.d, this.e, this.f);
+  }
+
+  /**
+   * Check if the matrix is identical to another matrix.
+   *
+   * @param {Matrix} matrix - A {@link Matrix} object to compare with.
+   * @returns {boolean} `true` if two matrices are identical.
+   */
+  equals(matrix) {
+    return this.a === matrix.a && this.b === matrix.b
+      && this.c === matrix.c && this.d === matrix.d
+      && this.e === matrix.e && this.f === matrix.f;
+  }
+
+  /**
+   * Compute the determinant of the matrix.
+   * It is negative if the transformation flips the orientation.
+   *
+   * @returns {number} The determinant.
+   */
+  determinant() {
+    return this.a * this.d - this.b * this.c;
+  }
+
+  /**
+   * Multiply another matrix from the right.
+   * The resulting matrix represents the transformation that applies `matrix` first, and then this.
+   *
+   * @param {Matrix} matrix - A {@link Matrix} object.
+   * @returns {Matrix} The product of the matrices.
+   */
+  multiply(matrix) {
+    return new Matrix(
+      this.a * matrix.a + this.c * matrix.b,
+      this.b * matrix.a + this.d * matrix.b,
+      this.a * matrix.c + this.c * matrix.d,
+      this.b * matrix.c + this.d * matrix.d,
+      this.a * matrix.e + this.c * matrix.f + this.e,
+      this.b * matrix.e + this.d * matrix.f + this.f
+    );
+  }
+
+  /**
+   * Compute the inverse matrix.
+   *
+   * @returns {Matrix|undefined} The inverse matrix.
+   * If the matrix is not invertible, returns `undefined`.
+   */
+  invert() {
+    const det = this.determinant();
+    if (det === 0) {
+      return undefined;
+    }
+    return new Matrix(
+      this.d / det,
+      -this.b / det,
+      -this.c / det,
+      this.a / det,
+      (this.c * this.f - this.d * this.e) / det,
+      (this.b * this.e - this.a * this.f) / det
+    );
+  }
+
+  /**
+   * Decompose the matrix into translation, rotation, skewing and scaling.
+   * The matrix is equal to the product
+   * `translation(translation) rotation(rotation) skewing(skew) scaling(scaleX, scaleY)`.
+   * If the transformation flips the orientation, `scaleY` is negative.
+   * A singular matrix can be decomposed only if either of its columns `(a, b)` and `(c, d)`
+   * is zero, since the skewing cannot map the second axis onto the first one.
+   *
+   * @returns {{ translation: Point, rotation: number, skew: number, scaleX: number, scaleY: number }}
+   * An object that contains the components.
+   * @throws {RangeError} If the matrix is singular and both of its columns are nonzero.
+   */
+  decompose() {
+    const translation = new Point(this.e, this.f);
+    const scaleX = Math.sqrt(this.a ** 2 + this.b ** 2);
+    if (scaleX === 0) {
+      const scaleY = Math.sqrt(this.c ** 2 + this.d ** 2);
+      const rotation = Math.atan2(-this.c, this.d);
+      return { translation, rotation, skew: 0, scaleX, scaleY };
+    }
+    const rotation = Math.atan2(this.b, this.a);
+    const scaleY = this.determinant() / scaleX;
+    if (scaleY === 0) {
+      if (this.c !== 0 || this.d !== 0) {
+        throw new RangeError("singular matrix cannot be decomposed: " + String(this.serialize()));
+      }
+      return { translation, rotation, skew: 0, scaleX, scaleY };
+    }
+    const skew = Math.atan((this.a * this.c + this.b * this.d) / (scaleX * scaleY));
+    return { translation, rotation, skew, scaleX, scaleY };
+  }
 }
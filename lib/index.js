@@ -1,2 +1,14 @@
-export { Point, Rectangle } from "./geom.js";
-export { Line, QuadraticBezier, CubicBezier, intersections, selfIntersections } from "./edges.js";
+export { Point, Rectangle, Matrix } from "./geom.js";
+export {
+  Line, QuadraticBezier, CubicBezier, intersections, selfIntersections, reverseIntersections
+} from "./edges.js";
+export { Arc } from "./arc.js";
+export {
+  windingNumber, containsPoint, signedArea, centroid, orientation
+} from "./contour.js";
+export { union, intersect, difference, xor } from "./boolean.js";
+export { strokeOutline } from "./stroke.js";
+export { dash } from "./dash.js";
+export { Anchor } from "./anchor.js";
+export { Path } from "./path.js";
+export { PathDataSyntaxError, parsePathData, stringifyPathData } from "./svg.js";
@@ -113,3 +113,171 @@ export function solveCubicEq(c0, c1, c2, c3) {
     }
   }
 }
+
+// number of Newton iterations to polish the roots of a quartic equation
+const QUARTIC_POLISH_ITERATION = 2;
+
+/**
+ * Solves a quartic equation `c0 + c1 x + c2 x^2 + c3 x^3 + c4 x^4 = 0`.
+ *
+ * The roots are computed by Ferrari's method and then polished by Newton's method,
+ * since the method loses precision through the resolvent cubic equation.
+ * A multiple root may be reported more than once.
+ *
+ * @private
+ * @param {number} c0 - Coefficient of 0th term.
+ * @param {number} c1 - Coefficient of 1st term.
+ * @param {number} c2 - Coefficient of 2nd term.
+ * @param {number} c3 - Coefficient of 3rd term.
+ * @param {number} c4 - Coefficient of 4th term.
+ * @returns {Array<number>|undefined} An array of solutions.
+ * If there are infinitely many solutions, returns `undefined`.
+ */
+export function solveQuarticEq(c0, c1, c2, c3, c4) {
+  if (c4 === 0) {
+    return solveCubicEq(c0, c1, c2, c3);
+  }
+  const a0 = c0 / c4;
+  const a1 = c1 / c4;
+  const a2 = c2 / c4;
+  const a3 = c3 / c4;
+  // depressed quartic `y^4 + p y^2 + q y + r = 0`, where `x = y - s`
+  const s = a3 / 4;
+  const p = a2 - 6 * s ** 2;
+  const q = a1 - 2 * a2 * s + 8 * s ** 3;
+  const r = a0 - a1 * s + a2 * s ** 2 - 3 * s ** 4;
+  // a positive root of the resolvent cubic `8 m^3 + 8 p m^2 + (2 p^2 - 8 r) m - q^2 = 0`
+  // makes the depressed quartic the difference of two squares
+  const m = q === 0 ? 0 : Math.max(...solveCubicEq(-(q ** 2), 2 * p ** 2 - 8 * r, 8 * p, 8));
+  let ys;
+  if (m <= 0) {
+    // biquadratic
+    ys = [];
+    for (const z of solveQuadraticEq(r, p, 1)) {
+      if (z > 0) {
+        ys.push(Math.sqrt(z), -Math.sqrt(z));
+      }
+      else if (z === 0) {
+        ys.push(0);
+      }
+    }
+  }
+  else {
+    const w = Math.sqrt(2 * m);
+    ys = solveQuadraticEq(p / 2 + m + q / (2 * w), -w, 1)
+      .concat(solveQuadraticEq(p / 2 + m - q / (2 * w), w, 1));
+  }
+  const f = x => (((c4 * x + c3) * x + c2) * x + c1) * x + c0;
+  const df = x => ((4 * c4 * x + 3 * c3) * x + 2 * c2) * x + c1;
+  return ys.map(y => {
+    let x = y - s;
+    for (let i = 0; i < QUARTIC_POLISH_ITERATION; i++) {
+      const d = df(x);
+      if (d === 0) {
+        break;
+      }
+      const next = x - f(x) / d;
+      if (!(Math.abs(f(next)) < Math.abs(f(x)))) {
+        break;
+      }
+      x = next;
+    }
+    return x;
+  });
+}
+
+// nodes and weights of the 5-point Gauss-Legendre quadrature on [-1, 1]
+const GL_NODES = [
+  0,
+  -0.5384693101056831, 0.5384693101056831,
+  -0.9061798459386640, 0.9061798459386640
+];
+const GL_WEIGHTS = [
+  0.5688888888888889,
+  0.4786286704993665, 0.4786286704993665,
+  0.2369268850561891, 0.2369268850561891
+];
+
+// integrate a function on [a, b] by the 5-point Gauss-Legendre quadrature
+function gaussLegendre(f, a, b) {
+  const m = (a + b) / 2;
+  const h = (b - a) / 2;
+  let sum = 0;
+  for (let i = 0; i < GL_NODES.length; i++) {
+    sum += GL_WEIGHTS[i] * f(m + h * GL_NODES[i]);
+  }
+  return sum * h;
+}
+
+// integrate adaptively by bisecting the interval until the estimated error gets small enough
+function integrateAdaptive(f, a, b, whole, tolerance, depth) {
+  const m = (a + b) / 2;
+  const left = gaussLegendre(f, a, m);
+  const right = gaussLegendre(f, m, b);
+  if (depth <= 0 || Math.abs(left + right - whole) <= tolerance) {
+    return left + right;
+  }
+  return integrateAdaptive(f, a, m, left, tolerance / 2, depth - 1)
+    + integrateAdaptive(f, m, b, right, tolerance / 2, depth - 1);
+}
+
+/**
+ * Computes the definite integral of a function by the adaptive Gauss-Legendre quadrature.
+ *
+ * @private
+ * @param {function(number): number} f - A function to be integrated.
+ * @param {number} a - The lower bound.
+ * @param {number} b - The upper bound.
+ * @param {number} [tolerance=1e-9] - The maximum absolute error allowed.
+ * @param {number} [maxDepth=16] - The maximum depth of bisection.
+ * @returns {number} The integral of `f` from `a` to `b`.
+ */
+export function integrate(f, a, b, tolerance = 1e-9, maxDepth = 16) {
+  if (a === b) {
+    return 0;
+  }
+  return integrateAdaptive(f, a, b, gaussLegendre(f, a, b), tolerance, maxDepth);
+}
+
+/**
+ * Solves an equation `f(x) = y` on `[a, b]` for a monotonically increasing function `f`,
+ * by Newton's method safeguarded by bisection.
+ *
+ * @private
+ * @param {function(number): number} f - A monotonically increasing function.
+ * @param {function(number): number} df - The derivative of `f`.
+ * @param {number} y - The target value.
+ * @param {number} a - The lower bound.
+ * @param {number} b - The upper bound.
+ * @param {number} [tolerance=1e-9] - The maximum absolute error of `f(x)` allowed.
+ * @param {number} [maxIteration=64] - The maximum number of iterations.
+ * @returns {number} The solution. If `y` is out of the range of `f`, returns `a` or `b`.
+ */
+export function solveMonotoneEq(f, df, y, a, b, tolerance = 1e-9, maxIteration = 64) {
+  const fa = f(a);
+  if (y <= fa) {
+    return a;
+  }
+  const fb = f(b);
+  if (y >= fb) {
+    return b;
+  }
+  let lo = a;
+  let hi = b;
+  let x = a + (b - a) * (y - fa) / (fb - fa);
+  for (let i = 0; i < maxIteration; i++) {
+    const r = f(x) - y;
+    if (Math.abs(r) <= tolerance) {
+      break;
+    }
+    if (r < 0) {
+      lo = x;
+    }
+    else {
+      hi = x;
+    }
+    const next = x - r / df(x);
+    x = lo < next && next < hi ? next : (lo + hi) / 2;
+  }
+  return x;
+}
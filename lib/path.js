@@ -0,0 +1,215 @@
+import { Line, QuadraticBezier, CubicBezier } from "./edges.js";
+import { Anchor } from "./anchor.js";
+import { windingNumber, containsPoint, signedArea, centroid, orientation } from "./contour.js";
+import { strokeOutline } from "./stroke.js";
+import { dash } from "./dash.js";
+
+/**
+ * A {@link Path} object represents a sequence of anchors, which is either open or closed.
+ *
+ * The edge between two consecutive anchors is determined by the control points:
+ * the head of the former anchor and the tail of the latter anchor.
+ * It is a {@link CubicBezier} if both exist, a {@link QuadraticBezier} if only one of them exists,
+ * and a {@link Line} if neither exists.
+ */
+export class Path {
+  /**
+   * Create a new {@link Path} object.
+   *
+   * @param {Array<Anchor>} [anchors=[]] - An array of anchors.
+   * @param {boolean} [closed=false] - Whether the path is closed or not.
+   */
+  constructor(anchors = [], closed = false) {
+    /**
+     * An array of anchors.
+     *
+     * @type {Array<Anchor>}
+     */
+    this.anchors = anchors;
+    /**
+     * Whether the path is closed or not.
+     *
+     * @type {boolean}
+     */
+    this.closed = closed;
+  }
+
+  /**
+   * Retrieve a path object from pure object representation.
+   * This is an inverse function of {@link Path#serialize}.
+   *
+   * @param {Object} obj - A pure object representation of a path.
+   * @returns {Path} A {@link Path} object.
+   */
+  static deserialize(obj) {
+    return new Path(
+      obj.anchors.map(anchor => Anchor.deserialize(anchor)),
+      !!obj.closed
+    );
+  }
+
+  /**
+   * Return a pure object representation of the path.
+   *
+   * @returns {Object} A pure object representation of the path.
+   */
+  serialize() {
+    return {
+      anchors: this.anchors.map(anchor => anchor.serialize()),
+      closed : this.closed
+    };
+  }
+
+  /**
+   * Create a deep copy of the path.
+   *
+   * @returns {Path} A copy of the path.
+   */
+  clone() {
+    return new Path(this.anchors.map(anchor => anchor.clone()), this.closed);
+  }
+
+  /**
+   * Create a copy of the path in the reverse direction.
+   * The edges of the reversed path are the reversed edges of the path in the reverse order
+   * (see {@link Line#reverse}), and a closed path keeps the first anchor.
+   *
+   * @returns {Path} The reversed path.
+   */
+  reverse() {
+    const anchors = this.anchors.map(anchor => anchor.reverse()).reverse();
+    if (this.closed && anchors.length > 0) {
+      anchors.unshift(anchors.pop());
+    }
+    return new Path(anchors, this.closed);
+  }
+
+  /**
+   * Get the edges of the path.
+   * If the path is closed, the edge from the last anchor to the first anchor is also included.
+   *
+   * @returns {Array<IEdge>} An array of edges.
+   */
+  edges() {
+    const edges = [];
+    const len = this.anchors.length;
+    for (let i = 0; i < len - 1; i++) {
+      edges.push(edgeBetween(this.anchors[i], this.anchors[i + 1]));
+    }
+    if (this.closed && len >= 2) {
+      edges.push(edgeBetween(this.anchors[len - 1], this.anchors[0]));
+    }
+    return edges;
+  }
+
+  /**
+   * Compute the winding number of the path around a point.
+   * If the path is open, it is regarded as closed by a line segment, in the same way as it is filled.
+   *
+   * @param {Point} point - A point.
+   * @returns {number} The winding number.
+   */
+  windingNumber(point) {
+    return windingNumber(fillEdges(this), point);
+  }
+
+  /**
+   * Checks if the region filled by the fill rule contains a point.
+   * If the path is open, it is regarded as closed by a line segment, in the same way as it is filled.
+   *
+   * @param {Point} point - A point.
+   * @param {string} [fillRule="nonzero"] - A fill rule, `"nonzero"` or `"evenodd"`.
+   * @returns {boolean} `true` if the path contains the point.
+   * @throws {Error} If the fill rule is unknown.
+   */
+  containsPoint(point, fillRule = "nonzero") {
+    return containsPoint(fillEdges(this), point, fillRule);
+  }
+
+  /**
+   * Compute the signed area enclosed by the path.
+   * If the path is open, it is regarded as closed by a line segment, in the same way as it is filled.
+   *
+   * @returns {number} The signed area, which is positive if the path is counterclockwise.
+   */
+  signedArea() {
+    return signedArea(fillEdges(this));
+  }
+
+  /**
+   * Compute the centroid of the region enclosed by the path.
+   * If the path is open, it is regarded as closed by a line segment, in the same way as it is filled.
+   *
+   * @returns {Point|undefined} The centroid. If the signed area is zero, returns `undefined`.
+   */
+  centroid() {
+    return centroid(fillEdges(this));
+  }
+
+  /**
+   * Determine the orientation of the path.
+   * If the path is open, it is regarded as closed by a line segment, in the same way as it is filled.
+   *
+   * @returns {number} `1` if counterclockwise, `-1` if clockwise, and `0` if the signed area is zero,
+   * where the Y axis is assumed to point upward.
+   */
+  orientation() {
+    return orientation(fillEdges(this));
+  }
+
+  /**
+   * Compute the outline of the stroke of the path.
+   * See {@link strokeOutline} for the detail.
+   *
+   * @param {number} width - The stroke width.
+   * @param {string} [cap="butt"] - The shape of the ends, `"butt"`, `"round"` or `"square"`.
+   * @param {string} [join="miter"] - The shape of the joins, `"miter"`, `"round"` or `"bevel"`.
+   * @param {number} [miterLimit=4] - The miter limit.
+   * @param {number} [tolerance=1e-3] - The maximum error allowed for offsetting curves.
+   * @returns {Array<Array<IEdge>>} The contours of the outline, which should be filled by the nonzero rule.
+   * @throws {Error} If the cap or the join is unknown.
+   */
+  strokeOutline(width, cap = "butt", join = "miter", miterLimit = 4, tolerance = 1e-3) {
+    return strokeOutline(this.edges(), this.closed, width, cap, join, miterLimit, tolerance);
+  }
+
+  /**
+   * Apply a dash pattern to the path.
+   * See {@link dash} for the detail.
+   *
+   * @param {Array<number>} dashArray - The lengths of alternating dashes and gaps.
+   * @param {number} [dashOffset=0] - The distance into the pattern at which the first dash starts.
+   * @param {number} [tolerance=1e-9] - The maximum absolute error of the lengths allowed.
+   * @returns {Array<Array<IEdge>>} The dashes, each of which is an array of connected edges.
+   * @throws {Error} If the dash array contains negative or non-finite values.
+   */
+  dash(dashArray, dashOffset = 0, tolerance = 1e-9) {
+    return dash(this.edges(), dashArray, dashOffset, tolerance);
+  }
+}
+
+// get the edges of a path to be filled, which is closed by a line segment if open
+function fillEdges(path) {
+  const edges = path.edges();
+  const len = path.anchors.length;
+  if (!path.closed && len >= 2) {
+    edges.push(new Line(path.anchors[len - 1].body.clone(), path.anchors[0].body.clone()));
+  }
+  return edges;
+}
+
+// make an edge between two anchors
+function edgeBetween(from, to) {
+  if (from.head && to.tail) {
+    return new CubicBezier(from.body.clone(), from.head.clone(), to.tail.clone(), to.body.clone());
+  }
+  else if (from.head) {
+    return new QuadraticBezier(from.body.clone(), from.head.clone(), to.body.clone());
+  }
+  else if (to.tail) {
+    return new QuadraticBezier(from.body.clone(), to.tail.clone(), to.body.clone());
+  }
+  else {
+    return new Line(from.body.clone(), to.body.clone());
+  }
+}
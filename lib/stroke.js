@@ -0,0 +1,180 @@
+import { Point } from "./geom.js";
+import { Line } from "./edges.js";
+import { Arc } from "./arc.js";
+import { reverseContour } from "./contour.js";
+
+// compute the angle of a vector
+function angleOf(v) {
+  return Math.atan2(v.y, v.x);
+}
+
+// compute a unit normal vector from a unit tangent vector
+function normalOf(tangent) {
+  return new Point(-tangent.y, tangent.x);
+}
+
+// make a miter join, which is converted to a bevel join if the miter is too long
+function miterJoin(vertex, p1, p2, tangent1, tangent2, distance, miterLimit) {
+  // the ratio of the miter length to the stroke width is `1 / sin(angle / 2)`,
+  // where `angle` is the angle between the edges
+  const dot = tangent1.innerProd(tangent2);
+  const cosHalf = Math.sqrt(Math.max((1 + dot) / 2, 0));
+  if (cosHalf === 0 || 1 / cosHalf > miterLimit) {
+    return [new Line(p1.clone(), p2.clone())];
+  }
+  const normal = normalOf(tangent1).add(normalOf(tangent2));
+  const miter = vertex.add(normal.scale(distance / (1 + dot)));
+  return [new Line(p1.clone(), miter), new Line(miter.clone(), p2.clone())];
+}
+
+// make a round join by a circular arc around the vertex
+function roundJoin(vertex, p1, p2, tangent1, tangent2, distance) {
+  const radius = Math.abs(distance);
+  const v1 = p1.sub(vertex);
+  const v2 = p2.sub(vertex);
+  let sweep = Math.atan2(v1.outerProd(v2), v1.innerProd(v2));
+  // go around the front of a cusp
+  if (tangent1.innerProd(tangent2) < 0 && Math.abs(tangent1.outerProd(tangent2)) < 1e-8) {
+    sweep = normalOf(v1).innerProd(tangent1) > 0 ? Math.PI : -Math.PI;
+  }
+  return [new Arc(vertex.clone(), radius, radius, 0, angleOf(v1), sweep)];
+}
+
+// make a join from `p1` to `p2`, which are the ends of the offsets of the incoming and the outgoing
+// edges at `vertex`
+function makeJoin(vertex, p1, p2, tangent1, tangent2, distance, join, miterLimit) {
+  if (p1.equals(p2)) {
+    return [];
+  }
+  // the offsets overlap on the inner side of the turn, which are connected through the vertex
+  // so that the outline is filled correctly by the nonzero rule
+  if (tangent1.outerProd(tangent2) * distance > 0) {
+    return [new Line(p1.clone(), vertex.clone()), new Line(vertex.clone(), p2.clone())];
+  }
+  switch (join) {
+  case "miter":
+    return miterJoin(vertex, p1, p2, tangent1, tangent2, distance, miterLimit);
+  case "round":
+    return roundJoin(vertex, p1, p2, tangent1, tangent2, distance);
+  case "bevel":
+    return [new Line(p1.clone(), p2.clone())];
+  default:
+    throw new Error("unknown join: " + String(join));
+  }
+}
+
+// make a square cap, which extends the stroke by the half width
+function squareCap(right, left, tangent, halfWidth) {
+  const ext = tangent.scale(halfWidth);
+  const rightExt = right.add(ext);
+  const leftExt = left.add(ext);
+  return [
+    new Line(right, rightExt),
+    new Line(rightExt.clone(), leftExt),
+    new Line(leftExt.clone(), left)
+  ];
+}
+
+// make a cap at `point` which goes from the right side to the left side of the stroke,
+// where `tangent` points to the outside
+function makeCap(point, tangent, halfWidth, cap) {
+  const normal = normalOf(tangent);
+  const right = point.sub(normal.scale(halfWidth));
+  const left = point.add(normal.scale(halfWidth));
+  switch (cap) {
+  case "butt":
+    return [new Line(right, left)];
+  case "round":
+    return [new Arc(point.clone(), halfWidth, halfWidth, 0, angleOf(normal.scale(-1)), Math.PI)];
+  case "square":
+    return squareCap(right, left, tangent, halfWidth);
+  default:
+    throw new Error("unknown cap: " + String(cap));
+  }
+}
+
+// make one side of the stroke, which is the offset of the edges connected by joins
+function makeSide(edges, closed, distance, join, miterLimit, tolerance) {
+  const side = [];
+  function connect(vertex, edge, tangent1, tangent2) {
+    if (side.length > 0) {
+      const p1 = side[side.length - 1].end;
+      const p2 = edge.start;
+      side.push(...makeJoin(vertex, p1, p2, tangent1, tangent2, distance, join, miterLimit));
+    }
+    side.push(edge);
+  }
+  for (let i = 0; i < edges.length; i++) {
+    const edge = edges[i];
+    const pieces = edge.offset(distance, tolerance);
+    for (let j = 0; j < pieces.length; j++) {
+      if (j === 0) {
+        const prev = i > 0 ? edges[i - 1] : undefined;
+        connect(edge.start, pieces[j], prev && prev.tangentAt(1), edge.tangentAt(0));
+      }
+      else {
+        // the offset is split at cusps of the edge, where the normal vector is flipped
+        const prev = pieces[j - 1];
+        const vertex = prev.end.add(pieces[j].start).scale(0.5);
+        connect(vertex, pieces[j], prev.tangentAt(1), pieces[j].tangentAt(0));
+      }
+    }
+  }
+  if (closed && side.length > 0) {
+    const first = edges[0];
+    const last = edges[edges.length - 1];
+    side.push(...makeJoin(
+      first.start, side[side.length - 1].end, side[0].start,
+      last.tangentAt(1), first.tangentAt(0), distance, join, miterLimit
+    ));
+  }
+  return side;
+}
+
+/**
+ * Compute the outline of the stroke of connected edges, in the same way as a renderer expands it.
+ *
+ * The resulting contours are directed so that the stroke is on the side of the normal vectors,
+ * and should be filled by the nonzero rule, since they may intersect themselves at the inner side
+ * of the joins.
+ * An open path gives one contour which is closed by the caps,
+ * and a closed path gives two contours on the both sides.
+ * Joins, caps and the miter limit are the same as those of SVG,
+ * i.e. `stroke-linejoin`, `stroke-linecap` and `stroke-miterlimit`.
+ *
+ * @param {Array<IEdge>} edges - An array of connected edges.
+ * @param {boolean} closed - Whether the edges form a closed contour or not.
+ * @param {number} width - The stroke width.
+ * @param {string} [cap="butt"] - The shape of the ends of an open path,
+ * `"butt"`, `"round"` or `"square"`.
+ * @param {string} [join="miter"] - The shape of the joins, `"miter"`, `"round"` or `"bevel"`.
+ * @param {number} [miterLimit=4] - The limit of the ratio of the miter length to the stroke width,
+ * beyond which miter joins are converted to bevel joins.
+ * @param {number} [tolerance=1e-3] - The maximum error allowed for offsetting curves.
+ * @returns {Array<Array<IEdge>>} The contours of the outline.
+ * @throws {Error} If the cap or the join is unknown.
+ */
+export function strokeOutline(
+  edges, closed, width,
+  cap = "butt", join = "miter", miterLimit = 4, tolerance = 1e-3
+) {
+  // edges degenerated to points have no directions
+  const es = edges.filter(edge => !edge.boundingBox().isPoint());
+  if (es.length === 0 || width <= 0) {
+    return [];
+  }
+  const halfWidth = width / 2;
+  const right = makeSide(es, closed, -halfWidth, join, miterLimit, tolerance);
+  const left = makeSide(es, closed, halfWidth, join, miterLimit, tolerance);
+  if (closed) {
+    return [right, reverseContour(left)];
+  }
+  const first = es[0];
+  const last = es[es.length - 1];
+  return [[
+    ...right,
+    ...makeCap(last.end, last.tangentAt(1), halfWidth, cap),
+    ...reverseContour(left),
+    ...makeCap(first.start, first.tangentAt(0).scale(-1), halfWidth, cap)
+  ]];
+}
@@ -0,0 +1,524 @@
+import { Point } from "./geom.js";
+import { Line, QuadraticBezier, CubicBezier } from "./edges.js";
+import { Arc } from "./arc.js";
+
+/**
+ * A {@link PathDataSyntaxError} is thrown when SVG path data is malformed.
+ */
+export class PathDataSyntaxError extends SyntaxError {
+  /**
+   * Create a new {@link PathDataSyntaxError} object.
+   *
+   * @param {string} message - An error message.
+   * @param {number} position - The position in the path data where the error occurred.
+   */
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = "PathDataSyntaxError";
+    /**
+     * The position in the path data where the error occurred.
+     *
+     * @type {number}
+     */
+    this.position = position;
+  }
+}
+
+// number of arguments for each command
+const NUM_ARGS = {
+  M: 2,
+  L: 2,
+  H: 1,
+  V: 1,
+  C: 6,
+  S: 4,
+  Q: 4,
+  T: 2,
+  A: 7,
+  Z: 0
+};
+
+const WSP_PATTERN = /[\x20\x09\x0D\x0A]*/y;
+const COMMA_WSP_PATTERN = /[\x20\x09\x0D\x0A]*(?:,[\x20\x09\x0D\x0A]*)?/y;
+const COMMAND_PATTERN = /[MmLlHhVvCcSsQqTtAaZz]/y;
+const NUMBER_PATTERN = /[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/y;
+const FLAG_PATTERN = /[01]/y;
+
+// tokenizer of path data
+class Scanner {
+  constructor(src) {
+    this.src = src;
+    this.pos = 0;
+  }
+
+  match(pattern) {
+    pattern.lastIndex = this.pos;
+    const m = pattern.exec(this.src);
+    if (m === null) {
+      return undefined;
+    }
+    this.pos = pattern.lastIndex;
+    return m[0];
+  }
+
+  done() {
+    return this.pos >= this.src.length;
+  }
+
+  skipWsp() {
+    this.match(WSP_PATTERN);
+  }
+
+  skipCommaWsp() {
+    this.match(COMMA_WSP_PATTERN);
+  }
+
+  isNumberAhead() {
+    NUMBER_PATTERN.lastIndex = this.pos;
+    return NUMBER_PATTERN.test(this.src);
+  }
+
+  error(message) {
+    if (this.done()) {
+      return new PathDataSyntaxError(`${message}, but found end of input`, this.pos);
+    }
+    return new PathDataSyntaxError(
+      `${message}, but found "${this.src[this.pos]}"`,
+      this.pos
+    );
+  }
+
+  command() {
+    const c = this.match(COMMAND_PATTERN);
+    if (c === undefined) {
+      throw this.error("expected command");
+    }
+    return c;
+  }
+
+  number() {
+    const n = this.match(NUMBER_PATTERN);
+    if (n === undefined) {
+      throw this.error("expected number");
+    }
+    return parseFloat(n);
+  }
+
+  flag() {
+    const f = this.match(FLAG_PATTERN);
+    if (f === undefined) {
+      throw this.error("expected flag");
+    }
+    return f === "1";
+  }
+
+  args(command) {
+    const args = [];
+    const n = NUM_ARGS[command.toUpperCase()];
+    for (let i = 0; i < n; i++) {
+      if (i > 0) {
+        this.skipCommaWsp();
+      }
+      if ((command === "A" || command === "a") && (i === 3 || i === 4)) {
+        args.push(this.flag());
+      }
+      else {
+        args.push(this.number());
+      }
+    }
+    return args;
+  }
+}
+
+/**
+ * Parse SVG path data (the `d` attribute of a `path` element).
+ *
+ * ``` javascript
+ * const subpaths = parsePathData("M 0 0 L 1 0 Q 1 1 0 1 Z");
+ * assert(subpaths.length === 1);
+ * assert(subpaths[0].edges.length === 3);
+ * assert(subpaths[0].closed === true);
+ * ```
+ *
+ * @param {string} d - Path data.
+ * @returns {Array<{ edges: Array<IEdge>, closed: boolean }>} An array of subpaths.
+ * Subpaths that contain no edges are omitted.
+ * @throws {PathDataSyntaxError} If the path data is malformed.
+ */
+export function parsePathData(d) {
+  const scanner = new Scanner(d);
+  const subpaths = [];
+  let edges = [];
+  let start = new Point(0, 0);
+  let current = new Point(0, 0);
+  // the last control point and the last command, used by smooth curve commands
+  let lastControl = undefined;
+  let lastCommand = undefined;
+
+  function endSubpath(closed) {
+    if (edges.length > 0) {
+      subpaths.push({ edges, closed });
+    }
+    edges = [];
+  }
+
+  function pointOf(relative, x, y) {
+    return relative ? new Point(current.x + x, current.y + y) : new Point(x, y);
+  }
+
+  function lineTo(point) {
+    edges.push(new Line(current.clone(), point));
+    current = point;
+    lastControl = undefined;
+  }
+
+  scanner.skipWsp();
+  if (scanner.done()) {
+    return subpaths;
+  }
+  const pos = scanner.pos;
+  let command = scanner.command();
+  if (command !== "M" && command !== "m") {
+    throw new PathDataSyntaxError("path data must begin with a moveto command", pos);
+  }
+  for (;;) {
+    const upper = command.toUpperCase();
+    const relative = command !== upper;
+    let first = true;
+    scanner.skipWsp();
+    for (;;) {
+      const args = scanner.args(command);
+      switch (upper) {
+      case "M":
+        if (first) {
+          endSubpath(false);
+          current = pointOf(relative, args[0], args[1]);
+          start = current;
+          lastControl = undefined;
+        }
+        else {
+          // subsequent pairs are treated as implicit lineto commands
+          lineTo(pointOf(relative, args[0], args[1]));
+        }
+        break;
+      case "L":
+        lineTo(pointOf(relative, args[0], args[1]));
+        break;
+      case "H":
+        lineTo(new Point(relative ? current.x + args[0] : args[0], current.y));
+        break;
+      case "V":
+        lineTo(new Point(current.x, relative ? current.y + args[0] : args[0]));
+        break;
+      case "C":
+        {
+          const control1 = pointOf(relative, args[0], args[1]);
+          const control2 = pointOf(relative, args[2], args[3]);
+          const end = pointOf(relative, args[4], args[5]);
+          edges.push(new CubicBezier(current.clone(), control1, control2, end));
+          current = end;
+          lastControl = control2;
+        }
+        break;
+      case "S":
+        {
+          const control1 = lastCommand === "C" || lastCommand === "S"
+            ? current.scale(2).sub(lastControl)
+            : current.clone();
+          const control2 = pointOf(relative, args[0], args[1]);
+          const end = pointOf(relative, args[2], args[3]);
+          edges.push(new CubicBezier(current.clone(), control1, control2, end));
+          current = end;
+          lastControl = control2;
+        }
+        break;
+      case "Q":
+        {
+          const control = pointOf(relative, args[0], args[1]);
+          const end = pointOf(relative, args[2], args[3]);
+          edges.push(new QuadraticBezier(current.clone(), control, end));
+          current = end;
+          lastControl = control;
+        }
+        break;
+      case "T":
+        {
+          const control = lastCommand === "Q" || lastCommand === "T"
+            ? current.scale(2).sub(lastControl)
+            : current.clone();
+          const end = pointOf(relative, args[0], args[1]);
+          edges.push(new QuadraticBezier(current.clone(), control, end));
+          current = end;
+          lastControl = control;
+        }
+        break;
+      case "A":
+        {
+          const end = pointOf(relative, args[5], args[6]);
+          if (current.equals(end)) {
+            // an arc whose endpoints are identical is omitted
+            break;
+          }
+          const arc = Arc.fromEndpoints(
+            current, end, args[0], args[1], args[2] * Math.PI / 180, args[3], args[4]
+          );
+          if (arc === undefined) {
+            // an arc with zero radius is treated as a line
+            lineTo(end);
+            break;
+          }
+          edges.push(arc);
+          current = end;
+          lastControl = undefined;
+        }
+        break;
+      case "Z":
+        if (!current.equals(start)) {
+          edges.push(new Line(current.clone(), start.clone()));
+        }
+        endSubpath(true);
+        current = start;
+        lastControl = undefined;
+        break;
+      default:
+        throw new Error("unknown command");
+      }
+      lastCommand = upper;
+      first = false;
+      if (upper === "Z") {
+        break;
+      }
+      // the command is repeated if more arguments follow
+      const pos = scanner.pos;
+      scanner.skipCommaWsp();
+      if (!scanner.isNumberAhead()) {
+        scanner.pos = pos;
+        break;
+      }
+    }
+    scanner.skipWsp();
+    if (scanner.done()) {
+      break;
+    }
+    command = scanner.command();
+  }
+  endSubpath(false);
+  return subpaths;
+}
+
+// format a number as compact as possible
+function formatNumber(x, precision) {
+  const s = String(Number(x.toFixed(precision)));
+  if (s.startsWith("0.")) {
+    return s.slice(1);
+  }
+  else if (s.startsWith("-0.")) {
+    return "-" + s.slice(2);
+  }
+  else {
+    return s;
+  }
+}
+
+// checks if a separator is required between two numbers
+function needsSeparator(prev, next) {
+  if (next.startsWith("-")) {
+    return false;
+  }
+  if (next.startsWith(".") && /[.eE]/.test(prev)) {
+    return false;
+  }
+  return true;
+}
+
+// accumulates path data, choosing shorter representation for each command
+class PathDataWriter {
+  constructor(precision) {
+    this.precision = precision;
+    this.data = "";
+    // command that can be omitted for the next command
+    this.implicitCommand = undefined;
+    this.lastNumber = undefined;
+  }
+
+  round(x) {
+    return Number(x.toFixed(this.precision));
+  }
+
+  roundPoint(point) {
+    return new Point(this.round(point.x), this.round(point.y));
+  }
+
+  text(command, args) {
+    let text = "";
+    let last = undefined;
+    if (command === this.implicitCommand) {
+      last = this.lastNumber;
+    }
+    else {
+      text += command;
+    }
+    for (const arg of args) {
+      const s = formatNumber(arg, this.precision);
+      if (last !== undefined && needsSeparator(last, s)) {
+        text += " ";
+      }
+      text += s;
+      last = s;
+    }
+    return { text, last };
+  }
+
+  write(command, args) {
+    const { text, last } = this.text(command, args);
+    this.data += text;
+    this.lastNumber = last;
+    if (command === "M") {
+      this.implicitCommand = "L";
+    }
+    else if (command === "m") {
+      this.implicitCommand = "l";
+    }
+    else if (command === "Z" || command === "z") {
+      this.implicitCommand = undefined;
+    }
+    else {
+      this.implicitCommand = command;
+    }
+  }
+
+  // write either the absolute or the relative command whichever shorter
+  writeShorter(command, absArgs, relArgs) {
+    const abs = this.text(command, absArgs);
+    const rel = this.text(command.toLowerCase(), relArgs);
+    if (rel.text.length < abs.text.length) {
+      this.write(command.toLowerCase(), relArgs);
+    }
+    else {
+      this.write(command, absArgs);
+    }
+  }
+}
+
+/**
+ * Convert edges into SVG path data (the `d` attribute of a `path` element).
+ * Consecutive edges sharing endpoints are merged into one subpath,
+ * and a subpath is closed by `Z` if it ends at its start point.
+ * Each command is written in either the absolute or the relative form, whichever is shorter.
+ *
+ * ``` javascript
+ * const d = stringifyPathData([
+ *   new Line(new Point(0, 0), new Point(1, 0)),
+ *   new QuadraticBezier(new Point(1, 0), new Point(1, 1), new Point(0, 1)),
+ *   new Line(new Point(0, 1), new Point(0, 0))
+ * ]);
+ * assert(d === "M0 0H1Q1 1 0 1Z");
+ * ```
+ *
+ * @param {Array<IEdge>} edges - An array of edges.
+ * @param {number} [precision=3] - Maximum number of digits after the decimal point.
+ * @returns {string} Path data.
+ * @throws {TypeError} If an edge is not supported by SVG path data.
+ */
+export function stringifyPathData(edges, precision = 3) {
+  const writer = new PathDataWriter(precision);
+  // split into subpaths
+  const subpaths = [];
+  let subpath = undefined;
+  for (const edge of edges) {
+    const connected = subpath !== undefined && !subpath.closed
+      && writer.roundPoint(edge.start).equals(subpath.end);
+    if (connected) {
+      subpath.edges.push(edge);
+    }
+    else {
+      subpath = { edges: [edge], start: writer.roundPoint(edge.start) };
+      subpaths.push(subpath);
+    }
+    subpath.end = writer.roundPoint(edge.end);
+    // a subpath is closed when it returns to its start point
+    subpath.closed = subpath.end.equals(subpath.start);
+  }
+  let current = undefined;
+  for (const { edges: subpathEdges, start, closed } of subpaths) {
+    if (current === undefined) {
+      writer.write("M", [start.x, start.y]);
+    }
+    else if (!start.equals(current)) {
+      // a subpath following closepath starts at the same point without moveto
+      writer.writeShorter("M", [start.x, start.y], [start.x - current.x, start.y - current.y]);
+    }
+    current = start;
+    for (let i = 0; i < subpathEdges.length; i++) {
+      const edge = subpathEdges[i];
+      const end = writer.roundPoint(edge.end);
+      if (edge instanceof Line) {
+        if (closed && i === subpathEdges.length - 1) {
+          // closed by the closepath command
+          break;
+        }
+        if (end.y === current.y) {
+          writer.writeShorter("H", [end.x], [end.x - current.x]);
+        }
+        else if (end.x === current.x) {
+          writer.writeShorter("V", [end.y], [end.y - current.y]);
+        }
+        else {
+          writer.writeShorter(
+            "L",
+            [end.x, end.y],
+            [end.x - current.x, end.y - current.y]
+          );
+        }
+      }
+      else if (edge instanceof QuadraticBezier) {
+        const control = writer.roundPoint(edge.control);
+        writer.writeShorter(
+          "Q",
+          [control.x, control.y, end.x, end.y],
+          [control.x - current.x, control.y - current.y, end.x - current.x, end.y - current.y]
+        );
+      }
+      else if (edge instanceof CubicBezier) {
+        const control1 = writer.roundPoint(edge.control1);
+        const control2 = writer.roundPoint(edge.control2);
+        writer.writeShorter(
+          "C",
+          [control1.x, control1.y, control2.x, control2.y, end.x, end.y],
+          [
+            control1.x - current.x, control1.y - current.y,
+            control2.x - current.x, control2.y - current.y,
+            end.x - current.x, end.y - current.y
+          ]
+        );
+      }
+      else if (edge instanceof Arc) {
+        // an arc cannot be written by one command if it sweeps the whole ellipse
+        const n = Math.floor(Math.abs(edge.sweepAngle) / (2 * Math.PI)) + 1;
+        const radiusX = writer.round(edge.radiusX);
+        const radiusY = writer.round(edge.radiusY);
+        const rotation = writer.round(edge.rotation * 180 / Math.PI);
+        const largeArc = Math.abs(edge.sweepAngle) / n > Math.PI ? 1 : 0;
+        const sweep = edge.sweepAngle > 0 ? 1 : 0;
+        for (let j = 1; j <= n; j++) {
+          const p = j === n ? end : writer.roundPoint(edge.pointAt(j / n));
+          writer.writeShorter(
+            "A",
+            [radiusX, radiusY, rotation, largeArc, sweep, p.x, p.y],
+            [radiusX, radiusY, rotation, largeArc, sweep, p.x - current.x, p.y - current.y]
+          );
+          current = p;
+        }
+      }
+      else {
+        throw new TypeError(String(edge) + " is not supported by path data");
+      }
+      current = end;
+    }
+    if (closed) {
+      writer.write("Z", []);
+      current = start;
+    }
+  }
+  return writer.data;
+}
@@ -271,5 +271,21 @@ describe("anchor", () => {
         }
       });
     });
+
+    /**
+     * @test {Anchor#reverse}
+     */
+    describe("#reverse()", () => {
+      it("should create a copy of the anchor with the control points swapped", () => {
+        const a = new Anchor(new Point(0, 1), new Point(2, 3));
+        const b = a.reverse();
+        expect(b).to.be.an.instanceOf(Anchor);
+        expect(b.body).not.to.equal(a.body);
+        expect(b.head).to.equal(undefined);
+        expect(b.tail).not.to.equal(a.head);
+        expect(b.serialize()).to.deep.equal({ body: [0, 1], tail: [2, 3] });
+        expect(b.reverse().serialize()).to.deep.equal(a.serialize());
+      });
+    });
   });
 });
@@ -0,0 +1,828 @@
+import { expect } from "chai";
+
+import { Point, Rectangle, Matrix } from "../lib/geom.js";
+import { Line, CubicBezier, intersections, selfIntersections } from "../lib/edges.js";
+import { Arc } from "../lib/arc.js";
+
+describe("arc", () => {
+  const EPS = 1e-8;
+
+  function expectPointCloseTo(p, x, y) {
+    expect(p).to.be.an.instanceOf(Point);
+    expect(p.x).to.be.closeTo(x, EPS);
+    expect(p.y).to.be.closeTo(y, EPS);
+  }
+
+  function expectArrayCloseTo(res, ans) {
+    expect(res).to.be.an("array").of.length(ans.length);
+    const r = res.sort((x, y) => x - y);
+    for (let i = 0; i < res.length; i++) {
+      expect(r[i]).to.be.closeTo(ans[i], EPS);
+    }
+  }
+
+  /**
+   * @test {Arc}
+   */
+  describe("Arc", () => {
+    /**
+     * @test {Arc.constructor}
+     */
+    describe("constructor(center, radiusX, radiusY, rotation, startAngle, sweepAngle)", () => {
+      it("should create a new Arc instance", () => {
+        const center = new Point(0, 1);
+        const arc = new Arc(center, 2, 3, 4, 5, 6);
+        expect(arc).to.be.an.instanceOf(Arc);
+        expect(arc.center).to.equal(center);
+        expect(arc.radiusX).to.equal(2);
+        expect(arc.radiusY).to.equal(3);
+        expect(arc.rotation).to.equal(4);
+        expect(arc.startAngle).to.equal(5);
+        expect(arc.sweepAngle).to.equal(6);
+      });
+    });
+
+    /**
+     * @test {Arc.fromEndpoints}
+     */
+    describe(".fromEndpoints(start, end, radiusX, radiusY, rotation, largeArc, sweep)", () => {
+      it("should create an arc from the endpoint parameterization", () => {
+        const start = new Point(0, 0);
+        const end = new Point(1, 1);
+        const cases = [
+          [false, false, 1, 0],
+          [false, true, 0, 1],
+          [true, false, 0, 1],
+          [true, true, 1, 0]
+        ];
+        for (const [largeArc, sweep, cx, cy] of cases) {
+          const arc = Arc.fromEndpoints(start, end, 1, 1, 0, largeArc, sweep);
+          expect(arc).to.be.an.instanceOf(Arc);
+          expectPointCloseTo(arc.center, cx, cy);
+          expect(arc.radiusX).to.be.closeTo(1, EPS);
+          expect(arc.radiusY).to.be.closeTo(1, EPS);
+          const sweepAngle = largeArc ? 3 * Math.PI / 2 : Math.PI / 2;
+          expect(Math.abs(arc.sweepAngle)).to.be.closeTo(sweepAngle, EPS);
+          expect(arc.sweepAngle > 0).to.equal(sweep);
+          expectPointCloseTo(arc.start, 0, 0);
+          expectPointCloseTo(arc.end, 1, 1);
+        }
+      });
+
+      it("should scale up the radii if they are too small", () => {
+        const arc = Arc.fromEndpoints(
+          new Point(0, 0), new Point(4, 0), 1, 2, Math.PI / 2, false, true
+        );
+        expect(arc.radiusX).to.be.closeTo(1, EPS);
+        expect(arc.radiusY).to.be.closeTo(2, EPS);
+        expectPointCloseTo(arc.center, 2, 0);
+        expectPointCloseTo(arc.end, 4, 0);
+      });
+
+      it("should return undefined if the arc cannot be determined", () => {
+        const p = new Point(0, 0);
+        expect(Arc.fromEndpoints(p, new Point(0, 0), 1, 1, 0, false, false)).to.be.undefined;
+        expect(Arc.fromEndpoints(p, new Point(1, 1), 0, 1, 0, false, false)).to.be.undefined;
+      });
+    });
+
+    /**
+     * @test {Arc#start}
+     */
+    describe("#start", () => {
+      it("should be the start point of the arc", () => {
+        const arc = new Arc(new Point(1, 1), 2, 1, Math.PI / 2, 0, Math.PI);
+        expectPointCloseTo(arc.start, 1, 3);
+      });
+    });
+
+    /**
+     * @test {Arc#end}
+     */
+    describe("#end", () => {
+      it("should be the end point of the arc", () => {
+        const arc = new Arc(new Point(1, 1), 2, 1, Math.PI / 2, 0, Math.PI);
+        expectPointCloseTo(arc.end, 1, -1);
+      });
+    });
+
+    /**
+     * @test {Arc#degree}
+     */
+    describe("#degree()", () => {
+      it("should return 2", () => {
+        const arc = new Arc(new Point(0, 0), 1, 1, 0, 0, Math.PI);
+        expect(arc.degree()).to.equal(2);
+      });
+    });
+
+    /**
+     * @test {Arc#clone}
+     */
+    describe("#clone()", () => {
+      it("should create a copy of the arc", () => {
+        const arc = new Arc(new Point(0, 1), 2, 3, 4, 5, 6);
+        const copy = arc.clone();
+        expect(copy).to.be.an.instanceOf(Arc);
+        expect(copy).not.to.equal(arc);
+        expect(copy.center).not.to.equal(arc.center);
+        expectPointCloseTo(copy.center, 0, 1);
+        expect(copy.radiusX).to.equal(2);
+        expect(copy.radiusY).to.equal(3);
+        expect(copy.rotation).to.equal(4);
+        expect(copy.startAngle).to.equal(5);
+        expect(copy.sweepAngle).to.equal(6);
+      });
+    });
+
+    /**
+     * @test {Arc#reverse}
+     */
+    describe("#reverse()", () => {
+      it("should return the arc in the reverse direction", () => {
+        const arc = new Arc(new Point(0, 1), 2, 1, 0.5, 0.25, -2);
+        const rev = arc.reverse();
+        expect(rev).to.be.an.instanceOf(Arc);
+        expect(rev.start).not.to.equal(arc.end);
+        expect(rev.end).not.to.equal(arc.start);
+        for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+          const q = arc.pointAt(1 - t);
+          expectPointCloseTo(rev.pointAt(t), q.x, q.y);
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#translate}
+     */
+    describe("#translate(dist)", () => {
+      it("should return a translated arc by the distance `dist`", () => {
+        const arc = new Arc(new Point(0, 1), 2, 1, 0.5, 0.25, 2);
+        const translated = arc.translate(new Point(3, 4));
+        expect(translated).to.be.an.instanceOf(Arc);
+        for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+          const p = arc.pointAt(t).add(new Point(3, 4));
+          expectPointCloseTo(translated.pointAt(t), p.x, p.y);
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#rotate}
+     */
+    describe("#rotate(angle, center = new Point(0, 0))", () => {
+      it("should return an arc rotated around the specified center", () => {
+        const arc = new Arc(new Point(0, 1), 2, 1, 0.5, 0.25, 2);
+        {
+          const rotated = arc.rotate(Math.PI / 3, new Point(1, 2));
+          expect(rotated).to.be.an.instanceOf(Arc);
+          for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+            const p = arc.pointAt(t).rotate(Math.PI / 3, new Point(1, 2));
+            expectPointCloseTo(rotated.pointAt(t), p.x, p.y);
+          }
+        }
+        {
+          const rotated = arc.rotate(Math.PI / 3);
+          expect(rotated).to.be.an.instanceOf(Arc);
+          for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+            const p = arc.pointAt(t).rotate(Math.PI / 3);
+            expectPointCloseTo(rotated.pointAt(t), p.x, p.y);
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#scale}
+     */
+    describe("#scale(ratioX, ratioY, center = new Point(0, 0))", () => {
+      it("should return an arc scaled around the specified center", () => {
+        const arc = new Arc(new Point(0, 1), 2, 1, 0.5, 0.25, 2);
+        const cases = [[2, 3], [-2, 3], [2, -0.5], [1, 1]];
+        for (const [rx, ry] of cases) {
+          {
+            const scaled = arc.scale(rx, ry, new Point(1, 2));
+            expect(scaled).to.be.an.instanceOf(Arc);
+            expect(scaled.radiusX).to.be.at.least(0);
+            expect(scaled.radiusY).to.be.at.least(0);
+            for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+              const p = arc.pointAt(t).scale2(rx, ry, new Point(1, 2));
+              expectPointCloseTo(scaled.pointAt(t), p.x, p.y);
+            }
+          }
+          {
+            const scaled = arc.scale(rx, ry);
+            expect(scaled).to.be.an.instanceOf(Arc);
+            for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+              const p = arc.pointAt(t).scale2(rx, ry);
+              expectPointCloseTo(scaled.pointAt(t), p.x, p.y);
+            }
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#transform}
+     */
+    describe("#transform(matrix)", () => {
+      it("should return an arc transformed by the matrix", () => {
+        const arc = new Arc(new Point(0, 1), 2, 1, 0.5, 0.25, 2);
+        const ms = [
+          new Matrix(1, 2, 3, 4, 5, 6),
+          Matrix.skewing(0.3).multiply(Matrix.rotation(1)),
+          Matrix.scaling(-1, 2)
+        ];
+        for (const m of ms) {
+          const transformed = arc.transform(m);
+          expect(transformed).to.be.an.instanceOf(Arc);
+          expect(transformed.radiusX).to.be.at.least(0);
+          expect(transformed.radiusY).to.be.at.least(0);
+          for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+            const p = arc.pointAt(t).transform(m);
+            expectPointCloseTo(transformed.pointAt(t), p.x, p.y);
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#pointAt}
+     */
+    describe("#pointAt(t)", () => {
+      it("should return a point object that represents a point at `t` on the arc", () => {
+        const arc = new Arc(new Point(1, 1), 2, 1, Math.PI / 2, 0, Math.PI);
+        expectPointCloseTo(arc.pointAt(0), 1, 3);
+        expectPointCloseTo(arc.pointAt(0.5), 0, 1);
+        expectPointCloseTo(arc.pointAt(1), 1, -1);
+      });
+    });
+
+    /**
+     * @test {Arc#splitAt}
+     */
+    describe("#splitAt(t)", () => {
+      it("should return two split arcs", () => {
+        const arc = new Arc(new Point(0, 1), 2, 1, 0.5, 0.25, -2);
+        for (const t of [0.25, 0.5, 0.75]) {
+          const splits = arc.splitAt(t);
+          expect(splits).to.be.an("array").of.length(2);
+          for (const u of [0.25, 0.5, 0.75]) {
+            {
+              const q1 = splits[0].pointAt(u);
+              const q2 = arc.pointAt(t * u);
+              expectPointCloseTo(q1, q2.x, q2.y);
+            }
+            {
+              const q1 = splits[1].pointAt(u);
+              const q2 = arc.pointAt(t + (1 - t) * u);
+              expectPointCloseTo(q1, q2.x, q2.y);
+            }
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#subEdge}
+     */
+    describe("#subEdge(t0, t1)", () => {
+      it("should return the part of the arc between the parameters", () => {
+        const arc = new Arc(new Point(0, 1), 2, 1, 0.5, 0.25, -2);
+        for (const [t0, t1] of [[0, 1], [0.25, 0.5], [0.5, 0.25], [0.2, 0.9]]) {
+          const sub = arc.subEdge(t0, t1);
+          expect(sub).to.be.an.instanceOf(Arc);
+          for (const u of [0, 0.25, 0.5, 0.75, 1]) {
+            const q = arc.pointAt(t0 + (t1 - t0) * u);
+            expectPointCloseTo(sub.pointAt(u), q.x, q.y);
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#splitAtMany}
+     */
+    describe("#splitAtMany(ts)", () => {
+      it("should split the arc at the parameters in one pass", () => {
+        const arc = new Arc(new Point(0, 1), 2, 1, 0.5, 0.25, -2);
+        const splits = arc.splitAtMany([0.75, 0.25, 0.5]);
+        expect(splits).to.be.an("array").of.length(4);
+        for (let i = 0; i < 4; i++) {
+          expect(splits[i]).to.be.an.instanceOf(Arc);
+          for (const u of [0, 0.25, 0.5, 0.75, 1]) {
+            const q = arc.pointAt((i + u) / 4);
+            expectPointCloseTo(splits[i].pointAt(u), q.x, q.y);
+          }
+        }
+        expect(arc.splitAtMany([])).to.be.an("array").of.length(1);
+      });
+    });
+
+    /**
+     * @test {Arc#extremePoints}
+     */
+    describe("#extremePoints()", () => {
+      it("should return an array of objects, each object has information about an extreme point", () => {
+        {
+          const arc = new Arc(new Point(0, 0), 1, 1, 0, Math.PI / 4, Math.PI);
+          const eps = arc.extremePoints();
+          expectArrayCloseTo(eps.map(ep => ep.t), [0, 0.25, 0.75, 1]);
+          for (const ep of eps) {
+            expect(ep).to.be.an("object");
+            expect(ep.t).to.be.a("number");
+            expect(ep.point).to.be.an.instanceOf(Point);
+          }
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 2, 1, Math.PI / 4, 0, -2 * Math.PI);
+          const eps = arc.extremePoints();
+          expect(eps).to.be.an("array").of.length(6);
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#boundingBox}
+     */
+    describe("#boundingBox()", () => {
+      it("should return a rectangle object representing the bounding box", () => {
+        {
+          const arc = new Arc(new Point(1, 1), 2, 1, Math.PI / 2, 0, Math.PI);
+          const bb = arc.boundingBox();
+          expect(bb).to.be.an.instanceOf(Rectangle);
+          expect(bb.x).to.be.closeTo(0, EPS);
+          expect(bb.y).to.be.closeTo(-1, EPS);
+          expect(bb.width).to.be.closeTo(1, EPS);
+          expect(bb.height).to.be.closeTo(4, EPS);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 2, 1, Math.PI / 6, 0, 2 * Math.PI);
+          const bb = arc.boundingBox();
+          const hw = Math.sqrt(4 * Math.cos(Math.PI / 6) ** 2 + Math.sin(Math.PI / 6) ** 2);
+          const hh = Math.sqrt(4 * Math.sin(Math.PI / 6) ** 2 + Math.cos(Math.PI / 6) ** 2);
+          expect(bb.x).to.be.closeTo(-hw, EPS);
+          expect(bb.y).to.be.closeTo(-hh, EPS);
+          expect(bb.width).to.be.closeTo(2 * hw, EPS);
+          expect(bb.height).to.be.closeTo(2 * hh, EPS);
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#deviationFromLine}
+     */
+    describe("#deviationFromLine()", () => {
+      it("should return the degree of deviation from line", () => {
+        {
+          const arc = new Arc(new Point(0, 0), 1, 1, 0, -Math.PI / 4, Math.PI / 2);
+          expect(arc.deviationFromLine()).to.be.closeTo((1 - Math.SQRT1_2) / Math.SQRT2, EPS);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 2, 1, 0, Math.PI / 2, Math.PI);
+          expect(arc.deviationFromLine()).to.be.closeTo(1, EPS);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 1, 1, 0, -Math.PI / 4, 3 * Math.PI / 2);
+          expect(arc.deviationFromLine()).to.equal(Infinity);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 1, 1, 0, 0, 2 * Math.PI);
+          expect(arc.deviationFromLine()).to.equal(Infinity);
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#paramsForPoint}
+     */
+    describe("#paramsForPoint(point, epsilon = Number.EPSILON)", () => {
+      it("should return an array of parameters that give the specified point", () => {
+        {
+          const arc = new Arc(new Point(0, 0), 2, 1, Math.PI / 2, 0, Math.PI);
+          expectArrayCloseTo(arc.paramsForPoint(new Point(0, 0)), []);
+          expectArrayCloseTo(arc.paramsForPoint(new Point(0, 2)), [0]);
+          expectArrayCloseTo(arc.paramsForPoint(new Point(-1, 0)), [0.5]);
+          expectArrayCloseTo(arc.paramsForPoint(new Point(1, 0)), []);
+          expectArrayCloseTo(arc.paramsForPoint(arc.pointAt(0.3), 1e-12), [0.3]);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 1, 1, 0, 0, 3 * Math.PI);
+          expectArrayCloseTo(arc.paramsForPoint(new Point(0, 1), 1e-12), [1 / 6, 5 / 6]);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 0, 1, 0, 0, Math.PI);
+          expectArrayCloseTo(arc.paramsForPoint(new Point(0, 0.5), 1e-12), [1 / 6, 5 / 6]);
+        }
+      });
+
+      it("should return undefined if all the parameters are degenerated", () => {
+        {
+          const arc = new Arc(new Point(1, 1), 0, 0, 0, 0, Math.PI);
+          expect(arc.paramsForPoint(new Point(1, 1))).to.be.undefined;
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 1, 1, 0, 0, 0);
+          expect(arc.paramsForPoint(new Point(1, 0))).to.be.undefined;
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#toCubicBeziers}
+     */
+    describe("#toCubicBeziers(tolerance = 1e-3)", () => {
+      function maxError(arc, curves) {
+        let max = 0;
+        for (const curve of curves) {
+          for (let i = 0; i <= 32; i++) {
+            const q = curve.pointAt(i / 32).sub(arc.center).rotate(-arc.rotation);
+            const r = Math.hypot(q.x / arc.radiusX, q.y / arc.radiusY);
+            max = Math.max(max, Math.abs(r - 1) * Math.min(arc.radiusX, arc.radiusY));
+          }
+        }
+        return max;
+      }
+
+      it("should return an array of cubic Bezier curves approximating the arc", () => {
+        const arc = new Arc(new Point(1, 2), 3, 1, 0.3, 0.2, -5);
+        for (const tolerance of [1e-1, 1e-3, 1e-6]) {
+          const curves = arc.toCubicBeziers(tolerance);
+          expect(curves).to.be.an("array");
+          expect(curves.length).to.be.at.least(4);
+          for (const curve of curves) {
+            expect(curve).to.be.an.instanceOf(CubicBezier);
+          }
+          expectPointCloseTo(curves[0].start, arc.start.x, arc.start.y);
+          for (let i = 1; i < curves.length; i++) {
+            expect(curves[i].start).to.equal(curves[i - 1].end);
+          }
+          expectPointCloseTo(curves[curves.length - 1].end, arc.end.x, arc.end.y);
+          expect(maxError(arc, curves)).to.be.at.most(tolerance);
+        }
+      });
+
+      it("should use more curves for a smaller tolerance", () => {
+        const arc = new Arc(new Point(0, 0), 100, 100, 0, 0, 2 * Math.PI);
+        expect(arc.toCubicBeziers(1)).to.be.an("array").of.length(4);
+        expect(arc.toCubicBeziers(1e-2).length).to.be.above(4);
+      });
+
+      it("should return a degenerate curve if the arc sweeps no angle", () => {
+        const arc = new Arc(new Point(0, 0), 1, 1, 0, 0, 0);
+        const curves = arc.toCubicBeziers();
+        expect(curves).to.be.an("array").of.length(1);
+        expectPointCloseTo(curves[0].start, 1, 0);
+        expectPointCloseTo(curves[0].end, 1, 0);
+      });
+
+      it("should throw a RangeError if the tolerance is not positive", () => {
+        const arc = new Arc(new Point(0, 0), 1, 1, 0, 0, Math.PI);
+        expect(() => { arc.toCubicBeziers(0); }).to.throw(RangeError, /invalid tolerance/);
+        expect(() => { arc.toCubicBeziers(-1); }).to.throw(RangeError, /invalid tolerance/);
+        expect(() => { arc.toCubicBeziers(NaN); }).to.throw(RangeError, /invalid tolerance/);
+      });
+    });
+
+    /**
+     * @test {Arc#derivativeAt}
+     */
+    describe("#derivativeAt(t)", () => {
+      it("should return the derivative at `t`", () => {
+        const arc = new Arc(new Point(1, 1), 2, 1, Math.PI / 2, 0, Math.PI);
+        for (const t of [0, 0.3, 0.5, 1]) {
+          const d = arc.derivativeAt(t);
+          const h = 1e-6;
+          const p = arc.pointAt(t + h).sub(arc.pointAt(t - h)).scale(1 / (2 * h));
+          expect(d).to.be.an.instanceOf(Point);
+          expect(d.x).to.be.closeTo(p.x, 1e-6);
+          expect(d.y).to.be.closeTo(p.y, 1e-6);
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#tangentAt}
+     */
+    describe("#tangentAt(t)", () => {
+      it("should return the unit tangent vector at `t`", () => {
+        {
+          const arc = new Arc(new Point(0, 0), 2, 2, 0, 0, Math.PI);
+          expectPointCloseTo(arc.tangentAt(0), 0, 1);
+          expectPointCloseTo(arc.tangentAt(0.5), -1, 0);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 2, 2, 0, 0, -Math.PI);
+          expectPointCloseTo(arc.tangentAt(0), 0, -1);
+        }
+      });
+
+      it("should return undefined if the arc degenerates to a point", () => {
+        const arc = new Arc(new Point(1, 1), 0, 0, 0, 0, Math.PI);
+        expect(arc.tangentAt(0.5)).to.be.undefined;
+      });
+    });
+
+    /**
+     * @test {Arc#normalAt}
+     */
+    describe("#normalAt(t)", () => {
+      it("should return the unit normal vector at `t`", () => {
+        {
+          const arc = new Arc(new Point(0, 0), 2, 2, 0, 0, Math.PI);
+          expectPointCloseTo(arc.normalAt(0), -1, 0);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 2, 2, 0, 0, -Math.PI);
+          expectPointCloseTo(arc.normalAt(0), 1, 0);
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#curvatureAt}
+     */
+    describe("#curvatureAt(t)", () => {
+      it("should return the signed curvature at `t`", () => {
+        {
+          const arc = new Arc(new Point(0, 0), 2, 2, 0, 0, Math.PI);
+          expect(arc.curvatureAt(0.3)).to.be.closeTo(0.5, EPS);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 2, 2, 0, 0, -Math.PI);
+          expect(arc.curvatureAt(0.3)).to.be.closeTo(-0.5, EPS);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 2, 1, 0, 0, Math.PI);
+          expect(arc.curvatureAt(0)).to.be.closeTo(2, EPS);
+          expect(arc.curvatureAt(0.5)).to.be.closeTo(0.25, EPS);
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#length}
+     */
+    describe("#length(tolerance = 1e-9)", () => {
+      it("should return the length of the arc", () => {
+        {
+          const arc = new Arc(new Point(1, 2), 2, 2, 0.5, 1, -Math.PI);
+          expect(arc.length()).to.be.closeTo(2 * Math.PI, EPS);
+        }
+        {
+          const arc = new Arc(new Point(1, 2), 3, 0, 0.5, 0, 2 * Math.PI);
+          expect(arc.length()).to.be.closeTo(12, EPS);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 2, 1, 0, 0, 2 * Math.PI);
+          expect(arc.length()).to.be.closeTo(9.688448220547675, EPS);
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#lengthAt}
+     */
+    describe("#lengthAt(t, tolerance = 1e-9)", () => {
+      it("should return the length of the part of the arc from the start to `t`", () => {
+        const arc = new Arc(new Point(0, 0), 2, 1, 0.5, 0, 2 * Math.PI);
+        const length = 9.688448220547675;
+        expect(arc.lengthAt(0)).to.be.closeTo(0, EPS);
+        expect(arc.lengthAt(0.25)).to.be.closeTo(length / 4, EPS);
+        expect(arc.lengthAt(0.5)).to.be.closeTo(length / 2, EPS);
+        const parts = arc.splitAt(0.1);
+        expect(arc.lengthAt(0.1)).to.be.closeTo(parts[0].length(), EPS);
+      });
+    });
+
+    /**
+     * @test {Arc#paramAtLength}
+     */
+    describe("#paramAtLength(s, tolerance = 1e-9)", () => {
+      it("should return the parameter at which the length from the start is `s`", () => {
+        const arc = new Arc(new Point(0, 0), 2, 1, 0.5, 0, -2 * Math.PI);
+        const length = 9.688448220547675;
+        expect(arc.paramAtLength(-1)).to.equal(0);
+        expect(arc.paramAtLength(0)).to.equal(0);
+        expect(arc.paramAtLength(length / 4)).to.be.closeTo(0.25, EPS);
+        expect(arc.paramAtLength(length)).to.be.closeTo(1, EPS);
+        expect(arc.paramAtLength(length + 1)).to.equal(1);
+        for (const s of [0.1, 1, 3, 7]) {
+          expect(arc.lengthAt(arc.paramAtLength(s))).to.be.closeTo(s, EPS);
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#nearestPoint}
+     */
+    describe("#nearestPoint(point)", () => {
+      it("should return the nearest point on the arc to the point", () => {
+        {
+          const arc = new Arc(new Point(0, 0), 2, 2, 0, 0, Math.PI);
+          const cases = [[new Point(0, 3), 0.5], [new Point(3, -1), 0], [new Point(-1, -1), 1]];
+          for (const [point, t] of cases) {
+            const res = arc.nearestPoint(point);
+            const p = arc.pointAt(t);
+            expect(res.t).to.be.closeTo(t, EPS);
+            expectPointCloseTo(res.point, p.x, p.y);
+            expect(res.distance).to.be.closeTo(p.sub(point).length(), EPS);
+          }
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 2, 1, 0.3, 0.5, 5);
+          const point = new Point(0.3, 0.2);
+          const res = arc.nearestPoint(point);
+          const r = res.point.sub(point);
+          expect(r.innerProd(arc.derivativeAt(res.t))).to.be.closeTo(0, EPS);
+          for (let i = 0; i <= 64; i++) {
+            expect(arc.pointAt(i / 64).sub(point).length()).to.be.at.least(res.distance);
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#distanceTo}
+     */
+    describe("#distanceTo(point, maxDistance = Infinity)", () => {
+      it("should return the distance from the point to the arc", () => {
+        const arc = new Arc(new Point(0, 0), 2, 2, 0, 0, Math.PI);
+        expect(arc.distanceTo(new Point(0, 3))).to.be.closeTo(1, EPS);
+        expect(arc.distanceTo(new Point(0, 3), 1)).to.be.closeTo(1, EPS);
+        expect(arc.distanceTo(new Point(0, 10), 1)).to.be.above(1);
+      });
+    });
+
+    /**
+     * @test {Arc#crossingNumber}
+     */
+    describe("#crossingNumber(point)", () => {
+      it("should return the signed number of crossings with the ray to the positive X direction", () => {
+        const circle = new Arc(new Point(0, 0), 1, 1, 0, 0, 2 * Math.PI);
+        expect(circle.crossingNumber(new Point(0, 0.5))).to.equal(1);
+        expect(circle.crossingNumber(new Point(-2, 0.5))).to.equal(0);
+        expect(circle.crossingNumber(new Point(2, 0.5))).to.equal(0);
+        // through the start point and an extreme point
+        expect(circle.crossingNumber(new Point(0, 0))).to.equal(1);
+        expect(circle.crossingNumber(new Point(-2, 1))).to.equal(0);
+        const reversed = new Arc(new Point(0, 0), 1, 1, 0, 2 * Math.PI, -2 * Math.PI);
+        expect(reversed.crossingNumber(new Point(0, 0))).to.equal(-1);
+        const ellipse = new Arc(new Point(1, 1), 2, 1, Math.PI / 4, 0, 2 * Math.PI);
+        expect(ellipse.crossingNumber(new Point(1, 1))).to.equal(1);
+        expect(ellipse.crossingNumber(new Point(-1, 2))).to.equal(0);
+      });
+    });
+
+    /**
+     * @test {Arc#signedArea}
+     */
+    describe("#signedArea()", () => {
+      it("should compute the signed area of the region between the origin and the arc", () => {
+        const circle = new Arc(new Point(1, 1), 2, 2, 0, 0, 2 * Math.PI);
+        expect(circle.signedArea()).to.be.closeTo(4 * Math.PI, EPS);
+        const ellipse = new Arc(new Point(1, 1), 2, 1, 0.5, 1, -2 * Math.PI);
+        expect(ellipse.signedArea()).to.be.closeTo(-2 * Math.PI, EPS);
+        const half = new Arc(new Point(0, 0), 1, 1, 0, 0, Math.PI);
+        expect(half.signedArea()).to.be.closeTo(Math.PI / 2, EPS);
+      });
+    });
+
+    /**
+     * @test {Arc#centroid}
+     */
+    describe("#centroid()", () => {
+      it("should compute the centroid of the region between the origin and the arc", () => {
+        const circle = new Arc(new Point(1, 1), 2, 2, 0, 0, 2 * Math.PI);
+        expectPointCloseTo(circle.centroid(), 1, 1);
+        const half = new Arc(new Point(0, 0), 1, 1, 0, 0, Math.PI);
+        expectPointCloseTo(half.centroid(), 0, 4 / (3 * Math.PI));
+      });
+    });
+
+    /**
+     * @test {Arc#flatten}
+     */
+    describe("#flatten(tolerance)", () => {
+      it("should approximate the arc by a polyline within the tolerance", () => {
+        const arcs = [
+          new Arc(new Point(1, 1), 2, 1, 0.5, 0.25, 2),
+          new Arc(new Point(0, 0), 1, 1, 0, 0, 2 * Math.PI)
+        ];
+        for (const arc of arcs) {
+          for (const tolerance of [0.1, 1e-3]) {
+            const points = arc.flatten(tolerance);
+            expectPointCloseTo(points[0], arc.start.x, arc.start.y);
+            expectPointCloseTo(points[points.length - 1], arc.end.x, arc.end.y);
+            for (let i = 0; i <= 256; i++) {
+              const p = arc.pointAt(i / 256);
+              let min = Infinity;
+              for (let j = 0; j < points.length - 1; j++) {
+                min = Math.min(min, new Line(points[j], points[j + 1]).distanceTo(p));
+              }
+              expect(min).to.be.at.most(tolerance);
+            }
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {Arc#offset}
+     */
+    describe("#offset(distance, tolerance = 1e-3)", () => {
+      it("should approximate the offset of the arc within the tolerance", () => {
+        const circle = new Arc(new Point(1, 1), 2, 2, 0, 0, Math.PI);
+        for (const [distance, radius] of [[0.5, 1.5], [-0.5, 2.5]]) {
+          const res = circle.offset(distance);
+          expect(res).to.be.an("array").that.is.not.empty;
+          expectPointCloseTo(res[0].start, 1 + radius, 1);
+          expectPointCloseTo(res[res.length - 1].end, 1 - radius, 1);
+          for (const curve of res) {
+            expect(curve).to.be.an.instanceOf(CubicBezier);
+            for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+              const r = curve.pointAt(t).sub(new Point(1, 1)).length();
+              expect(r).to.be.closeTo(radius, 1e-3);
+            }
+          }
+        }
+      });
+    });
+
+    context("with intersections", () => {
+      const DEPTH = 54;
+
+      it("should compute intersections with other edges", () => {
+        const circle = new Arc(new Point(0, 0), 1, 1, 0, 0, 2 * Math.PI);
+        {
+          const line = new Line(new Point(-2, 0.5), new Point(2, 0.5));
+          const is = intersections(circle, line, DEPTH);
+          expect(is).to.be.an("array").of.length(2);
+          for (const i of is) {
+            expect(i.point.length()).to.be.closeTo(1, EPS);
+            expect(i.point.y).to.be.closeTo(0.5, EPS);
+          }
+        }
+        {
+          // a line nearly parallel to the subdivided pieces of the circle
+          const dir = new Point(Math.cos(0.1234), Math.sin(0.1234));
+          const line = new Line(new Point(-2, 0), new Point(-2, 0).add(dir.scale(10)));
+          const is = intersections(circle, line, DEPTH);
+          expect(is).to.be.an("array").of.length(2);
+          for (const i of is) {
+            expect(i.point.length()).to.be.closeTo(1, EPS);
+          }
+        }
+        {
+          const other = new Arc(new Point(1, 0), 1, 1, 0, 0, 2 * Math.PI);
+          const is = intersections(circle, other, DEPTH);
+          expect(is).to.be.an("array").of.length(2);
+          for (const i of is) {
+            expect(i.point.x).to.be.closeTo(0.5, EPS);
+          }
+        }
+        {
+          const curve = new CubicBezier(
+            new Point(-2, -2), new Point(0, 4), new Point(0, -4), new Point(2, 2)
+          );
+          const is = intersections(circle, curve, DEPTH);
+          expect(is).to.be.an("array").of.length(2);
+          for (const i of is) {
+            expect(i.point.length()).to.be.closeTo(1, EPS);
+          }
+        }
+      });
+
+      it("should return the overlapping part if the arcs overlap", () => {
+        const arc1 = new Arc(new Point(0, 0), 1, 1, 0, 0, Math.PI);
+        const arc2 = new Arc(new Point(0, 0), 1, 1, 0, Math.PI / 2, Math.PI);
+        const is = intersections(arc1, arc2, DEPTH);
+        expect(is).to.be.an("array").of.length(1);
+        expect(is[0].t1Range[0]).to.be.closeTo(0.5, EPS);
+        expect(is[0].t1Range[1]).to.be.closeTo(1, EPS);
+        expect(is[0].t2Range[0]).to.be.closeTo(0, EPS);
+        expect(is[0].t2Range[1]).to.be.closeTo(0.5, EPS);
+      });
+
+      it("should compute self-intersections", () => {
+        {
+          const arc = new Arc(new Point(0, 0), 2, 1, 0, 0, Math.PI);
+          expect(selfIntersections(arc, 20)).to.be.an("array").of.length(0);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 2, 1, 0, 0, 2 * Math.PI);
+          expect(selfIntersections(arc, 20)).to.be.an("array").of.length(1);
+        }
+        {
+          const arc = new Arc(new Point(0, 0), 2, 1, 0, 0, 3 * Math.PI);
+          const is = selfIntersections(arc, 20);
+          expect(is).to.be.an("array").of.length(1);
+          expect(is[0].t1Range[0]).to.be.closeTo(0, EPS);
+          expect(is[0].t1Range[1]).to.be.closeTo(1 / 3, EPS);
+          expect(is[0].t2Range[0]).to.be.closeTo(2 / 3, EPS);
+          expect(is[0].t2Range[1]).to.be.closeTo(1, EPS);
+        }
+      });
+    });
+  });
+});
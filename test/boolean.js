@@ -0,0 +1,194 @@
+import { expect } from "chai";
+
+import { Point } from "../lib/geom.js";
+import { Line } from "../lib/edges.js";
+import { Arc } from "../lib/arc.js";
+import { union, intersect, difference, xor } from "../lib/boolean.js";
+
+describe("boolean", () => {
+  const EPS = 1e-8;
+
+  function rectangle(x, y, width, height) {
+    const p1 = new Point(x, y);
+    const p2 = new Point(x + width, y);
+    const p3 = new Point(x + width, y + height);
+    const p4 = new Point(x, y + height);
+    return [new Line(p1, p2), new Line(p2, p3), new Line(p3, p4), new Line(p4, p1)];
+  }
+
+  function circle(x, y, radius) {
+    return [new Arc(new Point(x, y), radius, radius, 0, 0, 2 * Math.PI)];
+  }
+
+  // signed area of a shape, approximated by polygons
+  function areaOf(shape) {
+    const n = 1000;
+    let area = 0;
+    for (const contour of shape) {
+      for (const edge of contour) {
+        for (let i = 0; i < n; i++) {
+          const p = edge.pointAt(i / n);
+          const q = edge.pointAt((i + 1) / n);
+          area += p.outerProd(q) / 2;
+        }
+      }
+    }
+    return area;
+  }
+
+  function expectClosedContours(shape, length) {
+    expect(shape).to.be.an("array").of.length(length);
+    for (const contour of shape) {
+      for (let i = 0; i < contour.length; i++) {
+        const next = contour[(i + 1) % contour.length];
+        expect(contour[i].end.sub(next.start).length()).to.be.closeTo(0, EPS);
+      }
+    }
+  }
+
+  const square1 = [rectangle(0, 0, 2, 2)];
+  const square2 = [rectangle(1, 1, 2, 2)];
+  const circle1 = [circle(0, 0, 1)];
+  const circle2 = [circle(1, 0, 1)];
+  // area of the intersection of `circle1` and `circle2`
+  const LENS_AREA = 2 * Math.PI / 3 - Math.sqrt(3) / 2;
+
+  /**
+   * @test {union}
+   */
+  describe("union(shape1, shape2, fillRule = \"nonzero\")", () => {
+    it("should compute the union of two shapes", () => {
+      {
+        const res = union(square1, square2);
+        expectClosedContours(res, 1);
+        expect(res[0]).to.be.of.length(8);
+        expect(areaOf(res)).to.be.closeTo(7, EPS);
+      }
+      {
+        const res = union(circle1, circle2);
+        expectClosedContours(res, 1);
+        expect(areaOf(res)).to.be.closeTo(2 * Math.PI - LENS_AREA, 1e-4);
+      }
+    });
+
+    it("should merge edges shared by the shapes", () => {
+      {
+        const res = union([rectangle(0, 0, 1, 1)], [rectangle(1, 0, 1, 1)]);
+        expectClosedContours(res, 1);
+        expect(areaOf(res)).to.be.closeTo(2, EPS);
+      }
+      {
+        const res = union(square1, square1);
+        expectClosedContours(res, 1);
+        expect(res[0]).to.be.of.length(4);
+        expect(areaOf(res)).to.be.closeTo(4, EPS);
+      }
+    });
+
+    it("should keep disjoint shapes as separate contours", () => {
+      const res = union([rectangle(0, 0, 1, 1)], [rectangle(3, 3, 1, 1)]);
+      expectClosedContours(res, 2);
+      expect(areaOf(res)).to.be.closeTo(2, EPS);
+    });
+
+    it("should direct the contours so that the filled region is on the side of the normal", () => {
+      const reversed = [rectangle(0, 0, 2, 2).map(e => new Line(e.end, e.start)).reverse()];
+      const res = union(reversed, square2);
+      expectClosedContours(res, 1);
+      expect(areaOf(res)).to.be.closeTo(7, EPS);
+    });
+
+    it("should respect the fill rule", () => {
+      const nested = [rectangle(0, 0, 4, 4), rectangle(1, 1, 2, 2)];
+      {
+        const res = union(nested, []);
+        expectClosedContours(res, 1);
+        expect(areaOf(res)).to.be.closeTo(16, EPS);
+      }
+      {
+        const res = union(nested, [], "evenodd");
+        expectClosedContours(res, 2);
+        expect(areaOf(res)).to.be.closeTo(12, EPS);
+      }
+    });
+
+    it("should return undefined if the contours of the result cannot be closed", () => {
+      // the last edge misses the start of the first one
+      const open = rectangle(0, 0, 2, 2);
+      open[3] = new Line(open[3].start, new Point(1e-4, 0));
+      expect(union([open], square2)).to.be.undefined;
+      expect(union([open], [rectangle(5, 5, 1, 1)])).to.be.undefined;
+    });
+
+    it("should throw an error if the fill rule is unknown", () => {
+      expect(() => {
+        union(square1, square2, "unknown");
+      }).to.throw(Error);
+    });
+  });
+
+  /**
+   * @test {intersect}
+   */
+  describe("intersect(shape1, shape2, fillRule = \"nonzero\")", () => {
+    it("should compute the intersection of two shapes", () => {
+      {
+        const res = intersect(square1, square2);
+        expectClosedContours(res, 1);
+        expect(res[0]).to.be.of.length(4);
+        expect(areaOf(res)).to.be.closeTo(1, EPS);
+      }
+      {
+        const res = intersect(circle1, circle2);
+        expectClosedContours(res, 1);
+        expect(areaOf(res)).to.be.closeTo(LENS_AREA, 1e-4);
+      }
+      {
+        const res = intersect(square1, circle1);
+        expectClosedContours(res, 1);
+        expect(areaOf(res)).to.be.closeTo(Math.PI / 4, 1e-4);
+      }
+    });
+
+    it("should return an empty array if the shapes do not overlap", () => {
+      const res = intersect([rectangle(0, 0, 1, 1)], [rectangle(3, 3, 1, 1)]);
+      expect(res).to.be.an("array").of.length(0);
+    });
+  });
+
+  /**
+   * @test {difference}
+   */
+  describe("difference(shape1, shape2, fillRule = \"nonzero\")", () => {
+    it("should compute the difference of two shapes", () => {
+      {
+        const res = difference(square1, square2);
+        expectClosedContours(res, 1);
+        expect(res[0]).to.be.of.length(6);
+        expect(areaOf(res)).to.be.closeTo(3, EPS);
+      }
+      {
+        const res = difference(circle1, circle2);
+        expectClosedContours(res, 1);
+        expect(areaOf(res)).to.be.closeTo(Math.PI - LENS_AREA, 1e-4);
+      }
+    });
+
+    it("should make a hole if the second shape is inside the first one", () => {
+      const res = difference([rectangle(0, 0, 4, 4)], [rectangle(1, 1, 2, 2)]);
+      expectClosedContours(res, 2);
+      expect(areaOf(res)).to.be.closeTo(12, EPS);
+    });
+  });
+
+  /**
+   * @test {xor}
+   */
+  describe("xor(shape1, shape2, fillRule = \"nonzero\")", () => {
+    it("should compute the exclusive or of two shapes", () => {
+      const res = xor(square1, square2);
+      expectClosedContours(res, 2);
+      expect(areaOf(res)).to.be.closeTo(6, EPS);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { expect } from "chai";
+
+import { Point } from "../lib/geom.js";
+import { Line, QuadraticBezier, CubicBezier } from "../lib/edges.js";
+import { Arc } from "../lib/arc.js";
+import {
+  windingNumber, containsPoint, signedArea, centroid, orientation
+} from "../lib/contour.js";
+
+describe("contour", () => {
+  const EPS = 1e-8;
+
+  function expectPointCloseTo(p, x, y) {
+    expect(p).to.be.an.instanceOf(Point);
+    expect(p.x).to.be.closeTo(x, EPS);
+    expect(p.y).to.be.closeTo(y, EPS);
+  }
+
+  function polygon(...points) {
+    return points.map((p, i) => new Line(p, points[(i + 1) % points.length]));
+  }
+
+  const square = polygon(new Point(0, 0), new Point(2, 0), new Point(2, 2), new Point(0, 2));
+  const diamond = polygon(new Point(1, 0), new Point(2, 1), new Point(1, 2), new Point(0, 1));
+  // a drop shape with a vertex at the bottom and an extreme point at the top
+  const drop = [
+    new QuadraticBezier(new Point(0, 0), new Point(2, 1), new Point(0, 2)),
+    new CubicBezier(new Point(0, 2), new Point(-1, 2), new Point(-1, 1), new Point(0, 0))
+  ];
+
+  /**
+   * @test {windingNumber}
+   */
+  describe("windingNumber(edges, point)", () => {
+    it("should compute the winding number of the contours around the point", () => {
+      expect(windingNumber(square, new Point(1, 1))).to.equal(1);
+      expect(windingNumber(square, new Point(3, 1))).to.equal(0);
+      expect(windingNumber(square, new Point(-1, 1))).to.equal(0);
+      const reversed = polygon(new Point(0, 0), new Point(0, 2), new Point(2, 2), new Point(2, 0));
+      expect(windingNumber(reversed, new Point(1, 1))).to.equal(-1);
+      const twice = [...square, ...square];
+      expect(windingNumber(twice, new Point(1, 1))).to.equal(2);
+      expect(windingNumber(drop, new Point(0.2, 1))).to.equal(1);
+      expect(windingNumber(drop, new Point(1.5, 1))).to.equal(0);
+      expect(windingNumber([], new Point(1, 1))).to.equal(0);
+    });
+
+    it("should count rays passing through vertices and extreme points correctly", () => {
+      expect(windingNumber(square, new Point(1, 0))).to.be.oneOf([0, 1]);
+      expect(windingNumber(square, new Point(-1, 0))).to.equal(0);
+      expect(windingNumber(square, new Point(-1, 2))).to.equal(0);
+      expect(windingNumber(diamond, new Point(0.5, 1))).to.equal(1);
+      expect(windingNumber(diamond, new Point(-1, 1))).to.equal(0);
+      expect(windingNumber(diamond, new Point(-1, 0))).to.equal(0);
+      expect(windingNumber(drop, new Point(-0.5, 0))).to.equal(0);
+      expect(windingNumber(drop, new Point(-0.5, 2))).to.equal(0);
+      expect(windingNumber(drop, new Point(-2, 1))).to.equal(0);
+    });
+  });
+
+  /**
+   * @test {containsPoint}
+   */
+  describe("containsPoint(edges, point, fillRule = \"nonzero\")", () => {
+    it("should check if the contours contain the point", () => {
+      expect(containsPoint(square, new Point(1, 1))).to.be.true;
+      expect(containsPoint(square, new Point(3, 1))).to.be.false;
+      expect(containsPoint(drop, new Point(0.2, 1))).to.be.true;
+    });
+
+    it("should respect the fill rule", () => {
+      const twice = [...square, ...square];
+      expect(containsPoint(twice, new Point(1, 1), "nonzero")).to.be.true;
+      expect(containsPoint(twice, new Point(1, 1), "evenodd")).to.be.false;
+      expect(containsPoint(square, new Point(1, 1), "evenodd")).to.be.true;
+    });
+
+    it("should throw an error if the fill rule is unknown", () => {
+      expect(() => {
+        containsPoint(square, new Point(1, 1), "unknown");
+      }).to.throw(Error);
+    });
+  });
+
+  /**
+   * @test {signedArea}
+   */
+  describe("signedArea(edges)", () => {
+    it("should compute the signed area enclosed by the contours", () => {
+      expect(signedArea(square)).to.be.closeTo(4, EPS);
+      expect(signedArea(diamond)).to.be.closeTo(2, EPS);
+      const reversed = polygon(new Point(0, 0), new Point(0, 2), new Point(2, 2), new Point(2, 0));
+      expect(signedArea(reversed)).to.be.closeTo(-4, EPS);
+      expect(signedArea([...square, ...square])).to.be.closeTo(8, EPS);
+      expect(signedArea([])).to.equal(0);
+    });
+
+    it("should compute the exact area of contours with curves", () => {
+      const bump = [
+        new CubicBezier(new Point(1, 0), new Point(1, 1), new Point(2, 1), new Point(2, 0)),
+        new Line(new Point(2, 0), new Point(1, 0))
+      ];
+      expect(signedArea(bump)).to.be.closeTo(-0.6, EPS);
+      const circle = [new Arc(new Point(3, 4), 1, 1, 0, 0, 2 * Math.PI)];
+      expect(signedArea(circle)).to.be.closeTo(Math.PI, EPS);
+    });
+  });
+
+  /**
+   * @test {centroid}
+   */
+  describe("centroid(edges)", () => {
+    it("should compute the centroid of the region enclosed by the contours", () => {
+      expectPointCloseTo(centroid(square), 1, 1);
+      const triangle = polygon(new Point(1, 1), new Point(4, 1), new Point(1, 4));
+      expectPointCloseTo(centroid(triangle), 2, 2);
+      const bump = [
+        new CubicBezier(new Point(1, 0), new Point(1, 1), new Point(2, 1), new Point(2, 0)),
+        new Line(new Point(2, 0), new Point(1, 0))
+      ];
+      expectPointCloseTo(centroid(bump), 1.5, 27 / 84);
+      // a square with a square hole
+      const holed = [
+        ...polygon(new Point(0, 0), new Point(4, 0), new Point(4, 4), new Point(0, 4)),
+        ...polygon(new Point(2, 1), new Point(2, 3), new Point(3, 3), new Point(3, 1))
+      ];
+      expectPointCloseTo(centroid(holed), 27 / 14, 2);
+    });
+
+    it("should return undefined if the signed area is zero", () => {
+      expect(centroid([])).to.be.undefined;
+      expect(centroid(polygon(new Point(0, 0), new Point(1, 1)))).to.be.undefined;
+    });
+  });
+
+  /**
+   * @test {orientation}
+   */
+  describe("orientation(edges)", () => {
+    it("should determine the orientation of the contours", () => {
+      expect(orientation(square)).to.equal(1);
+      const reversed = polygon(new Point(0, 0), new Point(0, 2), new Point(2, 2), new Point(2, 0));
+      expect(orientation(reversed)).to.equal(-1);
+      expect(orientation(drop)).to.equal(1);
+      expect(orientation([])).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { expect } from "chai";
+
+import { Point } from "../lib/geom.js";
+import { Line } from "../lib/edges.js";
+import { Arc } from "../lib/arc.js";
+import { dash } from "../lib/dash.js";
+
+describe("dash", () => {
+  const EPS = 1e-8;
+
+  function expectPointCloseTo(p, x, y) {
+    expect(p).to.be.an.instanceOf(Point);
+    expect(p.x).to.be.closeTo(x, EPS);
+    expect(p.y).to.be.closeTo(y, EPS);
+  }
+
+  function expectLines(dashes, expected) {
+    expect(dashes).to.have.lengthOf(expected.length);
+    for (let i = 0; i < expected.length; i++) {
+      expect(dashes[i]).to.have.lengthOf(expected[i].length);
+      for (let j = 0; j < expected[i].length; j++) {
+        const [x1, y1, x2, y2] = expected[i][j];
+        expect(dashes[i][j]).to.be.an.instanceOf(Line);
+        expectPointCloseTo(dashes[i][j].start, x1, y1);
+        expectPointCloseTo(dashes[i][j].end, x2, y2);
+      }
+    }
+  }
+
+  const edges = [
+    new Line(new Point(0, 0), new Point(4, 0)),
+    new Line(new Point(4, 0), new Point(4, 4))
+  ];
+
+  /**
+   * @test {dash}
+   */
+  describe("dash(edges, dashArray, dashOffset = 0, tolerance = 1e-9)", () => {
+    it("should cut the edges into dashes carrying the phase across the edges", () => {
+      expectLines(dash(edges, [2, 1]), [
+        [[0, 0, 2, 0]],
+        [[3, 0, 4, 0], [4, 0, 4, 1]],
+        [[4, 2, 4, 4]]
+      ]);
+    });
+
+    it("should start the pattern at the dash offset", () => {
+      expectLines(dash(edges, [2, 1], 1), [
+        [[0, 0, 1, 0]],
+        [[2, 0, 4, 0]],
+        [[4, 1, 4, 3]]
+      ]);
+      expectLines(dash(edges, [2, 1], -1), [
+        [[1, 0, 3, 0]],
+        [[4, 0, 4, 2]],
+        [[4, 3, 4, 4]]
+      ]);
+      expectLines(dash(edges, [2, 1], 7), dash(edges, [2, 1], 1).map(
+        d => d.map(e => [e.start.x, e.start.y, e.end.x, e.end.y])
+      ));
+    });
+
+    it("should repeat a dash array with an odd number of values", () => {
+      expectLines(dash(edges, [1]), [
+        [[0, 0, 1, 0]],
+        [[2, 0, 3, 0]],
+        [[4, 0, 4, 1]],
+        [[4, 2, 4, 3]]
+      ]);
+    });
+
+    it("should omit dashes of zero length", () => {
+      expectLines(dash(edges, [0, 3]), []);
+      expectLines(dash(edges, [3, 0, 0, 1]), [
+        [[0, 0, 3, 0]],
+        [[4, 0, 4, 3]]
+      ]);
+    });
+
+    it("should treat the edges as solid if all the values are zero", () => {
+      const dashes = dash(edges, [0, 0]);
+      expectLines(dashes, [[[0, 0, 4, 0], [4, 0, 4, 4]]]);
+      expect(dashes[0][0]).not.to.equal(edges[0]);
+      expect(dash([], [0])).to.deep.equal([]);
+    });
+
+    it("should cut curves at the positions measured by the arc length", () => {
+      const circle = [new Arc(new Point(0, 0), 1, 1, 0, 0, 2 * Math.PI)];
+      const dashes = dash(circle, [Math.PI / 2, Math.PI / 2]);
+      expect(dashes).to.have.lengthOf(2);
+      expect(dashes[0]).to.have.lengthOf(1);
+      expect(dashes[0][0]).to.be.an.instanceOf(Arc);
+      expectPointCloseTo(dashes[0][0].start, 1, 0);
+      expectPointCloseTo(dashes[0][0].end, 0, 1);
+      expect(dashes[1]).to.have.lengthOf(1);
+      expectPointCloseTo(dashes[1][0].start, -1, 0);
+      expectPointCloseTo(dashes[1][0].end, 0, -1);
+    });
+
+    it("should throw an error if the dash array contains invalid values", () => {
+      expect(() => { dash(edges, [1, -1]); }).to.throw(Error, /invalid dash array/);
+      expect(() => { dash(edges, [1, NaN]); }).to.throw(Error, /invalid dash array/);
+      expect(() => { dash(edges, [1, Infinity]); }).to.throw(Error, /invalid dash array/);
+    });
+  });
+});
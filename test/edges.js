@@ -1,7 +1,10 @@
 import { expect } from "chai";
 
-import { Point, Rectangle } from "../lib/geom.js";
-import { Line, QuadraticBezier, CubicBezier, intersectionsLL, intersections, selfIntersections } from "../lib/edges.js";
+import { Point, Rectangle, Matrix } from "../lib/geom.js";
+import {
+  Line, QuadraticBezier, CubicBezier,
+  intersectionsLL, intersections, selfIntersections, reverseIntersections
+} from "../lib/edges.js";
 
 describe("edges", () => {
   const EPS = 1e-8;
@@ -14,6 +17,46 @@ describe("edges", () => {
     }
   }
 
+  function expectPointCloseTo(p, x, y) {
+    expect(p).to.be.an.instanceOf(Point);
+    expect(p.x).to.be.closeTo(x, EPS);
+    expect(p.y).to.be.closeTo(y, EPS);
+  }
+
+  function expectOverlap(r, t1Range, t2Range) {
+    expect(r.t1Range).to.be.an("array").of.length(2);
+    expect(r.t2Range).to.be.an("array").of.length(2);
+    for (let i = 0; i < 2; i++) {
+      expect(r.t1Range[i]).to.be.closeTo(t1Range[i], EPS);
+      expect(r.t2Range[i]).to.be.closeTo(t2Range[i], EPS);
+    }
+  }
+
+  // maximum distance from sample points on the true offset of the edge to the offset curves
+  function offsetError(edge, distance, curves) {
+    let max = 0;
+    for (let i = 0; i <= 256; i++) {
+      const normal = edge.normalAt(i / 256);
+      const p = edge.pointAt(i / 256).add(normal.scale(distance));
+      max = Math.max(max, Math.min(...curves.map(curve => curve.distanceTo(p))));
+    }
+    return max;
+  }
+
+  // maximum distance from sample points on the edge to the polyline
+  function distanceToPolyline(edge, points) {
+    let max = 0;
+    for (let i = 0; i <= 256; i++) {
+      const p = edge.pointAt(i / 256);
+      let min = Infinity;
+      for (let j = 0; j < points.length - 1; j++) {
+        min = Math.min(min, new Line(points[j], points[j + 1]).distanceTo(p));
+      }
+      max = Math.max(max, min);
+    }
+    return max;
+  }
+
   /**
    * @test {Line}
    */
@@ -96,6 +139,23 @@ describe("edges", () => {
       });
     });
 
+    /**
+     * @test {Line#reverse}
+     */
+    describe("#reverse()", () => {
+      it("should return the line segment in the reverse direction", () => {
+        const line = new Line(new Point(1, 1), new Point(3, 2));
+        const rev = line.reverse();
+        expect(rev).to.be.an.instanceOf(Line);
+        expect(rev.start).not.to.equal(line.end);
+        expect(rev.end).not.to.equal(line.start);
+        for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+          const q = line.pointAt(1 - t);
+          expectPointCloseTo(rev.pointAt(t), q.x, q.y);
+        }
+      });
+    });
+
     /**
      * @test {Line#translate}
      */
@@ -189,6 +249,25 @@ describe("edges", () => {
       });
     });
 
+    /**
+     * @test {Line#transform}
+     */
+    describe("#transform(matrix)", () => {
+      it("should return a line segment transformed by the matrix", () => {
+        const line = new Line(
+          new Point(1, 2),
+          new Point(3, 4)
+        );
+        const m = new Matrix(1, 2, 3, 4, 5, 6);
+        const transformed = line.transform(m);
+        expect(transformed).to.be.an.instanceOf(Line);
+        expect(transformed.start.x).to.be.closeTo(line.start.transform(m).x, EPS);
+        expect(transformed.start.y).to.be.closeTo(line.start.transform(m).y, EPS);
+        expect(transformed.end.x).to.be.closeTo(line.end.transform(m).x, EPS);
+        expect(transformed.end.y).to.be.closeTo(line.end.transform(m).y, EPS);
+      });
+    });
+
     /**
      * @test {Line#pointAt}
      */
@@ -236,6 +315,44 @@ describe("edges", () => {
       });
     });
 
+    /**
+     * @test {Line#subEdge}
+     */
+    describe("#subEdge(t0, t1)", () => {
+      it("should return the part of the line segment between the parameters", () => {
+        const line = new Line(new Point(1, 1), new Point(3, 2));
+        for (const [t0, t1] of [[0, 1], [0.25, 0.5], [0.5, 0.25], [0.2, 0.9]]) {
+          const sub = line.subEdge(t0, t1);
+          expect(sub).to.be.an.instanceOf(Line);
+          for (const u of [0, 0.25, 0.5, 0.75, 1]) {
+            const q = line.pointAt(t0 + (t1 - t0) * u);
+            expectPointCloseTo(sub.pointAt(u), q.x, q.y);
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {Line#splitAtMany}
+     */
+    describe("#splitAtMany(ts)", () => {
+      it("should split the line segment at the parameters in one pass", () => {
+        const line = new Line(new Point(1, 1), new Point(3, 2));
+        const splits = line.splitAtMany([0.75, 0.25, 0.5]);
+        expect(splits).to.be.an("array").of.length(4);
+        for (let i = 0; i < 4; i++) {
+          expect(splits[i]).to.be.an.instanceOf(Line);
+          for (const u of [0, 0.25, 0.5, 0.75, 1]) {
+            const q = line.pointAt((i + u) / 4);
+            expectPointCloseTo(splits[i].pointAt(u), q.x, q.y);
+          }
+        }
+        expect(splits[0].start).not.to.equal(line.start);
+        expect(splits[3].end).not.to.equal(line.end);
+        expect(line.splitAtMany([])).to.be.an("array").of.length(1);
+      });
+    });
+
     /**
      * @test {Line#extremePoints}
      */
@@ -315,6 +432,278 @@ describe("edges", () => {
         expect(line.paramsForPoint(new Point(1, 1))).to.be.undefined;
       });
     });
+
+    /**
+     * @test {Line#derivativeAt}
+     */
+    describe("#derivativeAt(t)", () => {
+      it("should return the derivative at `t`", () => {
+        const line = new Line(new Point(1, 1), new Point(4, 5));
+        for (const t of [0, 0.5, 1]) {
+          const d = line.derivativeAt(t);
+          expect(d).to.be.an.instanceOf(Point);
+          expect(d.x).to.be.closeTo(3, EPS);
+          expect(d.y).to.be.closeTo(4, EPS);
+        }
+      });
+    });
+
+    /**
+     * @test {Line#tangentAt}
+     */
+    describe("#tangentAt(t)", () => {
+      it("should return the unit tangent vector at `t`", () => {
+        const line = new Line(new Point(1, 1), new Point(4, 5));
+        const v = line.tangentAt(0.5);
+        expect(v).to.be.an.instanceOf(Point);
+        expect(v.x).to.be.closeTo(0.6, EPS);
+        expect(v.y).to.be.closeTo(0.8, EPS);
+      });
+
+      it("should return undefined if the line segment degenerates to a point", () => {
+        const line = new Line(new Point(1, 1), new Point(1, 1));
+        expect(line.tangentAt(0.5)).to.be.undefined;
+      });
+    });
+
+    /**
+     * @test {Line#normalAt}
+     */
+    describe("#normalAt(t)", () => {
+      it("should return the unit normal vector at `t`", () => {
+        const line = new Line(new Point(1, 1), new Point(4, 5));
+        const v = line.normalAt(0.5);
+        expect(v).to.be.an.instanceOf(Point);
+        expect(v.x).to.be.closeTo(-0.8, EPS);
+        expect(v.y).to.be.closeTo(0.6, EPS);
+      });
+
+      it("should return undefined if the line segment degenerates to a point", () => {
+        const line = new Line(new Point(1, 1), new Point(1, 1));
+        expect(line.normalAt(0.5)).to.be.undefined;
+      });
+    });
+
+    /**
+     * @test {Line#curvatureAt}
+     */
+    describe("#curvatureAt(t)", () => {
+      it("should return 0", () => {
+        const line = new Line(new Point(1, 1), new Point(4, 5));
+        expect(line.curvatureAt(0.5)).to.equal(0);
+      });
+
+      it("should return undefined if the line segment degenerates to a point", () => {
+        const line = new Line(new Point(1, 1), new Point(1, 1));
+        expect(line.curvatureAt(0.5)).to.be.undefined;
+      });
+    });
+
+    /**
+     * @test {Line#length}
+     */
+    describe("#length()", () => {
+      it("should return the length of the line segment", () => {
+        const line = new Line(new Point(1, 1), new Point(4, 5));
+        expect(line.length()).to.be.closeTo(5, EPS);
+      });
+    });
+
+    /**
+     * @test {Line#lengthAt}
+     */
+    describe("#lengthAt(t)", () => {
+      it("should return the length of the part of the line segment from the start to `t`", () => {
+        const line = new Line(new Point(1, 1), new Point(4, 5));
+        expect(line.lengthAt(0)).to.be.closeTo(0, EPS);
+        expect(line.lengthAt(0.2)).to.be.closeTo(1, EPS);
+        expect(line.lengthAt(1)).to.be.closeTo(5, EPS);
+      });
+    });
+
+    /**
+     * @test {Line#paramAtLength}
+     */
+    describe("#paramAtLength(s)", () => {
+      it("should return the parameter at which the length from the start is `s`", () => {
+        {
+          const line = new Line(new Point(1, 1), new Point(4, 5));
+          expect(line.paramAtLength(-1)).to.equal(0);
+          expect(line.paramAtLength(0)).to.equal(0);
+          expect(line.paramAtLength(1)).to.be.closeTo(0.2, EPS);
+          expect(line.paramAtLength(5)).to.equal(1);
+          expect(line.paramAtLength(6)).to.equal(1);
+        }
+        {
+          const line = new Line(new Point(1, 1), new Point(1, 1));
+          expect(line.paramAtLength(1)).to.equal(0);
+        }
+      });
+    });
+
+    /**
+     * @test {Line#nearestPoint}
+     */
+    describe("#nearestPoint(point)", () => {
+      it("should return the nearest point on the line segment to the point", () => {
+        {
+          const line = new Line(new Point(1, 1), new Point(4, 5));
+          const cases = [[new Point(6.2, -0.4), 0.4], [new Point(0, 0), 0], [new Point(9, 9), 1]];
+          for (const [point, t] of cases) {
+            const res = line.nearestPoint(point);
+            const p = line.pointAt(t);
+            expect(res.t).to.be.closeTo(t, EPS);
+            expect(res.point).to.be.an.instanceOf(Point);
+            expect(res.point.x).to.be.closeTo(p.x, EPS);
+            expect(res.point.y).to.be.closeTo(p.y, EPS);
+            expect(res.distance).to.be.closeTo(p.sub(point).length(), EPS);
+          }
+        }
+        {
+          const line = new Line(new Point(1, 1), new Point(1, 1));
+          const res = line.nearestPoint(new Point(4, 5));
+          expect(res.t).to.equal(0);
+          expect(res.distance).to.be.closeTo(5, EPS);
+        }
+      });
+    });
+
+    /**
+     * @test {Line#distanceTo}
+     */
+    describe("#distanceTo(point, maxDistance = Infinity)", () => {
+      it("should return the distance from the point to the line segment", () => {
+        const line = new Line(new Point(1, 1), new Point(4, 5));
+        expect(line.distanceTo(new Point(6.2, -0.4))).to.be.closeTo(5, EPS);
+        expect(line.distanceTo(new Point(6.2, -0.4), 5)).to.be.closeTo(5, EPS);
+        expect(line.distanceTo(new Point(9, 17))).to.be.closeTo(13, EPS);
+        expect(line.distanceTo(new Point(9, 17), 1)).to.be.above(1);
+      });
+    });
+
+    /**
+     * @test {Line#crossingNumber}
+     */
+    describe("#crossingNumber(point)", () => {
+      it("should return the signed number of crossings with the ray to the positive X direction", () => {
+        const line = new Line(new Point(0, 0), new Point(2, 2));
+        expect(line.crossingNumber(new Point(0, 1))).to.equal(1);
+        expect(line.crossingNumber(new Point(3, 1))).to.equal(0);
+        expect(line.crossingNumber(new Point(0, 3))).to.equal(0);
+        const reversed = new Line(new Point(2, 2), new Point(0, 0));
+        expect(reversed.crossingNumber(new Point(0, 1))).to.equal(-1);
+        const horizontal = new Line(new Point(0, 1), new Point(2, 1));
+        expect(horizontal.crossingNumber(new Point(-1, 1))).to.equal(0);
+      });
+
+      it("should count a ray passing through a vertex exactly once", () => {
+        const p1 = new Point(0, -1);
+        const p2 = new Point(1, 0);
+        const point = new Point(-1, 0);
+        {
+          const line1 = new Line(p1, p2);
+          const line2 = new Line(p2, new Point(2, 1));
+          expect(line1.crossingNumber(point) + line2.crossingNumber(point)).to.equal(1);
+        }
+        {
+          const line1 = new Line(p1, p2);
+          const line2 = new Line(p2, new Point(2, -1));
+          expect(line1.crossingNumber(point) + line2.crossingNumber(point)).to.equal(0);
+        }
+      });
+    });
+
+    /**
+     * @test {Line#signedArea}
+     */
+    describe("#signedArea()", () => {
+      it("should compute the signed area of the triangle between the origin and the line segment", () => {
+        expect(new Line(new Point(1, 0), new Point(0, 1)).signedArea()).to.be.closeTo(0.5, EPS);
+        expect(new Line(new Point(0, 1), new Point(1, 0)).signedArea()).to.be.closeTo(-0.5, EPS);
+        expect(new Line(new Point(1, 1), new Point(2, 2)).signedArea()).to.equal(0);
+      });
+    });
+
+    /**
+     * @test {Line#centroid}
+     */
+    describe("#centroid()", () => {
+      it("should compute the centroid of the triangle between the origin and the line segment", () => {
+        const c = new Line(new Point(3, 0), new Point(0, 3)).centroid();
+        expectPointCloseTo(c, 1, 1);
+        expect(new Line(new Point(1, 1), new Point(2, 2)).centroid()).to.be.undefined;
+      });
+    });
+
+    /**
+     * @test {Line#flatten}
+     */
+    describe("#flatten(tolerance)", () => {
+      it("should return the start and the end of the line segment", () => {
+        const line = new Line(new Point(1, 2), new Point(3, 4));
+        const points = line.flatten(0.1);
+        expect(points).to.be.an("array").of.length(2);
+        expect(points[0].serialize()).to.deep.equal([1, 2]);
+        expect(points[1].serialize()).to.deep.equal([3, 4]);
+        expect(points[0]).not.to.equal(line.start);
+      });
+    });
+
+    /**
+     * @test {Line#offset}
+     */
+    describe("#offset(distance, tolerance = 1e-3)", () => {
+      it("should return the line segment displaced along the normal vector", () => {
+        const line = new Line(new Point(1, 1), new Point(4, 5));
+        {
+          const res = line.offset(5);
+          expect(res).to.be.an("array").of.length(1);
+          expect(res[0]).to.be.an.instanceOf(Line);
+          expectPointCloseTo(res[0].start, -3, 4);
+          expectPointCloseTo(res[0].end, 0, 8);
+        }
+        {
+          const res = line.offset(-5);
+          expectPointCloseTo(res[0].start, 5, -2);
+          expectPointCloseTo(res[0].end, 8, 2);
+        }
+        expect(new Line(new Point(1, 1), new Point(1, 1)).offset(1)).to.be.an("array").of.length(0);
+      });
+    });
+
+    /**
+     * @test {Line#toQuadraticBezier}
+     */
+    describe("#toQuadraticBezier()", () => {
+      it("should convert the line segment to the equivalent quadratic Bezier curve", () => {
+        const line = new Line(new Point(1, 1), new Point(3, 2));
+        const curve = line.toQuadraticBezier();
+        expect(curve).to.be.an.instanceOf(QuadraticBezier);
+        expect(curve.start).not.to.equal(line.start);
+        expect(curve.end).not.to.equal(line.end);
+        for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+          const q = line.pointAt(t);
+          expectPointCloseTo(curve.pointAt(t), q.x, q.y);
+        }
+      });
+    });
+
+    /**
+     * @test {Line#toCubicBezier}
+     */
+    describe("#toCubicBezier()", () => {
+      it("should convert the line segment to the equivalent cubic Bezier curve", () => {
+        const line = new Line(new Point(1, 1), new Point(3, 2));
+        const curve = line.toCubicBezier();
+        expect(curve).to.be.an.instanceOf(CubicBezier);
+        expect(curve.start).not.to.equal(line.start);
+        expect(curve.end).not.to.equal(line.end);
+        for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+          const q = line.pointAt(t);
+          expectPointCloseTo(curve.pointAt(t), q.x, q.y);
+        }
+      });
+    });
   });
 
   /**
@@ -425,6 +814,23 @@ describe("edges", () => {
       });
     });
 
+    /**
+     * @test {QuadraticBezier#reverse}
+     */
+    describe("#reverse()", () => {
+      it("should return the curve in the reverse direction", () => {
+        const curve = new QuadraticBezier(new Point(1, 1), new Point(1, 2), new Point(2, 2));
+        const rev = curve.reverse();
+        expect(rev).to.be.an.instanceOf(QuadraticBezier);
+        expect(rev.start).not.to.equal(curve.end);
+        expect(rev.end).not.to.equal(curve.start);
+        for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+          const q = curve.pointAt(1 - t);
+          expectPointCloseTo(rev.pointAt(t), q.x, q.y);
+        }
+      });
+    });
+
     /**
      * @test {QuadraticBezier#translate}
      */
@@ -538,6 +944,28 @@ describe("edges", () => {
       });
     });
 
+    /**
+     * @test {QuadraticBezier#transform}
+     */
+    describe("#transform(matrix)", () => {
+      it("should return a curve transformed by the matrix", () => {
+        const curve = new QuadraticBezier(
+          new Point(1, 2),
+          new Point(3, 4),
+          new Point(5, 6)
+        );
+        const m = new Matrix(1, 2, 3, 4, 5, 6);
+        const transformed = curve.transform(m);
+        expect(transformed).to.be.an.instanceOf(QuadraticBezier);
+        expect(transformed.start.x).to.be.closeTo(curve.start.transform(m).x, EPS);
+        expect(transformed.start.y).to.be.closeTo(curve.start.transform(m).y, EPS);
+        expect(transformed.control.x).to.be.closeTo(curve.control.transform(m).x, EPS);
+        expect(transformed.control.y).to.be.closeTo(curve.control.transform(m).y, EPS);
+        expect(transformed.end.x).to.be.closeTo(curve.end.transform(m).x, EPS);
+        expect(transformed.end.y).to.be.closeTo(curve.end.transform(m).y, EPS);
+      });
+    });
+
     /**
      * @test {QuadraticBezier#pointAt}
      */
@@ -587,6 +1015,44 @@ describe("edges", () => {
       });
     });
 
+    /**
+     * @test {QuadraticBezier#subEdge}
+     */
+    describe("#subEdge(t0, t1)", () => {
+      it("should return the part of the curve between the parameters", () => {
+        const curve = new QuadraticBezier(new Point(1, 1), new Point(1, 2), new Point(2, 2));
+        for (const [t0, t1] of [[0, 1], [0.25, 0.5], [0.5, 0.25], [0.2, 0.9]]) {
+          const sub = curve.subEdge(t0, t1);
+          expect(sub).to.be.an.instanceOf(QuadraticBezier);
+          for (const u of [0, 0.25, 0.5, 0.75, 1]) {
+            const q = curve.pointAt(t0 + (t1 - t0) * u);
+            expectPointCloseTo(sub.pointAt(u), q.x, q.y);
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {QuadraticBezier#splitAtMany}
+     */
+    describe("#splitAtMany(ts)", () => {
+      it("should split the curve at the parameters in one pass", () => {
+        const curve = new QuadraticBezier(new Point(1, 1), new Point(1, 2), new Point(2, 2));
+        const splits = curve.splitAtMany([0.75, 0.25, 0.5]);
+        expect(splits).to.be.an("array").of.length(4);
+        for (let i = 0; i < 4; i++) {
+          expect(splits[i]).to.be.an.instanceOf(QuadraticBezier);
+          for (const u of [0, 0.25, 0.5, 0.75, 1]) {
+            const q = curve.pointAt((i + u) / 4);
+            expectPointCloseTo(splits[i].pointAt(u), q.x, q.y);
+          }
+        }
+        expect(splits[0].start).not.to.equal(curve.start);
+        expect(splits[3].end).not.to.equal(curve.end);
+        expect(curve.splitAtMany([])).to.be.an("array").of.length(1);
+      });
+    });
+
     /**
      * @test {QuadraticBezier#extremePoints}
      */
@@ -677,78 +1143,466 @@ describe("edges", () => {
         expect(curve.paramsForPoint(new Point(1, 1))).to.be.undefined;
       });
     });
-  });
 
-  /**
-   * @test {CubicBezier}
-   */
-  describe("CubicBezier", () => {
     /**
-     * @test {CubicBezier.constructor}
+     * @test {QuadraticBezier#derivativeAt}
      */
-    describe("constructor(start, control1, control2, end)", () => {
-      it("should create a new CubicBezier instance", () => {
-        const p1 = new Point(0, 1);
-        const p2 = new Point(2, 3);
-        const p3 = new Point(4, 5);
-        const p4 = new Point(6, 7);
-        const curve = new CubicBezier(p1, p2, p3, p4);
-        expect(curve).to.be.an.instanceOf(CubicBezier);
-        expect(curve.start).to.equal(p1);
-        expect(curve.control1).to.equal(p2);
-        expect(curve.control2).to.equal(p3);
-        expect(curve.end).to.equal(p4);
+    describe("#derivativeAt(t)", () => {
+      it("should return the derivative at `t`", () => {
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 1),
+          new Point(2, 0)
+        );
+        const ds = [[0, 2, 2], [0.5, 2, 0], [1, 2, -2]];
+        for (const [t, x, y] of ds) {
+          const d = curve.derivativeAt(t);
+          expect(d).to.be.an.instanceOf(Point);
+          expect(d.x).to.be.closeTo(x, EPS);
+          expect(d.y).to.be.closeTo(y, EPS);
+        }
       });
     });
 
     /**
-     * @test {CubicBezier#start}
+     * @test {QuadraticBezier#tangentAt}
      */
-    describe("#start", () => {
-      it("should be readable and writable", () => {
-        const p1 = new Point(0, 1);
-        const p2 = new Point(2, 3);
-        const p3 = new Point(4, 5);
-        const p4 = new Point(6, 7);
-        const curve = new CubicBezier(p1, p2, p3, p4);
-        expect(curve.start).to.equal(p1);
-        const p5 = new Point(8, 9);
-        curve.start = p5;
-        expect(curve.start).to.equal(p5);
+    describe("#tangentAt(t)", () => {
+      it("should return the unit tangent vector at `t`", () => {
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 1),
+          new Point(2, 0)
+        );
+        const v = curve.tangentAt(0);
+        expect(v).to.be.an.instanceOf(Point);
+        expect(v.x).to.be.closeTo(Math.SQRT1_2, EPS);
+        expect(v.y).to.be.closeTo(Math.SQRT1_2, EPS);
+      });
+
+      it("should use the higher order derivatives if the derivative vanishes", () => {
+        {
+          const curve = new QuadraticBezier(
+            new Point(0, 0),
+            new Point(0, 0),
+            new Point(3, 4)
+          );
+          const v = curve.tangentAt(0);
+          expect(v.x).to.be.closeTo(0.6, EPS);
+          expect(v.y).to.be.closeTo(0.8, EPS);
+        }
+        {
+          const curve = new QuadraticBezier(
+            new Point(0, 0),
+            new Point(3, 4),
+            new Point(3, 4)
+          );
+          const v = curve.tangentAt(1);
+          expect(v.x).to.be.closeTo(0.6, EPS);
+          expect(v.y).to.be.closeTo(0.8, EPS);
+        }
+      });
+
+      it("should return undefined if the curve degenerates to a point", () => {
+        const curve = new QuadraticBezier(
+          new Point(1, 1),
+          new Point(1, 1),
+          new Point(1, 1)
+        );
+        expect(curve.tangentAt(0.5)).to.be.undefined;
       });
     });
 
     /**
-     * @test {CubicBezier#control1}
+     * @test {QuadraticBezier#normalAt}
      */
-    describe("#control1", () => {
-      it("should be readable and writable", () => {
-        const p1 = new Point(0, 1);
-        const p2 = new Point(2, 3);
-        const p3 = new Point(4, 5);
-        const p4 = new Point(6, 7);
-        const curve = new CubicBezier(p1, p2, p3, p4);
-        expect(curve.control1).to.equal(p2);
-        const p5 = new Point(8, 9);
-        curve.control1 = p5;
-        expect(curve.control1).to.equal(p5);
+    describe("#normalAt(t)", () => {
+      it("should return the unit normal vector at `t`", () => {
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 1),
+          new Point(2, 0)
+        );
+        const v = curve.normalAt(1);
+        expect(v).to.be.an.instanceOf(Point);
+        expect(v.x).to.be.closeTo(Math.SQRT1_2, EPS);
+        expect(v.y).to.be.closeTo(Math.SQRT1_2, EPS);
       });
     });
 
     /**
-     * @test {CubicBezier#control2}
+     * @test {QuadraticBezier#curvatureAt}
      */
-    describe("#control2", () => {
-      it("should be readable and writable", () => {
-        const p1 = new Point(0, 1);
-        const p2 = new Point(2, 3);
-        const p3 = new Point(4, 5);
-        const p4 = new Point(6, 7);
-        const curve = new CubicBezier(p1, p2, p3, p4);
-        expect(curve.control2).to.equal(p3);
-        const p5 = new Point(8, 9);
-        curve.control2 = p5;
-        expect(curve.control2).to.equal(p5);
+    describe("#curvatureAt(t)", () => {
+      it("should return the signed curvature at `t`", () => {
+        {
+          const curve = new QuadraticBezier(
+            new Point(0, 0),
+            new Point(1, 1),
+            new Point(2, 0)
+          );
+          expect(curve.curvatureAt(0.5)).to.be.closeTo(-1, EPS);
+          expect(curve.curvatureAt(0)).to.be.closeTo(-1 / (2 * Math.SQRT2), EPS);
+        }
+        {
+          const curve = new QuadraticBezier(
+            new Point(0, 0),
+            new Point(1, -1),
+            new Point(2, 0)
+          );
+          expect(curve.curvatureAt(0.5)).to.be.closeTo(1, EPS);
+        }
+        {
+          const curve = new QuadraticBezier(
+            new Point(0, 0),
+            new Point(0, 0),
+            new Point(3, 4)
+          );
+          expect(curve.curvatureAt(0)).to.equal(0);
+        }
+      });
+    });
+
+    /**
+     * @test {QuadraticBezier#length}
+     */
+    describe("#length(tolerance = 1e-9)", () => {
+      it("should return the length of the curve", () => {
+        const length = Math.SQRT2 + Math.asinh(1);
+        {
+          const curve = new QuadraticBezier(
+            new Point(0, 0),
+            new Point(1, 1),
+            new Point(2, 0)
+          );
+          expect(curve.length()).to.be.closeTo(length, EPS);
+        }
+        {
+          const curve = new QuadraticBezier(
+            new Point(1, 1),
+            new Point(1, 1),
+            new Point(1, 1)
+          );
+          expect(curve.length()).to.be.closeTo(0, EPS);
+        }
+      });
+    });
+
+    /**
+     * @test {QuadraticBezier#lengthAt}
+     */
+    describe("#lengthAt(t, tolerance = 1e-9)", () => {
+      it("should return the length of the part of the curve from the start to `t`", () => {
+        const length = Math.SQRT2 + Math.asinh(1);
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 1),
+          new Point(2, 0)
+        );
+        expect(curve.lengthAt(0)).to.be.closeTo(0, EPS);
+        expect(curve.lengthAt(0.5)).to.be.closeTo(length / 2, EPS);
+        expect(curve.lengthAt(1)).to.be.closeTo(length, EPS);
+        const parts = curve.splitAt(0.3);
+        expect(curve.lengthAt(0.3)).to.be.closeTo(parts[0].length(), EPS);
+      });
+    });
+
+    /**
+     * @test {QuadraticBezier#paramAtLength}
+     */
+    describe("#paramAtLength(s, tolerance = 1e-9)", () => {
+      it("should return the parameter at which the length from the start is `s`", () => {
+        const length = Math.SQRT2 + Math.asinh(1);
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 1),
+          new Point(2, 0)
+        );
+        expect(curve.paramAtLength(-1)).to.equal(0);
+        expect(curve.paramAtLength(0)).to.equal(0);
+        expect(curve.paramAtLength(length / 2)).to.be.closeTo(0.5, EPS);
+        expect(curve.paramAtLength(length)).to.be.closeTo(1, EPS);
+        expect(curve.paramAtLength(length + 1)).to.equal(1);
+        for (const s of [0.1, 0.5, 1, 2]) {
+          expect(curve.lengthAt(curve.paramAtLength(s))).to.be.closeTo(s, EPS);
+        }
+      });
+    });
+
+    /**
+     * @test {QuadraticBezier#nearestPoint}
+     */
+    describe("#nearestPoint(point)", () => {
+      it("should return the nearest point on the curve to the point", () => {
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 2),
+          new Point(2, 0)
+        );
+        const cases = [[new Point(1, 3), 0.5], [new Point(-1, -1), 0], [new Point(3, 0), 1]];
+        for (const [point, t] of cases) {
+          const res = curve.nearestPoint(point);
+          const p = curve.pointAt(t);
+          expect(res.t).to.be.closeTo(t, EPS);
+          expect(res.point).to.be.an.instanceOf(Point);
+          expect(res.point.x).to.be.closeTo(p.x, EPS);
+          expect(res.point.y).to.be.closeTo(p.y, EPS);
+          expect(res.distance).to.be.closeTo(p.sub(point).length(), EPS);
+        }
+        {
+          const point = new Point(0.5, 1.5);
+          const res = curve.nearestPoint(point);
+          const r = res.point.sub(point);
+          expect(r.innerProd(curve.derivativeAt(res.t))).to.be.closeTo(0, EPS);
+          for (let i = 0; i <= 64; i++) {
+            expect(curve.pointAt(i / 64).sub(point).length()).to.be.at.least(res.distance);
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {QuadraticBezier#distanceTo}
+     */
+    describe("#distanceTo(point, maxDistance = Infinity)", () => {
+      it("should return the distance from the point to the curve", () => {
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 2),
+          new Point(2, 0)
+        );
+        expect(curve.distanceTo(new Point(1, 3))).to.be.closeTo(2, EPS);
+        expect(curve.distanceTo(new Point(1, 3), 2)).to.be.closeTo(2, EPS);
+        expect(curve.distanceTo(new Point(1, 10), 1)).to.be.above(1);
+      });
+    });
+
+    /**
+     * @test {QuadraticBezier#crossingNumber}
+     */
+    describe("#crossingNumber(point)", () => {
+      it("should return the signed number of crossings with the ray to the positive X direction", () => {
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 2),
+          new Point(2, 0)
+        );
+        expect(curve.crossingNumber(new Point(-1, 0.5))).to.equal(0);
+        expect(curve.crossingNumber(new Point(1, 0.5))).to.equal(-1);
+        expect(curve.crossingNumber(new Point(3, 0.5))).to.equal(0);
+        expect(curve.crossingNumber(new Point(1, 2))).to.equal(0);
+      });
+
+      it("should count a ray passing through an extreme point correctly", () => {
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 2),
+          new Point(2, 0)
+        );
+        expect(curve.crossingNumber(new Point(0, 1))).to.equal(0);
+        const half = curve.splitAt(0.5)[0];
+        expect(half.crossingNumber(new Point(0, 1))).to.equal(1);
+      });
+    });
+
+    /**
+     * @test {QuadraticBezier#signedArea}
+     */
+    describe("#signedArea()", () => {
+      it("should compute the signed area of the region between the origin and the curve", () => {
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 2),
+          new Point(2, 0)
+        );
+        expect(curve.signedArea()).to.be.closeTo(-4 / 3, EPS);
+        const translated = curve.translate(new Point(1, 2));
+        const closing = new Line(translated.end, translated.start);
+        expect(translated.signedArea() + closing.signedArea()).to.be.closeTo(-4 / 3, EPS);
+      });
+    });
+
+    /**
+     * @test {QuadraticBezier#centroid}
+     */
+    describe("#centroid()", () => {
+      it("should compute the centroid of the region between the origin and the curve", () => {
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 2),
+          new Point(2, 0)
+        );
+        expectPointCloseTo(curve.centroid(), 1, 0.4);
+      });
+    });
+
+    /**
+     * @test {QuadraticBezier#flatten}
+     */
+    describe("#flatten(tolerance)", () => {
+      it("should approximate the curve by a polyline within the tolerance", () => {
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 2),
+          new Point(2, 0)
+        );
+        for (const tolerance of [0.1, 1e-2, 1e-4]) {
+          const points = curve.flatten(tolerance);
+          expect(points[0].serialize()).to.deep.equal([0, 0]);
+          expect(points[points.length - 1].serialize()).to.deep.equal([2, 0]);
+          expect(distanceToPolyline(curve, points)).to.be.at.most(tolerance);
+        }
+        expect(curve.flatten(1e-4).length).to.be.above(curve.flatten(1e-2).length);
+      });
+
+      it("should return a line segment if the curve is straight", () => {
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 1),
+          new Point(2, 2)
+        );
+        expect(curve.flatten(1e-4)).to.be.an("array").of.length(2);
+        const point = new QuadraticBezier(
+          new Point(1, 1),
+          new Point(1, 1),
+          new Point(1, 1)
+        );
+        expect(point.flatten(1e-4)).to.be.an("array").of.length(2);
+      });
+
+      it("should throw a RangeError if the tolerance is not positive", () => {
+        const curve = new QuadraticBezier(new Point(0, 0), new Point(1, 2), new Point(2, 0));
+        expect(() => { curve.flatten(0); }).to.throw(RangeError, /invalid tolerance/);
+        expect(() => { curve.flatten(-1); }).to.throw(RangeError, /invalid tolerance/);
+        expect(() => { curve.flatten(NaN); }).to.throw(RangeError, /invalid tolerance/);
+      });
+    });
+
+    /**
+     * @test {QuadraticBezier#offset}
+     */
+    describe("#offset(distance, tolerance = 1e-3)", () => {
+      it("should approximate the offset of the curve within the tolerance", () => {
+        const curve = new QuadraticBezier(
+          new Point(0, 0),
+          new Point(1, 2),
+          new Point(2, 0)
+        );
+        for (const distance of [0.1, -0.3, 1]) {
+          for (const tolerance of [1e-3, 1e-6]) {
+            const res = curve.offset(distance, tolerance);
+            expect(res).to.be.an("array").that.is.not.empty;
+            for (const c of res) {
+              expect(c).to.be.an.instanceOf(QuadraticBezier);
+            }
+            for (let i = 0; i < res.length - 1; i++) {
+              expect(res[i].end.sub(res[i + 1].start).length()).to.be.closeTo(0, EPS);
+            }
+            const start = curve.start.add(curve.normalAt(0).scale(distance));
+            const end = curve.end.add(curve.normalAt(1).scale(distance));
+            expectPointCloseTo(res[0].start, start.x, start.y);
+            expectPointCloseTo(res[res.length - 1].end, end.x, end.y);
+            expect(offsetError(curve, distance, res)).to.be.at.most(tolerance);
+          }
+        }
+      });
+
+      it("should throw a RangeError if the tolerance is not positive", () => {
+        const curve = new QuadraticBezier(new Point(0, 0), new Point(1, 2), new Point(2, 0));
+        expect(() => { curve.offset(0.1, 0); }).to.throw(RangeError, /invalid tolerance/);
+        expect(() => { curve.offset(0.1, -1); }).to.throw(RangeError, /invalid tolerance/);
+        expect(() => { curve.offset(0.1, NaN); }).to.throw(RangeError, /invalid tolerance/);
+      });
+    });
+
+    /**
+     * @test {QuadraticBezier#toCubicBezier}
+     */
+    describe("#toCubicBezier()", () => {
+      it("should convert the curve to the equivalent cubic Bezier curve", () => {
+        const curve = new QuadraticBezier(new Point(1, 1), new Point(1, 2), new Point(3, 2));
+        const cubic = curve.toCubicBezier();
+        expect(cubic).to.be.an.instanceOf(CubicBezier);
+        expect(cubic.start).not.to.equal(curve.start);
+        expect(cubic.end).not.to.equal(curve.end);
+        for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+          const q = curve.pointAt(t);
+          expectPointCloseTo(cubic.pointAt(t), q.x, q.y);
+        }
+      });
+    });
+  });
+
+  /**
+   * @test {CubicBezier}
+   */
+  describe("CubicBezier", () => {
+    /**
+     * @test {CubicBezier.constructor}
+     */
+    describe("constructor(start, control1, control2, end)", () => {
+      it("should create a new CubicBezier instance", () => {
+        const p1 = new Point(0, 1);
+        const p2 = new Point(2, 3);
+        const p3 = new Point(4, 5);
+        const p4 = new Point(6, 7);
+        const curve = new CubicBezier(p1, p2, p3, p4);
+        expect(curve).to.be.an.instanceOf(CubicBezier);
+        expect(curve.start).to.equal(p1);
+        expect(curve.control1).to.equal(p2);
+        expect(curve.control2).to.equal(p3);
+        expect(curve.end).to.equal(p4);
+      });
+    });
+
+    /**
+     * @test {CubicBezier#start}
+     */
+    describe("#start", () => {
+      it("should be readable and writable", () => {
+        const p1 = new Point(0, 1);
+        const p2 = new Point(2, 3);
+        const p3 = new Point(4, 5);
+        const p4 = new Point(6, 7);
+        const curve = new CubicBezier(p1, p2, p3, p4);
+        expect(curve.start).to.equal(p1);
+        const p5 = new Point(8, 9);
+        curve.start = p5;
+        expect(curve.start).to.equal(p5);
+      });
+    });
+
+    /**
+     * @test {CubicBezier#control1}
+     */
+    describe("#control1", () => {
+      it("should be readable and writable", () => {
+        const p1 = new Point(0, 1);
+        const p2 = new Point(2, 3);
+        const p3 = new Point(4, 5);
+        const p4 = new Point(6, 7);
+        const curve = new CubicBezier(p1, p2, p3, p4);
+        expect(curve.control1).to.equal(p2);
+        const p5 = new Point(8, 9);
+        curve.control1 = p5;
+        expect(curve.control1).to.equal(p5);
+      });
+    });
+
+    /**
+     * @test {CubicBezier#control2}
+     */
+    describe("#control2", () => {
+      it("should be readable and writable", () => {
+        const p1 = new Point(0, 1);
+        const p2 = new Point(2, 3);
+        const p3 = new Point(4, 5);
+        const p4 = new Point(6, 7);
+        const curve = new CubicBezier(p1, p2, p3, p4);
+        expect(curve.control2).to.equal(p3);
+        const p5 = new Point(8, 9);
+        curve.control2 = p5;
+        expect(curve.control2).to.equal(p5);
       });
     });
 
@@ -815,6 +1669,28 @@ describe("edges", () => {
       });
     });
 
+    /**
+     * @test {CubicBezier#reverse}
+     */
+    describe("#reverse()", () => {
+      it("should return the curve in the reverse direction", () => {
+        const curve = new CubicBezier(
+          new Point(1, 1),
+          new Point(1, 2),
+          new Point(2, 2),
+          new Point(2, 1)
+        );
+        const rev = curve.reverse();
+        expect(rev).to.be.an.instanceOf(CubicBezier);
+        expect(rev.start).not.to.equal(curve.end);
+        expect(rev.end).not.to.equal(curve.start);
+        for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+          const q = curve.pointAt(1 - t);
+          expectPointCloseTo(rev.pointAt(t), q.x, q.y);
+        }
+      });
+    });
+
     /**
      * @test {CubicBezier#translate}
      */
@@ -948,6 +1824,31 @@ describe("edges", () => {
       });
     });
 
+    /**
+     * @test {CubicBezier#transform}
+     */
+    describe("#transform(matrix)", () => {
+      it("should return a curve transformed by the matrix", () => {
+        const curve = new CubicBezier(
+          new Point(1, 2),
+          new Point(3, 4),
+          new Point(5, 6),
+          new Point(7, 8)
+        );
+        const m = new Matrix(1, 2, 3, 4, 5, 6);
+        const transformed = curve.transform(m);
+        expect(transformed).to.be.an.instanceOf(CubicBezier);
+        expect(transformed.start.x).to.be.closeTo(curve.start.transform(m).x, EPS);
+        expect(transformed.start.y).to.be.closeTo(curve.start.transform(m).y, EPS);
+        expect(transformed.control1.x).to.be.closeTo(curve.control1.transform(m).x, EPS);
+        expect(transformed.control1.y).to.be.closeTo(curve.control1.transform(m).y, EPS);
+        expect(transformed.control2.x).to.be.closeTo(curve.control2.transform(m).x, EPS);
+        expect(transformed.control2.y).to.be.closeTo(curve.control2.transform(m).y, EPS);
+        expect(transformed.end.x).to.be.closeTo(curve.end.transform(m).x, EPS);
+        expect(transformed.end.y).to.be.closeTo(curve.end.transform(m).y, EPS);
+      });
+    });
+
     /**
      * @test {CubicBezier#pointAt}
      */
@@ -999,6 +1900,54 @@ describe("edges", () => {
       });
     });
 
+    /**
+     * @test {CubicBezier#subEdge}
+     */
+    describe("#subEdge(t0, t1)", () => {
+      it("should return the part of the curve between the parameters", () => {
+        const curve = new CubicBezier(
+          new Point(1, 1),
+          new Point(1, 2),
+          new Point(2, 2),
+          new Point(2, 1)
+        );
+        for (const [t0, t1] of [[0, 1], [0.25, 0.5], [0.5, 0.25], [0.2, 0.9]]) {
+          const sub = curve.subEdge(t0, t1);
+          expect(sub).to.be.an.instanceOf(CubicBezier);
+          for (const u of [0, 0.25, 0.5, 0.75, 1]) {
+            const q = curve.pointAt(t0 + (t1 - t0) * u);
+            expectPointCloseTo(sub.pointAt(u), q.x, q.y);
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {CubicBezier#splitAtMany}
+     */
+    describe("#splitAtMany(ts)", () => {
+      it("should split the curve at the parameters in one pass", () => {
+        const curve = new CubicBezier(
+          new Point(1, 1),
+          new Point(1, 2),
+          new Point(2, 2),
+          new Point(2, 1)
+        );
+        const splits = curve.splitAtMany([0.75, 0.25, 0.5]);
+        expect(splits).to.be.an("array").of.length(4);
+        for (let i = 0; i < 4; i++) {
+          expect(splits[i]).to.be.an.instanceOf(CubicBezier);
+          for (const u of [0, 0.25, 0.5, 0.75, 1]) {
+            const q = curve.pointAt((i + u) / 4);
+            expectPointCloseTo(splits[i].pointAt(u), q.x, q.y);
+          }
+        }
+        expect(splits[0].start).not.to.equal(curve.start);
+        expect(splits[3].end).not.to.equal(curve.end);
+        expect(curve.splitAtMany([])).to.be.an("array").of.length(1);
+      });
+    });
+
     /**
      * @test {CubicBezier#extremePoints}
      */
@@ -1017,91 +1966,607 @@ describe("edges", () => {
           expect(ep.point).to.be.an.instanceOf(Point);
         }
       });
+
+      it("should not lose extreme points if the curve is almost quadratic", () => {
+        const center = new Point(1, 1);
+        const quad = new QuadraticBezier(new Point(0, 0), new Point(1, 2), new Point(2, 0));
+        for (const angle of [0.0617, 0.1851, 0.4319]) {
+          const rotated = quad.rotate(angle, center);
+          const expected = rotated.extremePoints();
+          const eps = rotated.toCubicBezier().extremePoints();
+          expect(eps).to.be.an("array").of.length(expected.length);
+          for (let i = 0; i < eps.length; i++) {
+            expect(eps[i].t).to.be.closeTo(expected[i].t, EPS);
+            expectPointCloseTo(eps[i].point, expected[i].point.x, expected[i].point.y);
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {CubicBezier#boundingBox}
+     */
+    describe("#boundingBox()", () => {
+      it("should return a rectangle object representing the bounding box", () => {
+        const p1 = new Point(0, 1);
+        const p2 = new Point(2, 3);
+        const p3 = new Point(4, 5);
+        const p4 = new Point(6, 7);
+        const curve = new CubicBezier(p1, p2, p3, p4);
+        const bb = curve.boundingBox();
+        expect(bb).to.be.an.instanceOf(Rectangle);
+      });
+    });
+
+    /**
+     * @test {CubicBezier#deviationFromLine}
+     */
+    describe("#deviationFromLine()", () => {
+      it("should return the degree of deviation from line", () => {
+        {
+          const p1 = new Point(0, 0);
+          const p2 = new Point(2, 0);
+          const p3 = new Point(2, 2);
+          const p4 = new Point(0, 2);
+          const curve = new CubicBezier(p1, p2, p3, p4);
+          expect(curve.deviationFromLine()).to.be.closeTo(3 / 4, EPS);
+        }
+        {
+          const p1 = new Point(1, 0);
+          const p2 = new Point(0, 0);
+          const p3 = new Point(2, 2);
+          const p4 = new Point(1, 2);
+          const curve = new CubicBezier(p1, p2, p3, p4);
+          expect(curve.deviationFromLine()).not.to.equal(Infinity);
+        }
+        {
+          const p1 = new Point(0, 0);
+          const p2 = new Point(2, 0);
+          const p3 = new Point(3, 2);
+          const p4 = new Point(2, 2);
+          const curve = new CubicBezier(p1, p2, p3, p4);
+          expect(curve.deviationFromLine()).to.equal(Infinity);
+        }
+      });
+    });
+
+    /**
+     * @test {CubicBezier#paramsForPoint}
+     */
+    describe("#paramsForPoint(point, epsilon = Number.EPSILON)", () => {
+      it("should return an array of parameters that give the specified point", () => {
+        {
+          const curve = new CubicBezier(
+            new Point(1, 1),
+            new Point(1, 2),
+            new Point(2, 1),
+            new Point(2, 2)
+          );
+          expectArrayCloseTo(curve.paramsForPoint(new Point(0, 0)), []);
+          expectArrayCloseTo(curve.paramsForPoint(new Point(1, 1)), [0]);
+          expectArrayCloseTo(curve.paramsForPoint(curve.pointAt(0.5)), [0.5]);
+          expectArrayCloseTo(curve.paramsForPoint(new Point(2, 2)), [1]);
+        }
+        {
+          const curve = new CubicBezier(
+            new Point(1, 1),
+            new Point(1, 1),
+            new Point(1, 1),
+            new Point(1, 1)
+          );
+          expectArrayCloseTo(curve.paramsForPoint(new Point(0, 0)), []);
+        }
+      });
+
+      it("should return undefined if all the parameters are degenerated", () => {
+        const curve = new CubicBezier(
+          new Point(1, 1),
+          new Point(1, 1),
+          new Point(1, 1),
+          new Point(1, 1)
+        );
+        expect(curve.paramsForPoint(new Point(1, 1))).to.be.undefined;
+      });
+    });
+
+    /**
+     * @test {CubicBezier#derivativeAt}
+     */
+    describe("#derivativeAt(t)", () => {
+      it("should return the derivative at `t`", () => {
+        const curve = new CubicBezier(
+          new Point(0, 0),
+          new Point(0, 1),
+          new Point(1, 1),
+          new Point(1, 0)
+        );
+        const ds = [[0, 0, 3], [0.5, 1.5, 0], [1, 0, -3]];
+        for (const [t, x, y] of ds) {
+          const d = curve.derivativeAt(t);
+          expect(d).to.be.an.instanceOf(Point);
+          expect(d.x).to.be.closeTo(x, EPS);
+          expect(d.y).to.be.closeTo(y, EPS);
+        }
+      });
+    });
+
+    /**
+     * @test {CubicBezier#tangentAt}
+     */
+    describe("#tangentAt(t)", () => {
+      it("should return the unit tangent vector at `t`", () => {
+        const curve = new CubicBezier(
+          new Point(0, 0),
+          new Point(0, 1),
+          new Point(1, 1),
+          new Point(1, 0)
+        );
+        const v = curve.tangentAt(0.5);
+        expect(v).to.be.an.instanceOf(Point);
+        expect(v.x).to.be.closeTo(1, EPS);
+        expect(v.y).to.be.closeTo(0, EPS);
+      });
+
+      it("should use the higher order derivatives if the derivative vanishes", () => {
+        {
+          const curve = new CubicBezier(
+            new Point(0, 0),
+            new Point(0, 0),
+            new Point(1, 1),
+            new Point(2, 0)
+          );
+          const v = curve.tangentAt(0);
+          expect(v.x).to.be.closeTo(Math.SQRT1_2, EPS);
+          expect(v.y).to.be.closeTo(Math.SQRT1_2, EPS);
+        }
+        {
+          const curve = new CubicBezier(
+            new Point(0, 0),
+            new Point(1, 1),
+            new Point(2, 0),
+            new Point(2, 0)
+          );
+          const v = curve.tangentAt(1);
+          expect(v.x).to.be.closeTo(Math.SQRT1_2, EPS);
+          expect(v.y).to.be.closeTo(-Math.SQRT1_2, EPS);
+        }
+        {
+          const curve = new CubicBezier(
+            new Point(0, 0),
+            new Point(0, 0),
+            new Point(3, 4),
+            new Point(3, 4)
+          );
+          for (const t of [0, 1]) {
+            const v = curve.tangentAt(t);
+            expect(v.x).to.be.closeTo(0.6, EPS);
+            expect(v.y).to.be.closeTo(0.8, EPS);
+          }
+        }
+        {
+          const curve = new CubicBezier(
+            new Point(0, 0),
+            new Point(2, 1),
+            new Point(0, 1),
+            new Point(2, 0)
+          );
+          const v = curve.tangentAt(0.5);
+          expect(v.x).to.be.closeTo(0, EPS);
+          expect(v.y).to.be.closeTo(-1, EPS);
+        }
+      });
+
+      it("should return undefined if the curve degenerates to a point", () => {
+        const curve = new CubicBezier(
+          new Point(1, 1),
+          new Point(1, 1),
+          new Point(1, 1),
+          new Point(1, 1)
+        );
+        expect(curve.tangentAt(0.5)).to.be.undefined;
+      });
+    });
+
+    /**
+     * @test {CubicBezier#normalAt}
+     */
+    describe("#normalAt(t)", () => {
+      it("should return the unit normal vector at `t`", () => {
+        const curve = new CubicBezier(
+          new Point(0, 0),
+          new Point(0, 1),
+          new Point(1, 1),
+          new Point(1, 0)
+        );
+        const v = curve.normalAt(0);
+        expect(v).to.be.an.instanceOf(Point);
+        expect(v.x).to.be.closeTo(-1, EPS);
+        expect(v.y).to.be.closeTo(0, EPS);
+      });
+    });
+
+    /**
+     * @test {CubicBezier#curvatureAt}
+     */
+    describe("#curvatureAt(t)", () => {
+      it("should return the signed curvature at `t`", () => {
+        const curve = new CubicBezier(
+          new Point(0, 0),
+          new Point(0, 1),
+          new Point(1, 1),
+          new Point(1, 0)
+        );
+        expect(curve.curvatureAt(0)).to.be.closeTo(-2 / 3, EPS);
+        expect(curve.curvatureAt(0.5)).to.be.closeTo(-8 / 3, EPS);
+      });
+
+      it("should return the limit if the derivative vanishes", () => {
+        {
+          const curve = new CubicBezier(
+            new Point(0, 0),
+            new Point(0, 0),
+            new Point(1, 1),
+            new Point(2, 0)
+          );
+          expect(curve.curvatureAt(0)).to.equal(-Infinity);
+        }
+        {
+          const curve = new CubicBezier(
+            new Point(0, 0),
+            new Point(0, 0),
+            new Point(1, -1),
+            new Point(2, 0)
+          );
+          expect(curve.curvatureAt(0)).to.equal(Infinity);
+        }
+        {
+          const curve = new CubicBezier(
+            new Point(0, 0),
+            new Point(0, 0),
+            new Point(3, 4),
+            new Point(3, 4)
+          );
+          expect(curve.curvatureAt(0)).to.equal(0);
+        }
+      });
+    });
+
+    /**
+     * @test {CubicBezier#length}
+     */
+    describe("#length(tolerance = 1e-9)", () => {
+      it("should return the length of the curve", () => {
+        const length = Math.SQRT2 + Math.asinh(1);
+        {
+          const curve = new CubicBezier(
+            new Point(0, 0),
+            new Point(2 / 3, 2 / 3),
+            new Point(4 / 3, 2 / 3),
+            new Point(2, 0)
+          );
+          expect(curve.length()).to.be.closeTo(length, EPS);
+        }
+        {
+          const curve = new CubicBezier(
+            new Point(1, 1),
+            new Point(1, 1),
+            new Point(1, 1),
+            new Point(1, 1)
+          );
+          expect(curve.length()).to.be.closeTo(0, EPS);
+        }
+      });
+    });
+
+    /**
+     * @test {CubicBezier#lengthAt}
+     */
+    describe("#lengthAt(t, tolerance = 1e-9)", () => {
+      it("should return the length of the part of the curve from the start to `t`", () => {
+        const length = Math.SQRT2 + Math.asinh(1);
+        const curve = new CubicBezier(
+          new Point(0, 0),
+          new Point(2 / 3, 2 / 3),
+          new Point(4 / 3, 2 / 3),
+          new Point(2, 0)
+        );
+        expect(curve.lengthAt(0)).to.be.closeTo(0, EPS);
+        expect(curve.lengthAt(0.5)).to.be.closeTo(length / 2, EPS);
+        expect(curve.lengthAt(1)).to.be.closeTo(length, EPS);
+        const parts = curve.splitAt(0.3);
+        expect(curve.lengthAt(0.3)).to.be.closeTo(parts[0].length(), EPS);
+      });
+    });
+
+    /**
+     * @test {CubicBezier#paramAtLength}
+     */
+    describe("#paramAtLength(s, tolerance = 1e-9)", () => {
+      it("should return the parameter at which the length from the start is `s`", () => {
+        const length = Math.SQRT2 + Math.asinh(1);
+        const curve = new CubicBezier(
+          new Point(0, 0),
+          new Point(2 / 3, 2 / 3),
+          new Point(4 / 3, 2 / 3),
+          new Point(2, 0)
+        );
+        expect(curve.paramAtLength(-1)).to.equal(0);
+        expect(curve.paramAtLength(0)).to.equal(0);
+        expect(curve.paramAtLength(length / 2)).to.be.closeTo(0.5, EPS);
+        expect(curve.paramAtLength(length)).to.be.closeTo(1, EPS);
+        expect(curve.paramAtLength(length + 1)).to.equal(1);
+        for (const s of [0.1, 0.5, 1, 2]) {
+          expect(curve.lengthAt(curve.paramAtLength(s))).to.be.closeTo(s, EPS);
+        }
+      });
+    });
+
+    /**
+     * @test {CubicBezier#nearestPoint}
+     */
+    describe("#nearestPoint(point)", () => {
+      it("should return the nearest point on the curve to the point", () => {
+        const curve = new CubicBezier(
+          new Point(0, 0),
+          new Point(0, 1),
+          new Point(1, 1),
+          new Point(1, 0)
+        );
+        const cases = [[new Point(0.5, 2), 0.5], [new Point(-1, -1), 0], [new Point(2, -1), 1]];
+        for (const [point, t] of cases) {
+          const res = curve.nearestPoint(point);
+          const p = curve.pointAt(t);
+          expect(res.t).to.be.closeTo(t, EPS);
+          expect(res.point).to.be.an.instanceOf(Point);
+          expect(res.point.x).to.be.closeTo(p.x, EPS);
+          expect(res.point.y).to.be.closeTo(p.y, EPS);
+          expect(res.distance).to.be.closeTo(p.sub(point).length(), EPS);
+        }
+        {
+          const point = new Point(0.2, 0.3);
+          const res = curve.nearestPoint(point);
+          const r = res.point.sub(point);
+          expect(r.innerProd(curve.derivativeAt(res.t))).to.be.closeTo(0, EPS);
+          for (let i = 0; i <= 64; i++) {
+            expect(curve.pointAt(i / 64).sub(point).length()).to.be.at.least(res.distance);
+          }
+        }
+      });
+    });
+
+    /**
+     * @test {CubicBezier#distanceTo}
+     */
+    describe("#distanceTo(point, maxDistance = Infinity)", () => {
+      it("should return the distance from the point to the curve", () => {
+        const curve = new CubicBezier(
+          new Point(0, 0),
+          new Point(0, 1),
+          new Point(1, 1),
+          new Point(1, 0)
+        );
+        expect(curve.distanceTo(new Point(0.5, 2))).to.be.closeTo(1.25, EPS);
+        expect(curve.distanceTo(new Point(0.5, 2), 2)).to.be.closeTo(1.25, EPS);
+        expect(curve.distanceTo(new Point(0.5, 10), 1)).to.be.above(1);
+      });
+    });
+
+    /**
+     * @test {CubicBezier#crossingNumber}
+     */
+    describe("#crossingNumber(point)", () => {
+      it("should return the signed number of crossings with the ray to the positive X direction", () => {
+        const curve = new CubicBezier(
+          new Point(0, 0),
+          new Point(0, 1),
+          new Point(1, 1),
+          new Point(1, 0)
+        );
+        expect(curve.crossingNumber(new Point(-1, 0.5))).to.equal(0);
+        expect(curve.crossingNumber(new Point(0.5, 0.5))).to.equal(-1);
+        expect(curve.crossingNumber(new Point(2, 0.5))).to.equal(0);
+        expect(curve.crossingNumber(new Point(0, 0.75))).to.equal(0);
+        const loop = new CubicBezier(
+          new Point(0, 0),
+          new Point(3, 3),
+          new Point(-3, 3),
+          new Point(0, 0)
+        );
+        expect(loop.crossingNumber(new Point(-1, 1))).to.equal(0);
+        expect(loop.crossingNumber(new Point(0, 1))).to.equal(1);
+      });
+    });
+
+    /**
+     * @test {CubicBezier#signedArea}
+     */
+    describe("#signedArea()", () => {
+      it("should compute the signed area of the region between the origin and the curve", () => {
+        const curve = new CubicBezier(
+          new Point(0, 0),
+          new Point(0, 1),
+          new Point(1, 1),
+          new Point(1, 0)
+        );
+        expect(curve.signedArea()).to.be.closeTo(-0.6, EPS);
+        const translated = curve.translate(new Point(-3, 1));
+        const closing = new Line(translated.end, translated.start);
+        expect(translated.signedArea() + closing.signedArea()).to.be.closeTo(-0.6, EPS);
+      });
     });
 
     /**
-     * @test {CubicBezier#boundingBox}
+     * @test {CubicBezier#centroid}
      */
-    describe("#boundingBox()", () => {
-      it("should return a rectangle object representing the bounding box", () => {
-        const p1 = new Point(0, 1);
-        const p2 = new Point(2, 3);
-        const p3 = new Point(4, 5);
-        const p4 = new Point(6, 7);
-        const curve = new CubicBezier(p1, p2, p3, p4);
-        const bb = curve.boundingBox();
-        expect(bb).to.be.an.instanceOf(Rectangle);
+    describe("#centroid()", () => {
+      it("should compute the centroid of the region between the origin and the curve", () => {
+        const curve = new CubicBezier(
+          new Point(0, 0),
+          new Point(0, 1),
+          new Point(1, 1),
+          new Point(1, 0)
+        );
+        expectPointCloseTo(curve.centroid(), 0.5, 27 / 84);
       });
     });
 
     /**
-     * @test {CubicBezier#deviationFromLine}
+     * @test {CubicBezier#flatten}
      */
-    describe("#deviationFromLine()", () => {
-      it("should return the degree of deviation from line", () => {
-        {
-          const p1 = new Point(0, 0);
-          const p2 = new Point(2, 0);
-          const p3 = new Point(2, 2);
-          const p4 = new Point(0, 2);
-          const curve = new CubicBezier(p1, p2, p3, p4);
-          expect(curve.deviationFromLine()).to.be.closeTo(3 / 4, EPS);
-        }
-        {
-          const p1 = new Point(1, 0);
-          const p2 = new Point(0, 0);
-          const p3 = new Point(2, 2);
-          const p4 = new Point(1, 2);
-          const curve = new CubicBezier(p1, p2, p3, p4);
-          expect(curve.deviationFromLine()).not.to.equal(Infinity);
-        }
-        {
-          const p1 = new Point(0, 0);
-          const p2 = new Point(2, 0);
-          const p3 = new Point(3, 2);
-          const p4 = new Point(2, 2);
-          const curve = new CubicBezier(p1, p2, p3, p4);
-          expect(curve.deviationFromLine()).to.equal(Infinity);
+    describe("#flatten(tolerance)", () => {
+      it("should approximate the curve by a polyline within the tolerance", () => {
+        const curves = [
+          new CubicBezier(
+            new Point(0, 0),
+            new Point(0, 1),
+            new Point(1, 1),
+            new Point(1, 0)
+          ),
+          // an S-shaped curve
+          new CubicBezier(
+            new Point(0, 0),
+            new Point(2, 2),
+            new Point(-1, 2),
+            new Point(1, 0)
+          ),
+          // a loop
+          new CubicBezier(
+            new Point(0, 0),
+            new Point(3, 3),
+            new Point(-3, 3),
+            new Point(0, 0)
+          )
+        ];
+        for (const curve of curves) {
+          for (const tolerance of [0.1, 1e-2, 1e-4]) {
+            const points = curve.flatten(tolerance);
+            expect(points[0].equals(curve.start)).to.be.true;
+            expect(points[points.length - 1].equals(curve.end)).to.be.true;
+            expect(distanceToPolyline(curve, points)).to.be.at.most(tolerance);
+          }
         }
       });
+
+      it("should throw a RangeError if the tolerance is not positive", () => {
+        const curve = new CubicBezier(
+          new Point(0, 0), new Point(1, 2), new Point(3, 2), new Point(4, 0)
+        );
+        expect(() => { curve.flatten(0); }).to.throw(RangeError, /invalid tolerance/);
+        expect(() => { curve.flatten(-1); }).to.throw(RangeError, /invalid tolerance/);
+        expect(() => { curve.flatten(NaN); }).to.throw(RangeError, /invalid tolerance/);
+      });
     });
 
     /**
-     * @test {CubicBezier#paramsForPoint}
+     * @test {CubicBezier#offset}
      */
-    describe("#paramsForPoint(point, epsilon = Number.EPSILON)", () => {
-      it("should return an array of parameters that give the specified point", () => {
-        {
-          const curve = new CubicBezier(
+    describe("#offset(distance, tolerance = 1e-3)", () => {
+      it("should approximate the offset of the curve within the tolerance", () => {
+        const curves = [
+          new CubicBezier(
+            new Point(0, 0),
+            new Point(0, 1),
             new Point(1, 1),
-            new Point(1, 2),
-            new Point(2, 1),
-            new Point(2, 2)
-          );
-          expectArrayCloseTo(curve.paramsForPoint(new Point(0, 0)), []);
-          expectArrayCloseTo(curve.paramsForPoint(new Point(1, 1)), [0]);
-          expectArrayCloseTo(curve.paramsForPoint(curve.pointAt(0.5)), [0.5]);
-          expectArrayCloseTo(curve.paramsForPoint(new Point(2, 2)), [1]);
+            new Point(1, 0)
+          ),
+          // an S-shaped curve
+          new CubicBezier(
+            new Point(0, 0),
+            new Point(2, 2),
+            new Point(-1, 2),
+            new Point(1, 0)
+          )
+        ];
+        for (const curve of curves) {
+          for (const distance of [0.1, -0.3, 1]) {
+            for (const tolerance of [1e-3, 1e-6]) {
+              const res = curve.offset(distance, tolerance);
+              expect(res).to.be.an("array").that.is.not.empty;
+              for (const c of res) {
+                expect(c).to.be.an.instanceOf(CubicBezier);
+              }
+              for (let i = 0; i < res.length - 1; i++) {
+                expect(res[i].end.sub(res[i + 1].start).length()).to.be.closeTo(0, EPS);
+              }
+              expect(offsetError(curve, distance, res)).to.be.at.most(tolerance);
+            }
+          }
         }
-        {
-          const curve = new CubicBezier(
-            new Point(1, 1),
-            new Point(1, 1),
-            new Point(1, 1),
-            new Point(1, 1)
-          );
-          expectArrayCloseTo(curve.paramsForPoint(new Point(0, 0)), []);
+      });
+
+      it("should split the offset at cusps", () => {
+        const curve = new CubicBezier(
+          new Point(0, 0),
+          new Point(2, 2),
+          new Point(0, 2),
+          new Point(2, 0)
+        );
+        const res = curve.offset(0.1);
+        expect(offsetError(curve, 0.1, res)).to.be.at.most(1e-3);
+        // the normal vector is flipped at the cusp
+        const gaps = [];
+        for (let i = 0; i < res.length - 1; i++) {
+          gaps.push(res[i].end.sub(res[i + 1].start).length());
         }
+        expect(gaps.filter(gap => gap > EPS)).to.be.of.length(1);
+        expect(Math.max(...gaps)).to.be.closeTo(0.2, EPS);
       });
 
-      it("should return undefined if all the parameters are degenerated", () => {
+      it("should throw a RangeError if the tolerance is not positive", () => {
         const curve = new CubicBezier(
-          new Point(1, 1),
-          new Point(1, 1),
-          new Point(1, 1),
-          new Point(1, 1)
+          new Point(0, 0), new Point(1, 2), new Point(3, 2), new Point(4, 0)
         );
-        expect(curve.paramsForPoint(new Point(1, 1))).to.be.undefined;
+        expect(() => { curve.offset(0.1, 0); }).to.throw(RangeError, /invalid tolerance/);
+        expect(() => { curve.offset(0.1, -1); }).to.throw(RangeError, /invalid tolerance/);
+        expect(() => { curve.offset(0.1, NaN); }).to.throw(RangeError, /invalid tolerance/);
+      });
+    });
+
+    /**
+     * @test {CubicBezier#toQuadraticBeziers}
+     */
+    describe("#toQuadraticBeziers(tolerance = 1e-3)", () => {
+      it("should approximate the curve by quadratic Bezier curves within the tolerance", () => {
+        const curves = [
+          new CubicBezier(new Point(0, 0), new Point(1, 2), new Point(3, 2), new Point(4, 0)),
+          new CubicBezier(new Point(0, 0), new Point(4, 3), new Point(0, 3), new Point(4, 0)),
+          new CubicBezier(new Point(0, 0), new Point(2, 2), new Point(0, 2), new Point(2, 0))
+        ];
+        for (const curve of curves) {
+          for (const tolerance of [1e-1, 1e-3, 1e-5]) {
+            const res = curve.toQuadraticBeziers(tolerance);
+            expect(res.length).to.be.at.least(1);
+            expect(res[0].start.equals(curve.start)).to.be.true;
+            expect(res[res.length - 1].end.equals(curve.end)).to.be.true;
+            for (let i = 0; i < res.length; i++) {
+              expect(res[i]).to.be.an.instanceOf(QuadraticBezier);
+              if (i > 0) {
+                expect(res[i].start.equals(res[i - 1].end)).to.be.true;
+              }
+            }
+            for (let i = 0; i <= 64; i++) {
+              const p = curve.pointAt(i / 64);
+              const distance = Math.min(...res.map(q => q.distanceTo(p)));
+              expect(distance).to.be.at.most(tolerance);
+            }
+          }
+        }
+      });
+
+      it("should return a single equivalent curve if the curve is elevated from a quadratic", () => {
+        const quad = new QuadraticBezier(new Point(1, 1), new Point(1, 2), new Point(3, 2));
+        const res = quad.toCubicBezier().toQuadraticBeziers();
+        expect(res).to.be.an("array").of.length(1);
+        expectPointCloseTo(res[0].control, 1, 2);
+      });
+
+      it("should throw a RangeError if the tolerance is not positive", () => {
+        const curve = new CubicBezier(
+          new Point(0, 0), new Point(1, 2), new Point(3, 2), new Point(4, 0)
+        );
+        expect(() => { curve.toQuadraticBeziers(0); }).to.throw(RangeError, /invalid tolerance/);
+        expect(() => { curve.toQuadraticBeziers(-1); }).to.throw(RangeError, /invalid tolerance/);
+        expect(() => { curve.toQuadraticBeziers(NaN); }).to.throw(RangeError, /invalid tolerance/);
       });
     });
   });
@@ -1143,18 +2608,36 @@ describe("edges", () => {
       }
     });
 
-    it("should return undefined if there are infinitely many intersections", () => {
-      const edge1 = new Line(new Point(0, 0), new Point(3, 3));
-      const edge2 = new Line(new Point(0, 0), new Point(2, 2));
-      const is = intersections(edge1, edge2);
-      expect(is).to.be.undefined;
+    it("should return the overlapping part if the line segments overlap", () => {
+      {
+        const edge1 = new Line(new Point(0, 0), new Point(3, 3));
+        const edge2 = new Line(new Point(0, 0), new Point(2, 2));
+        const is = intersectionsLL(edge1, edge2);
+        expect(is).to.be.an("array").of.length(1);
+        expectOverlap(is[0], [0, 2 / 3], [0, 1]);
+      }
+      {
+        const edge1 = new Line(new Point(0, 0), new Point(4, 0));
+        const edge2 = new Line(new Point(6, 0), new Point(2, 0));
+        const is = intersectionsLL(edge1, edge2);
+        expect(is).to.be.an("array").of.length(1);
+        expectOverlap(is[0], [0.5, 1], [1, 0.5]);
+      }
+      {
+        const edge1 = new Line(new Point(0, 0), new Point(4, 0));
+        const edge2 = new Line(new Point(4, 0), new Point(6, 0));
+        const is = intersectionsLL(edge1, edge2);
+        expect(is).to.be.an("array").of.length(1);
+        expect(is[0].t1).to.equal(1);
+        expect(is[0].t2).to.equal(0);
+      }
     });
   });
 
   /**
    * @test {intersections}
    */
-  describe("intersections(edge1, edge2, depth, epsilon = 16 * Number.EPSILON, maxIteration = -1)", () => {
+  describe("intersections(edge1, edge2, depth, epsilon = 16 * Number.EPSILON, maxIteration = -1, refine = false, strategy)", () => {
     const DEPTH = 54;
     const EPSILON = 16 * Number.EPSILON;
     const MAX_ITER = -1;
@@ -1193,11 +2676,27 @@ describe("edges", () => {
         }
       });
 
-      it("should return undefined if there are infinitely many intersections", () => {
+      it("should return the overlapping part if the edges overlap", () => {
         const edge1 = new Line(new Point(0, 0), new Point(3, 3));
-        const edge2 = new Line(new Point(0, 0), new Point(2, 2));
+        const edge2 = new Line(new Point(4, 4), new Point(1, 1));
         const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
-        expect(is).to.be.undefined;
+        expect(is).to.be.an("array").of.length(1);
+        expectOverlap(is[0], [1 / 3, 1], [1, 1 / 3]);
+      });
+
+      it("should return a point if the edges overlap too short", () => {
+        const edge1 = new Line(new Point(0, 0), new Point(1, 0));
+        for (const edge2 of [
+          new Line(new Point(1 - 1e-6, 0), new Point(2, 0)),
+          new Line(new Point(1 - 1e-6, 0), new Point(2, 0)).toCubicBezier()
+        ]) {
+          const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+          expect(is).to.be.an("array").of.length(1);
+          expect(is[0].t1Range).to.be.undefined;
+          expect(is[0].t1).to.be.closeTo(1, 1e-6);
+          expect(is[0].t2).to.be.closeTo(0, 1e-6);
+          expect(is[0].type).to.equal("tangent");
+        }
       });
     });
 
@@ -1223,11 +2722,14 @@ describe("edges", () => {
         }
       });
 
-      it("should return undefined if there are infinitely many intersections", () => {
+      it("should return the overlapping parts if the edges overlap", () => {
+        // the curve turns back at t = 2/3
         const edge1 = new Line(new Point(0, 0), new Point(3, 3));
         const edge2 = new QuadraticBezier(new Point(0, 0), new Point(2, 2), new Point(1, 1));
         const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
-        expect(is).to.be.undefined;
+        expect(is).to.be.an("array").of.length(2);
+        expectOverlap(is[0], [0, 4 / 9], [0, 2 / 3]);
+        expectOverlap(is[1], [1 / 3, 4 / 9], [1, 2 / 3]);
       });
     });
 
@@ -1259,13 +2761,14 @@ describe("edges", () => {
         }
       });
 
-      it("should return undefined if there are infinitely many intersections", () => {
+      it("should return the overlapping part if the edges overlap", () => {
         const edge1 = new Line(new Point(0, 0), new Point(3, 3));
         const edge2 = new CubicBezier(
           new Point(0, 0), new Point(2, 2), new Point(1, 1), new Point(3, 3)
         );
         const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
-        expect(is).to.be.undefined;
+        expect(is).to.be.an("array").of.length(1);
+        expectOverlap(is[0], [0, 1], [0, 1]);
       });
     });
 
@@ -1297,11 +2800,21 @@ describe("edges", () => {
         }
       });
 
-      it("should return undefined if there are infinitely many intersections", () => {
-        const edge1 = new QuadraticBezier(new Point(0, 0), new Point(2, 1), new Point(0, 2));
-        const edge2 = new QuadraticBezier(new Point(0, 0), new Point(2, 1), new Point(0, 2));
-        const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
-        expect(is).to.be.undefined;
+      it("should return the overlapping part if the edges overlap", () => {
+        {
+          const edge1 = new QuadraticBezier(new Point(0, 0), new Point(2, 1), new Point(0, 2));
+          const edge2 = new QuadraticBezier(new Point(0, 0), new Point(2, 1), new Point(0, 2));
+          const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+          expect(is).to.be.an("array").of.length(1);
+          expectOverlap(is[0], [0, 1], [0, 1]);
+        }
+        {
+          const edge1 = new QuadraticBezier(new Point(0, 0), new Point(2, 1), new Point(0, 2));
+          const edge2 = edge1.subEdge(0.75, 0.25);
+          const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+          expect(is).to.be.an("array").of.length(1);
+          expectOverlap(is[0], [0.25, 0.75], [1, 0]);
+        }
       });
     });
 
@@ -1341,13 +2854,14 @@ describe("edges", () => {
         }
       });
 
-      it("should return undefined if there are infinitely many intersections", () => {
+      it("should return the overlapping part if the edges overlap", () => {
         const edge1 = new QuadraticBezier(new Point(0, 1), new Point(2, 3), new Point(4, 5));
         const edge2 = new CubicBezier(
           new Point(0, 1), new Point(4 / 3, 7 / 3), new Point(8 / 3, 11 / 3), new Point(4, 5)
         );
         const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
-        expect(is).to.be.undefined;
+        expect(is).to.be.an("array").of.length(1);
+        expectOverlap(is[0], [0, 1], [0, 1]);
       });
     });
 
@@ -1405,7 +2919,27 @@ describe("edges", () => {
         }
       });
 
-      it("should return undefined if there are infinitely many intersections", () => {
+      it("should not prune nearly straight pieces crossing each other twice", () => {
+        // the chords of the pieces do not intersect although the pieces do
+        const edge1 = new CubicBezier(
+          new Point(-0.7, 0.49), new Point(-0.0333, -0.4333), new Point(0.6333, 0.1),
+          new Point(1.3, 1.69)
+        );
+        const bottom = edge1.boundingBox().y;
+        for (const h of [4e-5, 3e-5, 2e-5]) {
+          const edge2 = new Line(new Point(-2, bottom + h), new Point(2, bottom + h))
+            .toCubicBezier();
+          const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+          expect(is).to.be.an("array").of.length(2);
+          for (const i of is) {
+            expect(edge1.pointAt(i.t1).y).to.be.closeTo(bottom + h, EPS);
+            expect(i.point.y).to.be.closeTo(bottom + h, EPS);
+          }
+          expect(Math.abs(is[0].t1 - is[1].t1)).to.be.above(1e-3);
+        }
+      });
+
+      it("should return the overlapping part if the edges overlap", () => {
         {
           const edge1 = new CubicBezier(
             new Point(0, 0), new Point(1, 1), new Point(1, 2), new Point(0, 3)
@@ -1414,7 +2948,8 @@ describe("edges", () => {
             new Point(0, 0), new Point(1, 1), new Point(1, 2), new Point(0, 3)
           );
           const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
-          expect(is).to.be.undefined;
+          expect(is).to.be.an("array").of.length(1);
+          expectOverlap(is[0], [0, 1], [0, 1]);
         }
         {
           const edge1 = new CubicBezier(
@@ -1422,16 +2957,398 @@ describe("edges", () => {
           );
           const edge2 = edge1.splitAt(1 / Math.sqrt(3))[1].splitAt(1 / Math.sqrt(2))[0];
           const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
-          expect(is).to.be.undefined;
+          expect(is).to.be.an("array").of.length(1);
+          const t = 1 / Math.sqrt(3);
+          expectOverlap(is[0], [t, t + (1 - t) / Math.sqrt(2)], [0, 1]);
+        }
+      });
+
+      it("should return both the intersection points and the overlapping parts", () => {
+        // parts of a curve with a loop, which overlap and intersect at the crossing of the loop
+        const curve = new CubicBezier(
+          new Point(0, 0), new Point(8, 0), new Point(1, -7), new Point(1, 1)
+        );
+        const [si] = selfIntersections(curve, DEPTH, EPSILON, MAX_ITER);
+        const edge1 = curve.subEdge(0, 0.6);
+        const edge2 = curve.subEdge(0.4, 1);
+        const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+        expect(is).to.be.an("array").of.length(2);
+        expect(is[0].t1 * 0.6).to.be.closeTo(si.t1, 1e-6);
+        expect(0.4 + is[0].t2 * 0.6).to.be.closeTo(si.t2, 1e-6);
+        expectOverlap(is[1], [2 / 3, 1], [0, 1 / 3]);
+      });
+
+      it("should not report a crossing at a small angle as an overlap", () => {
+        const edge1 = new CubicBezier(
+          new Point(0, 0), new Point(1, 3), new Point(3, -1), new Point(4, 2)
+        );
+        const part = edge1.subEdge(0.3, 0.6);
+        const d = new Point(1e-5, 0);
+        const edge2 = new CubicBezier(
+          part.start.add(d), part.control1.add(d), part.control2.add(d), part.end.add(d)
+        );
+        const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+        expect(is).to.be.an("array").of.length(1);
+        expect(is[0].t1Range).to.be.undefined;
+        expect(is[0].type).to.equal("transversal");
+        expect(is[0].t1).to.be.closeTo(0.3110189, 1e-6);
+        expect(is[0].residual).to.be.below(1e-8);
+      });
+
+      it("should resolve the parts meeting at an end of an overlap", () => {
+        const edge = new CubicBezier(
+          new Point(8, 8), new Point(4, 5), new Point(5, 3), new Point(5, 5)
+        );
+        const edge1 = edge.subEdge(0, 0.75);
+        const edge2 = edge.subEdge(0.25, 1);
+        const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+        expect(is).to.be.an("array").of.length(1);
+        expectOverlap(is[0], [1 / 3, 1], [0, 2 / 3]);
+      });
+    });
+
+    context("classification", () => {
+      it("should classify crossing points as transversal with the sign of the crossing", () => {
+        const edge1 = new Line(new Point(0, 0), new Point(2, 2));
+        {
+          const edge2 = new QuadraticBezier(new Point(0, 2), new Point(1, 1), new Point(2, 0));
+          const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+          expect(is).to.be.an("array").of.length(1);
+          expect(is[0].type).to.equal("transversal");
+          expect(is[0].sign).to.equal(-1);
+        }
+        {
+          const edge2 = new QuadraticBezier(new Point(2, 0), new Point(1, 1), new Point(0, 2));
+          const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+          expect(is).to.be.an("array").of.length(1);
+          expect(is[0].type).to.equal("transversal");
+          expect(is[0].sign).to.equal(1);
+        }
+      });
+
+      it("should classify touching points as tangent", () => {
+        const edge1 = new Line(new Point(0, 1), new Point(2, 1));
+        const edge2 = new QuadraticBezier(new Point(0, 0), new Point(1, 2), new Point(2, 0));
+        const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+        expect(is).to.be.an("array").of.length(1);
+        expect(is[0].t2).to.be.closeTo(0.5, 1e-6);
+        expect(is[0].type).to.equal("tangent");
+        expect(is[0].sign).to.equal(0);
+      });
+
+      it("should classify points at the ends of the edges as endpoint", () => {
+        const edge1 = new CubicBezier(
+          new Point(0, 0), new Point(1, 2), new Point(2, 2), new Point(3, 0)
+        );
+        const edge2 = new QuadraticBezier(new Point(3, 0), new Point(4, 2), new Point(5, 0));
+        const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+        expect(is).to.be.an("array").of.length(1);
+        expect(is[0].t1).to.equal(1);
+        expect(is[0].t2).to.equal(0);
+        expect(is[0].type).to.equal("endpoint");
+        expect(is[0].sign).to.equal(1);
+      });
+    });
+
+    context("refinement", () => {
+      it("should refine the intersection points found at a moderate depth", () => {
+        const edge1 = new CubicBezier(
+          new Point(0, 0), new Point(1, 3), new Point(2, -3), new Point(3, 0)
+        );
+        const edge2 = new QuadraticBezier(new Point(0, 1), new Point(1.5, -2), new Point(3, 1));
+        const exact = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+        expect(exact).to.be.an("array").of.length(2);
+        const coarse = intersections(edge1, edge2, 6, EPSILON, MAX_ITER);
+        expect(coarse).to.be.an("array").of.length(2);
+        expect(coarse[0].residual).to.be.above(1e-3);
+        const refined = intersections(edge1, edge2, 6, EPSILON, MAX_ITER, true);
+        expect(refined).to.be.an("array").of.length(2);
+        for (let i = 0; i < 2; i++) {
+          expect(refined[i].t1).to.be.closeTo(exact[i].t1, 1e-12);
+          expect(refined[i].t2).to.be.closeTo(exact[i].t2, 1e-12);
+          expect(refined[i].residual).to.be.below(1e-12);
+          expect(refined[i].type).to.equal("transversal");
+        }
+      });
+
+      it("should refine the intersection points found at any depth without duplicates", () => {
+        const pairs = [
+          [
+            new CubicBezier(
+              new Point(0, 0), new Point(1, 3), new Point(2, -3), new Point(3, 0)
+            ),
+            new QuadraticBezier(new Point(0, 1), new Point(1.5, -2), new Point(3, 1))
+          ],
+          [
+            new CubicBezier(
+              new Point(2.1896700859069824, 1.3188376426696777),
+              new Point(0.3658747673034668, 3.480226159095764),
+              new Point(2.6099939346313477, 0.22324848175048828),
+              new Point(3.034791111946106, 1.4230523109436035)
+            ),
+            new CubicBezier(
+              new Point(3.558769702911377, 0.6068482398986816),
+              new Point(0.12963545322418213, 2.9253923892974854),
+              new Point(3.196772575378418, 3.7280187606811523),
+              new Point(0.05768108367919922, 3.188140019774437)
+            )
+          ],
+          [
+            new CubicBezier(
+              new Point(2.5518150329589844, 3.2904396057128906),
+              new Point(3.655986785888672, 1.7467231750488281),
+              new Point(0.4612083435058594, 2.179935574531555),
+              new Point(3.6134276390075684, 2.349231243133545)
+            ),
+            new CubicBezier(
+              new Point(2.8281912803649902, 1.6588587760925293),
+              new Point(0.7201704978942871, 3.4256092309951782),
+              new Point(1.8159284591674805, 2.520697593688965),
+              new Point(2.6706113815307617, 0.9897298812866211)
+            )
+          ],
+          [
+            new CubicBezier(
+              new Point(0.4749612808227539, 2.172658085823059),
+              new Point(3.878286838531494, 2.802380084991455),
+              new Point(2.0724892616271973, 3.3044285774230957),
+              new Point(3.2000718116760254, 1.2792859077453613)
+            ),
+            new CubicBezier(
+              new Point(1.9106926918029785, 1.914696216583252),
+              new Point(0.5434632301330566, 3.548794388771057),
+              new Point(1.3793411254882812, 0.03179931640625),
+              new Point(2.434898480772972, 1.5603370666503906)
+            )
+          ],
+          [
+            new CubicBezier(
+              new Point(2.098727226257324, 1.2715444564819336),
+              new Point(0.42307567596435547, 2.2153693437576294),
+              new Point(0.1422123908996582, 1.3856950998306274),
+              new Point(3.5849170684814453, 1.1300067901611328)
+            ),
+            new CubicBezier(
+              new Point(3.8963489532470703, 1.7479572296142578),
+              new Point(2.4873218536376953, 0.7108783721923828),
+              new Point(1.0551015138626099, 1.5699915885925293),
+              new Point(0.5336470603942871, 2.5945545434951782)
+            )
+          ]
+        ];
+        for (const [edge1, edge2] of pairs) {
+          const exact = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER, false, "clipping");
+          for (const depth of [10, 20, 30, 40]) {
+            const refined = intersections(edge1, edge2, depth, EPSILON, MAX_ITER, true);
+            expect(refined).to.be.an("array").of.length(exact.length);
+            for (const r of refined) {
+              expect(r.residual).to.be.below(1e-12);
+              expect(exact.some(e => Math.abs(e.t1 - r.t1) < 1e-12)).to.be.true;
+            }
+          }
+        }
+      });
+
+      it("should report the distance between the points of the edges as the residual", () => {
+        const edge1 = new Line(new Point(0, 1), new Point(2, 1));
+        const edge2 = new QuadraticBezier(new Point(0, 0), new Point(1, 2), new Point(2, 0));
+        for (const refine of [false, true]) {
+          const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER, refine);
+          expect(is).to.be.an("array").of.length(1);
+          const p1 = edge1.pointAt(is[0].t1);
+          const p2 = edge2.pointAt(is[0].t2);
+          expect(is[0].residual).to.equal(p1.sub(p2).length());
+        }
+      });
+    });
+
+    context("implicitization", () => {
+      it("should compute intersections of low-degree curves exactly regardless of the depth", () => {
+        const pairs = [
+          [
+            new Line(new Point(0, 0.5), new Point(3, 0.2)),
+            new QuadraticBezier(new Point(0, 0), new Point(1.5, 3), new Point(3, 0))
+          ],
+          [
+            new CubicBezier(new Point(0, 0), new Point(1, 3), new Point(2, -3), new Point(3, 0)),
+            new Line(new Point(0, 0.1), new Point(3, -0.1))
+          ],
+          [
+            new QuadraticBezier(new Point(0, 0), new Point(1.5, 3), new Point(3, 0)),
+            new QuadraticBezier(new Point(0, 1), new Point(1.5, -2), new Point(3, 1))
+          ]
+        ];
+        for (const [edge1, edge2] of pairs) {
+          const expected = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+          const is = intersections(edge1, edge2, 1, EPSILON, MAX_ITER);
+          expect(is).to.be.an("array").of.length(expected.length);
+          expect(is).to.have.length.above(1);
+          for (let i = 0; i < is.length; i++) {
+            expect(is[i].t1).to.be.closeTo(expected[i].t1, 1e-12);
+            expect(is[i].t2).to.be.closeTo(expected[i].t2, 1e-12);
+            expect(is[i].residual).to.be.below(1e-12);
+          }
+        }
+      });
+
+      it("should search intersections by the strategy if it is specified", () => {
+        const edge1 = new Line(new Point(0, 0.5), new Point(3, 0.2));
+        const edge2 = new QuadraticBezier(new Point(0, 0), new Point(1.5, 3), new Point(3, 0));
+        const expected = intersections(edge1, edge2, 10, EPSILON, MAX_ITER);
+        for (const strategy of ["subdivision", "clipping"]) {
+          const is = intersections(edge1, edge2, 10, EPSILON, MAX_ITER, false, strategy);
+          expect(is).to.be.an("array").of.length(expected.length);
+          for (let i = 0; i < is.length; i++) {
+            expect(is[i].t1).to.be.closeTo(expected[i].t1, 2 ** -8);
+            expect(is[i].t2).to.be.closeTo(expected[i].t2, 2 ** -8);
+          }
+          expect(is.some(r => r.residual > 1e-12)).to.be.true;
+        }
+      });
+
+      it("should find a tangent intersection exactly once however the edges are rotated", () => {
+        const center = new Point(1, 1);
+        const line = new Line(new Point(0, 1), new Point(2, 1));
+        const quad = new QuadraticBezier(new Point(0, 0), new Point(1, 2), new Point(2, 0));
+        const pairs = [
+          [line, quad],
+          [quad, new QuadraticBezier(new Point(0, 2), new Point(1, 0), new Point(2, 2))],
+          [line, quad.toCubicBezier()],
+          [
+            line,
+            new CubicBezier(
+              new Point(0, 0), new Point(0.5, 4 / 3), new Point(1.5, 4 / 3), new Point(2, 0)
+            )
+          ]
+        ];
+        for (const [edge1, edge2] of pairs) {
+          for (let k = 0; k < 100; k++) {
+            const angle = k * 0.0617;
+            const is = intersections(
+              edge1.rotate(angle, center), edge2.rotate(angle, center),
+              DEPTH, EPSILON, MAX_ITER
+            );
+            expect(is).to.be.an("array").of.length(1);
+            expect(is[0].type).to.equal("tangent");
+            expect(is[0].point.x).to.be.closeTo(1, 1e-7);
+            expect(is[0].point.y).to.be.closeTo(1, 1e-7);
+          }
+        }
+      });
+
+      it("should not report an end of the line segment as an intersection unless it is on the curve", () => {
+        const edge1 = new Line(new Point(92.7, 95.3), new Point(46.7, 25.2));
+        const edge2 = new QuadraticBezier(
+          new Point(90.7, 66), new Point(25, 12.6), new Point(85.1, 60.4)
+        ).toCubicBezier();
+        expect(intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER)).to.be.an("array").of.length(0);
+        expect(intersections(edge2, edge1, DEPTH, EPSILON, MAX_ITER)).to.be.an("array").of.length(0);
+      });
+
+      it("should fall back to subdivision if the curves are degenerate", () => {
+        const edge1 = new QuadraticBezier(new Point(0, 0), new Point(1, 1), new Point(2, 2));
+        const edge2 = new QuadraticBezier(new Point(0, 2), new Point(1, 1), new Point(2, 0));
+        const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+        expect(is).to.be.an("array").of.length(1);
+        expect(is[0].t1).to.be.closeTo(0.5, EPS);
+        expect(is[0].t2).to.be.closeTo(0.5, EPS);
+      });
+    });
+
+    context("clipping", () => {
+      function expectSameIntersections(is, expected) {
+        expect(is).to.be.an("array").of.length(expected.length);
+        for (const e of expected) {
+          const r = is.find(r => Math.abs(r.t1 - e.t1) < 1e-9 && Math.abs(r.t2 - e.t2) < 1e-9);
+          expect(r).not.to.be.undefined;
+          expect(r.type).to.equal(e.type);
+          expect(r.sign).to.equal(e.sign);
+          expect(r.residual).to.be.below(1e-12);
+        }
+      }
+
+      it("should compute the same intersections as subdivision by Bezier clipping", () => {
+        const pairs = [
+          [
+            new CubicBezier(new Point(0, 0), new Point(4, 1), new Point(0, 2), new Point(4, 3)),
+            new CubicBezier(new Point(2, 0), new Point(-2, 1), new Point(2, 2), new Point(-2, 3))
+          ],
+          [
+            new CubicBezier(new Point(0, 0), new Point(10, 1), new Point(-4, 2), new Point(6, 3)),
+            new CubicBezier(new Point(6, 0), new Point(-4, 1), new Point(10, 2), new Point(0, 3))
+          ],
+          [
+            new CubicBezier(new Point(0, 0), new Point(1, 30), new Point(2, -27), new Point(3, 3)),
+            new CubicBezier(new Point(0, 0), new Point(30, 1), new Point(-27, 2), new Point(3, 3))
+          ],
+          [
+            new CubicBezier(new Point(0, 0), new Point(1, 2), new Point(2, 2), new Point(3, 0)),
+            new QuadraticBezier(new Point(3, 0), new Point(4, 2), new Point(5, 0))
+          ],
+          [
+            new QuadraticBezier(new Point(0, 0), new Point(1, 2), new Point(2, 0)),
+            new Line(new Point(0, 1), new Point(2, 1))
+          ]
+        ];
+        for (const [edge1, edge2] of pairs) {
+          const expected = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER);
+          const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER, false, "clipping");
+          expectSameIntersections(is, expected);
+        }
+      });
+
+      it("should not report an intersection at a small angle more than once", () => {
+        const edge1 = new Line(new Point(5.14, 4.16), new Point(6.75, 5.11)).toCubicBezier();
+        const edge2 = new CubicBezier(
+          new Point(2.55, 3.33), new Point(9.31, 7.37), new Point(4.08, 1.64), new Point(4.89, 6.76)
+        );
+        const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER, false, "clipping");
+        expect(is).to.be.an("array").of.length(2);
+        for (const r of is) {
+          expect(r.type).to.equal("transversal");
+          expect(r.residual).to.be.below(1e-12);
         }
       });
+
+      it("should not report an end of the curves as an intersection unless it is on the other", () => {
+        const edge1 = new QuadraticBezier(
+          new Point(16.8, 0.7), new Point(84.9, 17.8), new Point(92, 61.9)
+        ).toCubicBezier();
+        const edge2 = new QuadraticBezier(
+          new Point(86, 43), new Point(26.6, 72.8), new Point(84.3, 47.1)
+        ).toCubicBezier();
+        const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER, false, "clipping");
+        expect(is).to.be.an("array").of.length(1);
+        expect(is[0].t1).to.be.closeTo(0.7721141601774442, 1e-9);
+        expect(is[0].t2).to.be.closeTo(0.0034106939879654, 1e-9);
+        expect(is[0].type).to.equal("transversal");
+        expect(is[0].residual).to.be.below(1e-12);
+      });
+
+      it("should return the overlapping parts as well", () => {
+        const edge1 = new CubicBezier(
+          new Point(0, 0), new Point(1, 1), new Point(1, 2), new Point(0, 3)
+        );
+        const edge2 = edge1.subEdge(0.25, 0.75);
+        const is = intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER, false, "clipping");
+        expect(is).to.be.an("array").of.length(1);
+        expectOverlap(is[0], [0.25, 0.75], [0, 1]);
+      });
+
+      it("should throw an error if the strategy is unknown", () => {
+        const edge1 = new Line(new Point(0, 0), new Point(1, 1));
+        const edge2 = new Line(new Point(0, 1), new Point(1, 0));
+        expect(() => {
+          intersections(edge1, edge2, DEPTH, EPSILON, MAX_ITER, false, "foo");
+        }).to.throw(Error, /unknown strategy/);
+      });
     });
   });
 
   /**
    * @test {selfIntersections}
    */
-  describe("selfIntersections(edge, depth, epsilon = 16 * Number.EPSILON, maxIteration = -1)", () => {
+  describe("selfIntersections(edge, depth, epsilon = 16 * Number.EPSILON, maxIteration = -1, refine = false)", () => {
     const DEPTH = 20;
     const EPSILON = 16 * Number.EPSILON;
     const MAX_ITER = -1;
@@ -1465,12 +3382,11 @@ describe("edges", () => {
         }
       });
 
-      it("should return undefined is there are infinitely many self-intersection points", () => {
-        {
-          const edge = new QuadraticBezier(new Point(0, 0), new Point(1, 1), new Point(0, 0));
-          const is = selfIntersections(edge, DEPTH, EPSILON, MAX_ITER);
-          expect(is).to.be.undefined;
-        }
+      it("should return the overlapping part if the curve overlaps itself", () => {
+        const edge = new QuadraticBezier(new Point(0, 0), new Point(1, 1), new Point(0, 0));
+        const is = selfIntersections(edge, DEPTH, EPSILON, MAX_ITER);
+        expect(is).to.be.an("array").of.length(1);
+        expectOverlap(is[0], [0, 0.5], [1, 0.5]);
       });
     });
 
@@ -1521,13 +3437,77 @@ describe("edges", () => {
         }
       });
 
-      it("should return undefined is there are infinitely many self-intersection points", () => {
+      it("should refine the self-intersection points if required", () => {
+        const edge = new CubicBezier(
+          new Point(0, 0), new Point(8, 0), new Point(1, -7), new Point(1, 1)
+        );
+        const coarse = selfIntersections(edge, 6, EPSILON, MAX_ITER);
+        expect(coarse).to.be.an("array").of.length(1);
+        expect(coarse[0].residual).to.be.above(1e-3);
+        const refined = selfIntersections(edge, 6, EPSILON, MAX_ITER, true);
+        expect(refined).to.be.an("array").of.length(1);
+        expect(refined[0].t1).to.be.below(refined[0].t2);
+        expect(refined[0].residual).to.be.below(1e-12);
+        expect(refined[0].type).to.equal("transversal");
+      });
+
+      it("should return the overlapping parts if the curve overlaps itself", () => {
         const edge = new CubicBezier(
           new Point(0, 0), new Point(2, 2), new Point(-1, -1), new Point(1, 1)
         );
         const is = selfIntersections(edge, DEPTH, EPSILON, MAX_ITER);
-        expect(is).to.be.undefined;
+        expect(is.length).to.be.above(0);
+        for (const r of is) {
+          expect(r.t1Range).to.be.an("array").of.length(2);
+          expect(r.t1Range[0]).to.be.below(r.t1Range[1]);
+          expect(Math.max(...r.t1Range)).to.be.at.most(Math.min(...r.t2Range) + EPS);
+          for (const u of [0, 0.25, 0.5, 0.75, 1]) {
+            const p = edge.pointAt(r.t1Range[0] + (r.t1Range[1] - r.t1Range[0]) * u);
+            expect(edge.subEdge(...r.t2Range).distanceTo(p)).to.be.closeTo(0, EPS);
+          }
+        }
       });
     });
   });
+
+  /**
+   * @test {reverseIntersections}
+   */
+  describe("reverseIntersections(results, reversed1 = true, reversed2 = false)", () => {
+    it("should remap the parameters of the intersections to those of the reversed edges", () => {
+      const edge1 = new CubicBezier(
+        new Point(0, 0),
+        new Point(1, 2),
+        new Point(2, -1),
+        new Point(3, 1)
+      );
+      const edge2 = new QuadraticBezier(new Point(0, 1), new Point(1, -1), new Point(3, 0));
+      const is = intersections(edge1, edge2, 54);
+      expect(is.length).to.be.above(0);
+      for (const [reversed1, reversed2] of [[true, false], [false, true], [true, true]]) {
+        const rs = reverseIntersections(is, reversed1, reversed2);
+        expect(rs).to.be.an("array").of.length(is.length);
+        const e1 = reversed1 ? edge1.reverse() : edge1;
+        const e2 = reversed2 ? edge2.reverse() : edge2;
+        for (let i = 0; i < rs.length; i++) {
+          expect(rs[i].point).not.to.equal(is[i].point);
+          expect(rs[i].type).to.equal(is[i].type);
+          expect(rs[i].sign).to.equal(reversed1 !== reversed2 ? -is[i].sign : is[i].sign);
+          expectPointCloseTo(e1.pointAt(rs[i].t1), is[i].point.x, is[i].point.y);
+          expectPointCloseTo(e2.pointAt(rs[i].t2), is[i].point.x, is[i].point.y);
+        }
+      }
+    });
+
+    it("should remap the overlapping parts keeping `t1Range` in ascending order", () => {
+      const rs = reverseIntersections([{ t1Range: [0.25, 0.5], t2Range: [0, 1] }], true, true);
+      expect(rs).to.be.an("array").of.length(1);
+      expectOverlap(rs[0], [0.5, 0.75], [0, 1]);
+      expectOverlap(reverseIntersections(rs, false, true)[0], [0.5, 0.75], [1, 0]);
+    });
+
+    it("should return undefined if the results are undefined", () => {
+      expect(reverseIntersections(undefined)).to.be.undefined;
+    });
+  });
 });
@@ -1,6 +1,6 @@
 import { expect } from "chai";
 
-import { Point, Rectangle } from "../lib/geom.js";
+import { Point, Rectangle, Matrix } from "../lib/geom.js";
 
 describe("geom", () => {
   const EPS = 1e-8;
@@ -261,6 +261,18 @@ describe("geom", () => {
         });
       });
     });
+    /**
+     * @test {Point#transform}
+     */
+    describe("#transform(matrix)", () => {
+      it("should return a new Point object transformed by the matrix", () => {
+        const p = new Point(1, 2);
+        const q = p.transform(new Matrix(1, 2, 3, 4, 5, 6));
+        expect(q).to.be.an.instanceOf(Point);
+        expect(q.x).to.equal(12);
+        expect(q.y).to.equal(16);
+      });
+    });
   });
 
   /**
@@ -329,6 +341,32 @@ describe("geom", () => {
       });
     });
 
+    /**
+     * @test {Rectangle.fromPoints}
+     */
+    describe(".fromPoints(points)", () => {
+      it("should create the smallest rectangle that contains all the points", () => {
+        {
+          const rect = Rectangle.fromPoints([new Point(1, 5), new Point(3, -2), new Point(-1, 0)]);
+          expect(rect).to.be.an.instanceOf(Rectangle);
+          expect(rect.x).to.equal(-1);
+          expect(rect.y).to.equal(-2);
+          expect(rect.width).to.equal(4);
+          expect(rect.height).to.equal(7);
+        }
+        {
+          const rect = Rectangle.fromPoints([new Point(1, 2)]);
+          expect(rect.x).to.equal(1);
+          expect(rect.y).to.equal(2);
+          expect(rect.isPoint()).to.be.true;
+        }
+      });
+
+      it("should return undefined if no points are given", () => {
+        expect(Rectangle.fromPoints([])).to.be.undefined;
+      });
+    });
+
     /**
      * @test {Rectangle#clone}
      */
@@ -437,6 +475,29 @@ describe("geom", () => {
       });
     });
 
+    /**
+     * @test {Rectangle#center}
+     */
+    describe("#center()", () => {
+      it("should return the center of the rectangle", () => {
+        const rect = new Rectangle(1, 2, 3, 4);
+        const c = rect.center();
+        expect(c).to.be.an.instanceOf(Point);
+        expect(c.x).to.equal(2.5);
+        expect(c.y).to.equal(4);
+      });
+    });
+
+    /**
+     * @test {Rectangle#area}
+     */
+    describe("#area()", () => {
+      it("should return the area of the rectangle", () => {
+        expect(new Rectangle(1, 2, 3, 4).area()).to.equal(12);
+        expect(new Rectangle(1, 2, 0, 4).area()).to.equal(0);
+      });
+    });
+
     /**
      * @test {Rectangle#isPoint}
      */
@@ -469,6 +530,22 @@ describe("geom", () => {
       });
     });
 
+    /**
+     * @test {Rectangle#containsRect}
+     */
+    describe("#containsRect(rect)", () => {
+      it("should return `true` if the rectangle contains another rectangle `rect`", () => {
+        const rect = new Rectangle(2, 2, 4, 4);
+        expect(rect.containsRect(new Rectangle(3, 3, 2, 2))).to.be.true;
+        expect(rect.containsRect(new Rectangle(2, 2, 4, 4))).to.be.true;
+        expect(rect.containsRect(new Rectangle(2, 3, 1, 1))).to.be.true;
+        expect(rect.containsRect(new Rectangle(1, 3, 2, 2))).to.be.false;
+        expect(rect.containsRect(new Rectangle(3, 3, 2, 4))).to.be.false;
+        expect(rect.containsRect(new Rectangle(0, 0, 8, 8))).to.be.false;
+        expect(rect.containsRect(new Rectangle(7, 7, 1, 1))).to.be.false;
+      });
+    });
+
     /**
      * @test {Rectangle#hasOnEdge}
      */
@@ -569,5 +646,365 @@ describe("geom", () => {
         expect(rect.contacts(new Rectangle(3, 3, 2, 2))).to.be.false;
       });
     });
+
+    /**
+     * @test {Rectangle#union}
+     */
+    describe("#union(rect)", () => {
+      it("should return the smallest rectangle containing both rectangles", () => {
+        const rect = new Rectangle(2, 2, 4, 4);
+        {
+          const r = rect.union(new Rectangle(3, 3, 1, 1));
+          expect(r).to.be.an.instanceOf(Rectangle);
+          expect([r.x, r.y, r.width, r.height]).to.deep.equal([2, 2, 4, 4]);
+        }
+        {
+          const r = rect.union(new Rectangle(7, 0, 1, 1));
+          expect([r.x, r.y, r.width, r.height]).to.deep.equal([2, 0, 6, 6]);
+        }
+      });
+    });
+
+    /**
+     * @test {Rectangle#intersection}
+     */
+    describe("#intersection(rect)", () => {
+      it("should return the common part of the rectangles", () => {
+        const rect = new Rectangle(2, 2, 4, 4);
+        {
+          const r = rect.intersection(new Rectangle(3, 0, 5, 4));
+          expect(r).to.be.an.instanceOf(Rectangle);
+          expect([r.x, r.y, r.width, r.height]).to.deep.equal([3, 2, 3, 2]);
+        }
+        {
+          const r = rect.intersection(new Rectangle(3, 3, 1, 1));
+          expect([r.x, r.y, r.width, r.height]).to.deep.equal([3, 3, 1, 1]);
+        }
+        {
+          const r = rect.intersection(new Rectangle(6, 0, 2, 2));
+          expect([r.x, r.y, r.width, r.height]).to.deep.equal([6, 2, 0, 0]);
+        }
+      });
+
+      it("should return undefined if the rectangles have no common part", () => {
+        const rect = new Rectangle(2, 2, 4, 4);
+        expect(rect.intersection(new Rectangle(7, 0, 1, 1))).to.be.undefined;
+        expect(rect.intersection(new Rectangle(3, 7, 1, 1))).to.be.undefined;
+      });
+    });
+
+    /**
+     * @test {Rectangle#expand}
+     */
+    describe("#expand(dx, dy = dx)", () => {
+      it("should return a rectangle expanded by the amounts on each side", () => {
+        const rect = new Rectangle(2, 2, 4, 4);
+        {
+          const r = rect.expand(1);
+          expect(r).to.be.an.instanceOf(Rectangle);
+          expect([r.x, r.y, r.width, r.height]).to.deep.equal([1, 1, 6, 6]);
+        }
+        {
+          const r = rect.expand(1, -1);
+          expect([r.x, r.y, r.width, r.height]).to.deep.equal([1, 3, 6, 2]);
+        }
+        {
+          const r = rect.expand(-3, 0);
+          expect([r.x, r.y, r.width, r.height]).to.deep.equal([4, 2, 0, 4]);
+        }
+      });
+    });
+
+    /**
+     * @test {Rectangle#inset}
+     */
+    describe("#inset(dx, dy = dx)", () => {
+      it("should return a rectangle shrunk by the amounts on each side", () => {
+        const rect = new Rectangle(2, 2, 4, 4);
+        {
+          const r = rect.inset(1);
+          expect(r).to.be.an.instanceOf(Rectangle);
+          expect([r.x, r.y, r.width, r.height]).to.deep.equal([3, 3, 2, 2]);
+        }
+        {
+          const r = rect.inset(-1, 2);
+          expect([r.x, r.y, r.width, r.height]).to.deep.equal([1, 4, 6, 0]);
+        }
+      });
+    });
+
+    /**
+     * @test {Rectangle#distanceTo}
+     */
+    describe("#distanceTo(point)", () => {
+      it("should return the distance from the point to the rectangle", () => {
+        const rect = new Rectangle(2, 2, 4, 4);
+        expect(rect.distanceTo(new Point(3, 4))).to.equal(0);
+        expect(rect.distanceTo(new Point(2, 4))).to.equal(0);
+        expect(rect.distanceTo(new Point(0, 4))).to.be.closeTo(2, EPS);
+        expect(rect.distanceTo(new Point(4, 9))).to.be.closeTo(3, EPS);
+        expect(rect.distanceTo(new Point(9, 10))).to.be.closeTo(5, EPS);
+        expect(rect.distanceTo(new Point(-1, -2))).to.be.closeTo(5, EPS);
+      });
+    });
+
+    /**
+     * @test {Rectangle#transform}
+     */
+    describe("#transform(matrix)", () => {
+      it("should return the bounding box of the transformed rectangle", () => {
+        const rect = new Rectangle(2, 2, 4, 2);
+        {
+          const r = rect.transform(Matrix.translation(new Point(1, -1)));
+          expect(r).to.be.an.instanceOf(Rectangle);
+          expect([r.x, r.y, r.width, r.height]).to.deep.equal([3, 1, 4, 2]);
+        }
+        {
+          const r = rect.transform(Matrix.rotation(Math.PI / 2));
+          expect(r.x).to.be.closeTo(-4, EPS);
+          expect(r.y).to.be.closeTo(2, EPS);
+          expect(r.width).to.be.closeTo(2, EPS);
+          expect(r.height).to.be.closeTo(4, EPS);
+        }
+        {
+          const r = rect.transform(Matrix.rotation(Math.PI / 4, new Point(4, 3)));
+          const h = 3 * Math.SQRT2 / 2;
+          expect(r.x).to.be.closeTo(4 - h, EPS);
+          expect(r.y).to.be.closeTo(3 - h, EPS);
+          expect(r.width).to.be.closeTo(2 * h, EPS);
+          expect(r.height).to.be.closeTo(2 * h, EPS);
+        }
+      });
+    });
+  });
+
+  /**
+   * @test {Matrix}
+   */
+  describe("Matrix", () => {
+    function expectMatrixCloseTo(m, ans) {
+      expect(m).to.be.an.instanceOf(Matrix);
+      const cs = m.serialize();
+      for (let i = 0; i < 6; i++) {
+        expect(cs[i]).to.be.closeTo(ans[i], EPS);
+      }
+    }
+
+    /**
+     * @test {Matrix.constructor}
+     */
+    describe("constructor(a, b, c, d, e, f)", () => {
+      it("should create a new Matrix instance", () => {
+        const m = new Matrix(1, 2, 3, 4, 5, 6);
+        expect(m).to.be.an.instanceOf(Matrix);
+        expect(m.a).to.equal(1);
+        expect(m.b).to.equal(2);
+        expect(m.c).to.equal(3);
+        expect(m.d).to.equal(4);
+        expect(m.e).to.equal(5);
+        expect(m.f).to.equal(6);
+      });
+    });
+
+    /**
+     * @test {Matrix.identity}
+     */
+    describe(".identity()", () => {
+      it("should create the identity matrix", () => {
+        expect(Matrix.identity().serialize()).to.deep.equal([1, 0, 0, 1, 0, 0]);
+      });
+    });
+
+    /**
+     * @test {Matrix.translation}
+     */
+    describe(".translation(dist)", () => {
+      it("should create a matrix of translation", () => {
+        const m = Matrix.translation(new Point(1, 2));
+        expect(m.serialize()).to.deep.equal([1, 0, 0, 1, 1, 2]);
+      });
+    });
+
+    /**
+     * @test {Matrix.rotation}
+     */
+    describe(".rotation(angle, center = new Point(0, 0))", () => {
+      it("should create a matrix of rotation", () => {
+        {
+          const m = Matrix.rotation(Math.PI / 2);
+          expectMatrixCloseTo(m, [0, 1, -1, 0, 0, 0]);
+        }
+        {
+          const m = Matrix.rotation(Math.PI / 3, new Point(1, 2));
+          const p = new Point(3, 5);
+          const q = p.transform(m);
+          const r = p.rotate(Math.PI / 3, new Point(1, 2));
+          expect(q.x).to.be.closeTo(r.x, EPS);
+          expect(q.y).to.be.closeTo(r.y, EPS);
+        }
+      });
+    });
+
+    /**
+     * @test {Matrix.scaling}
+     */
+    describe(".scaling(ratioX, ratioY, center = new Point(0, 0))", () => {
+      it("should create a matrix of scaling", () => {
+        expectMatrixCloseTo(Matrix.scaling(2, 3), [2, 0, 0, 3, 0, 0]);
+        const q = new Point(1, 2).transform(Matrix.scaling(3, 4, new Point(-1, -1)));
+        expect(q.x).to.equal(5);
+        expect(q.y).to.equal(11);
+      });
+    });
+
+    /**
+     * @test {Matrix.skewing}
+     */
+    describe(".skewing(angleX, angleY = 0)", () => {
+      it("should create a matrix of skewing", () => {
+        expectMatrixCloseTo(Matrix.skewing(Math.PI / 4), [1, 0, 1, 1, 0, 0]);
+        expectMatrixCloseTo(Matrix.skewing(0, Math.PI / 4), [1, 1, 0, 1, 0, 0]);
+      });
+    });
+
+    /**
+     * @test {Matrix.deserialize}
+     */
+    describe(".deserialize(obj)", () => {
+      it("should be an inverse function of Matrix#serialize", () => {
+        const m = Matrix.deserialize(new Matrix(1, 2, 3, 4, 5, 6).serialize());
+        expect(m).to.be.an.instanceOf(Matrix);
+        expect(m.serialize()).to.deep.equal([1, 2, 3, 4, 5, 6]);
+      });
+    });
+
+    /**
+     * @test {Matrix#serialize}
+     */
+    describe("#serialize()", () => {
+      it("should return a pure object representation of the matrix", () => {
+        expect(new Matrix(1, 2, 3, 4, 5, 6).serialize()).to.deep.equal([1, 2, 3, 4, 5, 6]);
+      });
+    });
+
+    /**
+     * @test {Matrix#clone}
+     */
+    describe("#clone()", () => {
+      it("should create a copy of the matrix", () => {
+        const m = new Matrix(1, 2, 3, 4, 5, 6);
+        const copy = m.clone();
+        expect(copy).to.be.an.instanceOf(Matrix);
+        expect(copy).not.to.equal(m);
+        expect(copy.serialize()).to.deep.equal([1, 2, 3, 4, 5, 6]);
+      });
+    });
+
+    /**
+     * @test {Matrix#equals}
+     */
+    describe("#equals(matrix)", () => {
+      it("should return `true` if two matrices are identical", () => {
+        const m = new Matrix(1, 2, 3, 4, 5, 6);
+        expect(m.equals(new Matrix(1, 2, 3, 4, 5, 6))).to.be.true;
+        expect(m.equals(new Matrix(1, 2, 3, 4, 5, 7))).to.be.false;
+      });
+    });
+
+    /**
+     * @test {Matrix#determinant}
+     */
+    describe("#determinant()", () => {
+      it("should return the determinant of the matrix", () => {
+        expect(new Matrix(1, 2, 3, 4, 5, 6).determinant()).to.equal(-2);
+        expect(Matrix.rotation(1).determinant()).to.be.closeTo(1, EPS);
+      });
+    });
+
+    /**
+     * @test {Matrix#multiply}
+     */
+    describe("#multiply(matrix)", () => {
+      it("should return a matrix that applies `matrix` first and then the original one", () => {
+        const m1 = new Matrix(1, 2, 3, 4, 5, 6);
+        const m2 = new Matrix(-1, 0, 2, 1, -3, 2);
+        const m = m1.multiply(m2);
+        expect(m.serialize()).to.deep.equal([-1, -2, 5, 8, 8, 8]);
+        const p = new Point(7, -2);
+        const q1 = p.transform(m);
+        const q2 = p.transform(m2).transform(m1);
+        expect(q1.x).to.be.closeTo(q2.x, EPS);
+        expect(q1.y).to.be.closeTo(q2.y, EPS);
+      });
+    });
+
+    /**
+     * @test {Matrix#invert}
+     */
+    describe("#invert()", () => {
+      it("should return the inverse matrix", () => {
+        const m = new Matrix(1, 2, 3, 4, 5, 6);
+        const inv = m.invert();
+        expectMatrixCloseTo(inv, [-2, 1, 1.5, -0.5, 1, -2]);
+        expectMatrixCloseTo(m.multiply(inv), [1, 0, 0, 1, 0, 0]);
+        expectMatrixCloseTo(inv.multiply(m), [1, 0, 0, 1, 0, 0]);
+      });
+
+      it("should return undefined if the matrix is not invertible", () => {
+        expect(new Matrix(1, 2, 2, 4, 5, 6).invert()).to.be.undefined;
+      });
+    });
+
+    /**
+     * @test {Matrix#decompose}
+     */
+    describe("#decompose()", () => {
+      it("should decompose the matrix into translation, rotation, skewing and scaling", () => {
+        const ms = [
+          new Matrix(1, 2, 3, 4, 5, 6),
+          Matrix.rotation(0.5, new Point(1, 2)),
+          Matrix.skewing(0.3, -0.2),
+          Matrix.scaling(-2, 3),
+          new Matrix(0, 0, 3, 4, 5, 6)
+        ];
+        for (const m of ms) {
+          const res = m.decompose();
+          expect(res.translation).to.be.an.instanceOf(Point);
+          const r = Matrix.translation(res.translation)
+            .multiply(Matrix.rotation(res.rotation))
+            .multiply(Matrix.skewing(res.skew))
+            .multiply(Matrix.scaling(res.scaleX, res.scaleY));
+          expectMatrixCloseTo(r, m.serialize());
+        }
+        {
+          const res = Matrix.rotation(0.5).multiply(Matrix.scaling(2, 3)).decompose();
+          expect(res.rotation).to.be.closeTo(0.5, EPS);
+          expect(res.skew).to.be.closeTo(0, EPS);
+          expect(res.scaleX).to.be.closeTo(2, EPS);
+          expect(res.scaleY).to.be.closeTo(3, EPS);
+        }
+      });
+
+      it("should decompose a singular matrix if either of its columns is zero", () => {
+        const ms = [
+          new Matrix(0, 0, 3, 4, 5, 6),
+          new Matrix(1, 2, 0, 0, 5, 6),
+          new Matrix(0, 0, 0, 0, 5, 6)
+        ];
+        for (const m of ms) {
+          const res = m.decompose();
+          const r = Matrix.translation(res.translation)
+            .multiply(Matrix.rotation(res.rotation))
+            .multiply(Matrix.skewing(res.skew))
+            .multiply(Matrix.scaling(res.scaleX, res.scaleY));
+          expectMatrixCloseTo(r, m.serialize());
+        }
+      });
+
+      it("should throw a RangeError if the matrix is singular and cannot be decomposed", () => {
+        expect(() => { new Matrix(1, 0, 2, 0, 0, 0).decompose(); }).to.throw(RangeError);
+        expect(() => { new Matrix(1, 2, 2, 4, 5, 6).decompose(); }).to.throw(RangeError);
+      });
+    });
   });
 });
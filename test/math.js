@@ -1,6 +1,8 @@
 import { expect } from "chai";
 
-import { solveLinearEq, solveQuadraticEq, solveCubicEq } from "../lib/math.js";
+import {
+  solveLinearEq, solveQuadraticEq, solveCubicEq, solveQuarticEq, integrate, solveMonotoneEq
+} from "../lib/math.js";
 
 describe("math", () => {
   const EPS = 1e-8;
@@ -63,4 +65,57 @@ describe("math", () => {
       expectArrayCloseTo(solveCubicEq(-6, -5, 2, 1), [-3, -1, 2]);
     });
   });
+
+  /**
+   * @test {solveQuarticEq}
+   */
+  describe("solveQuarticEq(c0, c1, c2, c3, c4)", () => {
+    it("should find roots of a quartic equation `c0 + c1 x + c2 x^2 + c3 x^3 + c4 x^4 = 0`", () => {
+      // cubic
+      expect(solveQuarticEq(0, 0, 0, 0, 0)).to.be.undefined;
+      expectArrayCloseTo(solveQuarticEq(4, 0, -3, 1, 0), [-1, 2]);
+      // quartic
+      expectArrayCloseTo(solveQuarticEq(1, 0, 0, 0, 1), []);
+      expectArrayCloseTo(solveQuarticEq(-1, 0, 0, 0, 1), [-1, 1]);
+      expectArrayCloseTo(solveQuarticEq(4, 0, -5, 0, 1), [-2, -1, 1, 2]);
+      expectArrayCloseTo(solveQuarticEq(24, -50, 35, -10, 1), [1, 2, 3, 4]);
+      expectArrayCloseTo(solveQuarticEq(-48, 100, -70, 20, -2), [1, 2, 3, 4]);
+      expectArrayCloseTo(solveQuarticEq(-1, 1, 0, -1, 1), [-1, 1]);
+    });
+  });
+
+  /**
+   * @test {integrate}
+   */
+  describe("integrate(f, a, b, tolerance = 1e-9, maxDepth = 16)", () => {
+    it("should compute the definite integral of a function", () => {
+      expect(integrate(x => x ** 3, 0, 2)).to.be.closeTo(4, EPS);
+      expect(integrate(Math.sin, 0, Math.PI)).to.be.closeTo(2, EPS);
+      expect(integrate(Math.exp, 1, 0)).to.be.closeTo(1 - Math.E, EPS);
+      expect(integrate(x => Math.sqrt(Math.abs(x - 0.3)), 0, 1)).to.be.closeTo(
+        2 / 3 * (0.3 ** 1.5 + 0.7 ** 1.5), 1e-6
+      );
+      expect(integrate(x => x, 1, 1)).to.equal(0);
+    });
+  });
+
+  /**
+   * @test {solveMonotoneEq}
+   */
+  describe("solveMonotoneEq(f, df, y, a, b, tolerance = 1e-9, maxIteration = 64)", () => {
+    it("should solve an equation `f(x) = y` for a monotonically increasing function", () => {
+      const f = x => x ** 3;
+      const df = x => 3 * x ** 2;
+      expect(solveMonotoneEq(f, df, 8, 0, 3)).to.be.closeTo(2, EPS);
+      expect(solveMonotoneEq(f, df, 0.001, -1, 1)).to.be.closeTo(0.1, EPS);
+      expect(solveMonotoneEq(f, df, 0, -1, 2)).to.be.closeTo(0, 1e-3);
+    });
+
+    it("should return the bound if `y` is out of the range", () => {
+      const f = x => x ** 3;
+      const df = x => 3 * x ** 2;
+      expect(solveMonotoneEq(f, df, -1, 0, 3)).to.equal(0);
+      expect(solveMonotoneEq(f, df, 28, 0, 3)).to.equal(3);
+    });
+  });
 });
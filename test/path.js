@@ -0,0 +1,330 @@
+import { expect } from "chai";
+
+import { Point } from "../lib/geom.js";
+import { Line, QuadraticBezier, CubicBezier } from "../lib/edges.js";
+import { Anchor } from "../lib/anchor.js";
+import { signedArea } from "../lib/contour.js";
+import { Path } from "../lib/path.js";
+
+describe("path", () => {
+  /**
+   * @test {Path}
+   */
+  describe("Path", () => {
+    /**
+     * @test {Path.constructor}
+     */
+    describe("constructor(anchors = [], closed = false)", () => {
+      it("should create a new Path instance", () => {
+        {
+          const path = new Path();
+          expect(path).to.be.an.instanceOf(Path);
+          expect(path.anchors).to.be.an("array").of.length(0);
+          expect(path.closed).to.be.false;
+        }
+        {
+          const anchors = [new Anchor(new Point(0, 1)), new Anchor(new Point(2, 3))];
+          const path = new Path(anchors, true);
+          expect(path).to.be.an.instanceOf(Path);
+          expect(path.anchors).to.equal(anchors);
+          expect(path.closed).to.be.true;
+        }
+      });
+    });
+
+    /**
+     * @test {Path.deserialize}
+     */
+    describe(".deserialize(obj)", () => {
+      it("should be an inverse function of Path#serialize", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 1)),
+          new Anchor(new Point(2, 3), new Point(4, 5), new Point(6, 7))
+        ], true);
+        const copy = Path.deserialize(path.serialize());
+        expect(copy).to.be.an.instanceOf(Path);
+        expect(copy.closed).to.be.true;
+        expect(copy.anchors).to.be.an("array").of.length(2);
+        for (const anchor of copy.anchors) {
+          expect(anchor).to.be.an.instanceOf(Anchor);
+        }
+        expect(copy.serialize()).to.deep.equal(path.serialize());
+      });
+    });
+
+    /**
+     * @test {Path#serialize}
+     */
+    describe("#serialize()", () => {
+      it("should return a pure object representation of the path", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 1)),
+          new Anchor(new Point(2, 3), new Point(4, 5))
+        ]);
+        expect(path.serialize()).to.deep.equal({
+          anchors: [
+            { body: [0, 1] },
+            { body: [2, 3], head: [4, 5] }
+          ],
+          closed: false
+        });
+      });
+    });
+
+    /**
+     * @test {Path#clone}
+     */
+    describe("#clone()", () => {
+      it("should create a copy of the path object", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 1)),
+          new Anchor(new Point(2, 3), new Point(4, 5))
+        ], true);
+        const copy = path.clone();
+        expect(copy).to.be.an.instanceOf(Path);
+        expect(copy).not.to.equal(path);
+        expect(copy.anchors).not.to.equal(path.anchors);
+        expect(copy.closed).to.be.true;
+        for (let i = 0; i < path.anchors.length; i++) {
+          expect(copy.anchors[i]).not.to.equal(path.anchors[i]);
+        }
+        expect(copy.serialize()).to.deep.equal(path.serialize());
+      });
+    });
+
+    /**
+     * @test {Path#reverse}
+     */
+    describe("#reverse()", () => {
+      it("should create a copy of the path in the reverse direction", () => {
+        const anchors = [
+          new Anchor(new Point(0, 0), new Point(1, 1)),
+          new Anchor(new Point(2, 0), undefined, new Point(2, 1)),
+          new Anchor(new Point(2, 2), new Point(1, 3), new Point(3, 3))
+        ];
+        for (const closed of [false, true]) {
+          const path = new Path(anchors, closed);
+          const rev = path.reverse();
+          expect(rev).to.be.an.instanceOf(Path);
+          expect(rev.closed).to.equal(closed);
+          const edges = path.edges();
+          const revEdges = rev.edges();
+          expect(revEdges).to.have.lengthOf(edges.length);
+          for (let i = 0; i < edges.length; i++) {
+            const edge = edges[edges.length - 1 - i];
+            expect(revEdges[i]).to.deep.equal(edge.reverse());
+          }
+          expect(rev.reverse().serialize()).to.deep.equal(path.serialize());
+        }
+        expect(new Path([], true).reverse().anchors).to.deep.equal([]);
+      });
+    });
+
+    /**
+     * @test {Path#edges}
+     */
+    describe("#edges()", () => {
+      it("should return an array of edges determined by the control points of the anchors", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 0)),
+          new Anchor(new Point(1, 0), new Point(2, 0)),
+          new Anchor(new Point(3, 1), new Point(4, 1), new Point(2, 1)),
+          new Anchor(new Point(5, 2), undefined, new Point(5, 1)),
+          new Anchor(new Point(6, 3))
+        ]);
+        const edges = path.edges();
+        expect(edges).to.be.an("array").of.length(4);
+        expect(edges[0]).to.be.an.instanceOf(Line);
+        expect(edges[0].start.serialize()).to.deep.equal([0, 0]);
+        expect(edges[0].end.serialize()).to.deep.equal([1, 0]);
+        expect(edges[1]).to.be.an.instanceOf(CubicBezier);
+        expect(edges[1].start.serialize()).to.deep.equal([1, 0]);
+        expect(edges[1].control1.serialize()).to.deep.equal([2, 0]);
+        expect(edges[1].control2.serialize()).to.deep.equal([2, 1]);
+        expect(edges[1].end.serialize()).to.deep.equal([3, 1]);
+        expect(edges[2]).to.be.an.instanceOf(CubicBezier);
+        expect(edges[2].start.serialize()).to.deep.equal([3, 1]);
+        expect(edges[2].control1.serialize()).to.deep.equal([4, 1]);
+        expect(edges[2].control2.serialize()).to.deep.equal([5, 1]);
+        expect(edges[2].end.serialize()).to.deep.equal([5, 2]);
+        expect(edges[3]).to.be.an.instanceOf(Line);
+        expect(edges[3].start.serialize()).to.deep.equal([5, 2]);
+        expect(edges[3].end.serialize()).to.deep.equal([6, 3]);
+      });
+
+      it("should return quadratic Bezier curves if only one of the control points exists", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 0), new Point(1, 1)),
+          new Anchor(new Point(2, 0)),
+          new Anchor(new Point(4, 0), undefined, new Point(3, 1))
+        ]);
+        const edges = path.edges();
+        expect(edges).to.be.an("array").of.length(2);
+        expect(edges[0]).to.be.an.instanceOf(QuadraticBezier);
+        expect(edges[0].control.serialize()).to.deep.equal([1, 1]);
+        expect(edges[1]).to.be.an.instanceOf(QuadraticBezier);
+        expect(edges[1].control.serialize()).to.deep.equal([3, 1]);
+      });
+
+      it("should include the edge from the last anchor to the first one if the path is closed", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 0), new Point(1, -1), new Point(-1, -1)),
+          new Anchor(new Point(2, 0)),
+          new Anchor(new Point(1, 2))
+        ], true);
+        const edges = path.edges();
+        expect(edges).to.be.an("array").of.length(3);
+        expect(edges[2]).to.be.an.instanceOf(QuadraticBezier);
+        expect(edges[2].start.serialize()).to.deep.equal([1, 2]);
+        expect(edges[2].control.serialize()).to.deep.equal([-1, -1]);
+        expect(edges[2].end.serialize()).to.deep.equal([0, 0]);
+      });
+
+      it("should return an empty array if the path has less than two anchors", () => {
+        expect(new Path().edges()).to.be.an("array").of.length(0);
+        expect(new Path([new Anchor(new Point(0, 0))], true).edges()).to.be.an("array").of.length(0);
+      });
+    });
+
+    /**
+     * @test {Path#windingNumber}
+     */
+    describe("#windingNumber(point)", () => {
+      it("should compute the winding number of the path around the point", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 0)),
+          new Anchor(new Point(2, 0), new Point(3, 1)),
+          new Anchor(new Point(2, 2)),
+          new Anchor(new Point(0, 2))
+        ], true);
+        expect(path.windingNumber(new Point(1, 1))).to.equal(1);
+        expect(path.windingNumber(new Point(2.2, 1))).to.equal(1);
+        expect(path.windingNumber(new Point(3, 1))).to.equal(0);
+        expect(path.windingNumber(new Point(-1, 0))).to.equal(0);
+      });
+
+      it("should regard the path as closed by a line segment if it is open", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 2)),
+          new Anchor(new Point(2, 2)),
+          new Anchor(new Point(1, 0))
+        ]);
+        expect(path.windingNumber(new Point(1, 1.5))).to.equal(-1);
+        expect(path.windingNumber(new Point(1, 3))).to.equal(0);
+        expect(new Path().windingNumber(new Point(0, 0))).to.equal(0);
+      });
+    });
+
+    /**
+     * @test {Path#containsPoint}
+     */
+    describe("#containsPoint(point, fillRule = \"nonzero\")", () => {
+      it("should check if the region filled by the fill rule contains the point", () => {
+        // a pentagram
+        const points = [];
+        for (let i = 0; i < 5; i++) {
+          const a = Math.PI / 2 + 4 * Math.PI * i / 5;
+          points.push(new Point(Math.cos(a), Math.sin(a)));
+        }
+        const path = new Path(points.map(p => new Anchor(p)), true);
+        expect(path.containsPoint(new Point(0, 0))).to.be.true;
+        expect(path.containsPoint(new Point(0, 0), "nonzero")).to.be.true;
+        expect(path.containsPoint(new Point(0, 0), "evenodd")).to.be.false;
+        expect(path.containsPoint(new Point(0, 0.7), "evenodd")).to.be.true;
+        expect(path.containsPoint(new Point(0, -0.9))).to.be.false;
+        expect(() => {
+          path.containsPoint(new Point(0, 0), "unknown");
+        }).to.throw(Error);
+      });
+    });
+
+    /**
+     * @test {Path#signedArea}
+     */
+    describe("#signedArea()", () => {
+      it("should compute the signed area enclosed by the path", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 0)),
+          new Anchor(new Point(2, 0)),
+          new Anchor(new Point(2, 2)),
+          new Anchor(new Point(0, 2))
+        ]);
+        expect(path.signedArea()).to.be.closeTo(4, 1e-8);
+        path.closed = true;
+        expect(path.signedArea()).to.be.closeTo(4, 1e-8);
+        path.anchors.reverse();
+        expect(path.signedArea()).to.be.closeTo(-4, 1e-8);
+      });
+    });
+
+    /**
+     * @test {Path#centroid}
+     */
+    describe("#centroid()", () => {
+      it("should compute the centroid of the region enclosed by the path", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 0)),
+          new Anchor(new Point(3, 0)),
+          new Anchor(new Point(0, 3))
+        ], true);
+        const c = path.centroid();
+        expect(c.x).to.be.closeTo(1, 1e-8);
+        expect(c.y).to.be.closeTo(1, 1e-8);
+        expect(new Path().centroid()).to.be.undefined;
+      });
+    });
+
+    /**
+     * @test {Path#orientation}
+     */
+    describe("#orientation()", () => {
+      it("should determine the orientation of the path", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 0)),
+          new Anchor(new Point(2, 0), new Point(3, 1)),
+          new Anchor(new Point(2, 2))
+        ], true);
+        expect(path.orientation()).to.equal(1);
+        path.anchors.reverse();
+        expect(path.orientation()).to.equal(-1);
+      });
+    });
+
+    /**
+     * @test {Path#strokeOutline}
+     */
+    describe("#strokeOutline(width, cap, join, miterLimit, tolerance)", () => {
+      it("should compute the outline of the stroke of the path", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 0)),
+          new Anchor(new Point(4, 0))
+        ]);
+        const contours = path.strokeOutline(2, "square");
+        expect(contours).to.have.lengthOf(1);
+        expect(signedArea(contours[0])).to.be.closeTo(12, 1e-8);
+        path.closed = true;
+        expect(path.strokeOutline(2)).to.have.lengthOf(2);
+      });
+    });
+
+    /**
+     * @test {Path#dash}
+     */
+    describe("#dash(dashArray, dashOffset, tolerance)", () => {
+      it("should apply the dash pattern to the path", () => {
+        const path = new Path([
+          new Anchor(new Point(0, 0)),
+          new Anchor(new Point(2, 0)),
+          new Anchor(new Point(2, 2))
+        ], true);
+        const dashes = path.dash([3, 1], 1);
+        expect(dashes).to.have.lengthOf(2);
+        expect(dashes[0]).to.have.lengthOf(1);
+        expect(dashes[0][0].start.equals(new Point(0, 0))).to.be.true;
+        expect(dashes[1]).to.have.lengthOf(2);
+        expect(dashes[1][0].start.equals(new Point(2, 1))).to.be.true;
+        expect(dashes[1][1].start.equals(new Point(2, 2))).to.be.true;
+      });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import { expect } from "chai";
+
+import { Point } from "../lib/geom.js";
+import { Line, CubicBezier } from "../lib/edges.js";
+import { Arc } from "../lib/arc.js";
+import { containsPoint, signedArea } from "../lib/contour.js";
+import { strokeOutline } from "../lib/stroke.js";
+
+describe("stroke", () => {
+  const EPS = 1e-8;
+
+  function polyline(...points) {
+    return points.slice(1).map((p, i) => new Line(points[i], p));
+  }
+
+  function flat(contours) {
+    return [].concat(...contours);
+  }
+
+  function expectClosed(contours) {
+    for (const contour of contours) {
+      for (let i = 0; i < contour.length; i++) {
+        const p = contour[i].end;
+        const q = contour[(i + 1) % contour.length].start;
+        expect(p.x).to.be.closeTo(q.x, 1e-6);
+        expect(p.y).to.be.closeTo(q.y, 1e-6);
+      }
+    }
+  }
+
+  /**
+   * @test {strokeOutline}
+   */
+  describe("strokeOutline(edges, closed, width, cap, join, miterLimit, tolerance)", () => {
+    it("should compute the outline of an open path closed by the caps", () => {
+      const edges = polyline(new Point(0, 0), new Point(4, 0));
+      {
+        const contours = strokeOutline(edges, false, 2);
+        expect(contours).to.have.lengthOf(1);
+        expectClosed(contours);
+        expect(signedArea(flat(contours))).to.be.closeTo(8, EPS);
+        expect(containsPoint(flat(contours), new Point(2, 0.9))).to.be.true;
+        expect(containsPoint(flat(contours), new Point(4.1, 0))).to.be.false;
+      }
+      {
+        const contours = strokeOutline(edges, false, 2, "square");
+        expectClosed(contours);
+        expect(signedArea(flat(contours))).to.be.closeTo(12, EPS);
+        expect(containsPoint(flat(contours), new Point(4.9, 0.9))).to.be.true;
+        expect(containsPoint(flat(contours), new Point(-0.9, -0.9))).to.be.true;
+      }
+      {
+        const contours = strokeOutline(edges, false, 2, "round");
+        expectClosed(contours);
+        expect(signedArea(flat(contours))).to.be.closeTo(8 + Math.PI, EPS);
+        expect(containsPoint(flat(contours), new Point(4.6, 0.6))).to.be.true;
+        expect(containsPoint(flat(contours), new Point(4.9, 0.9))).to.be.false;
+      }
+    });
+
+    it("should connect the edges by the joins", () => {
+      const edges = polyline(new Point(0, 0), new Point(4, 0), new Point(4, 4));
+      {
+        const contours = strokeOutline(edges, false, 2, "butt", "miter");
+        expectClosed(contours);
+        expect(containsPoint(flat(contours), new Point(4.9, -0.9))).to.be.true;
+        expect(containsPoint(flat(contours), new Point(3.5, 0.5))).to.be.true;
+        expect(containsPoint(flat(contours), new Point(2, 2))).to.be.false;
+      }
+      {
+        const contours = strokeOutline(edges, false, 2, "butt", "bevel");
+        expectClosed(contours);
+        expect(containsPoint(flat(contours), new Point(4.9, -0.9))).to.be.false;
+        expect(containsPoint(flat(contours), new Point(4.4, -0.4))).to.be.true;
+      }
+      {
+        const contours = strokeOutline(edges, false, 2, "butt", "round");
+        expectClosed(contours);
+        expect(containsPoint(flat(contours), new Point(4.9, -0.9))).to.be.false;
+        expect(containsPoint(flat(contours), new Point(4.6, -0.6))).to.be.true;
+      }
+    });
+
+    it("should convert miter joins to bevel joins beyond the miter limit", () => {
+      // the ratio of the miter length to the stroke width is sqrt(2) at the right angle
+      const edges = polyline(new Point(0, 0), new Point(4, 0), new Point(4, 4));
+      const miter = strokeOutline(edges, false, 2, "butt", "miter", 1.5);
+      expect(containsPoint(flat(miter), new Point(4.9, -0.9))).to.be.true;
+      const bevel = strokeOutline(edges, false, 2, "butt", "miter", 1.4);
+      expect(containsPoint(flat(bevel), new Point(4.9, -0.9))).to.be.false;
+      expect(containsPoint(flat(bevel), new Point(4.4, -0.4))).to.be.true;
+    });
+
+    it("should compute the outlines of the both sides of a closed path", () => {
+      const edges = polyline(new Point(0, 0), new Point(4, 0), new Point(4, 4), new Point(0, 4));
+      edges.push(new Line(new Point(0, 4), new Point(0, 0)));
+      const contours = strokeOutline(edges, true, 2);
+      expect(contours).to.have.lengthOf(2);
+      expectClosed(contours);
+      expect(signedArea(contours[0])).to.be.closeTo(36, EPS);
+      expect(containsPoint(flat(contours), new Point(-0.9, -0.9))).to.be.true;
+      expect(containsPoint(flat(contours), new Point(4.9, 4.9))).to.be.true;
+      expect(containsPoint(flat(contours), new Point(3.5, 0.5))).to.be.true;
+      expect(containsPoint(flat(contours), new Point(2, 2))).to.be.false;
+      expect(containsPoint(flat(contours), new Point(5.5, 2))).to.be.false;
+    });
+
+    it("should offset curves within the tolerance", () => {
+      const circle = [new Arc(new Point(0, 0), 2, 2, 0, 0, 2 * Math.PI)];
+      const contours = strokeOutline(circle, true, 1, "butt", "miter", 4, 1e-6);
+      expectClosed(contours);
+      expect(signedArea(flat(contours))).to.be.closeTo(4 * Math.PI, 1e-4);
+      expect(containsPoint(flat(contours), new Point(0, 2.4))).to.be.true;
+      expect(containsPoint(flat(contours), new Point(0, 1.4))).to.be.false;
+      expect(containsPoint(flat(contours), new Point(0, 2.6))).to.be.false;
+    });
+
+    it("should join the offsets at a cusp of a curve", () => {
+      const cusp = [
+        new CubicBezier(new Point(0, 0), new Point(2, 2), new Point(0, 2), new Point(2, 0))
+      ];
+      for (const join of ["miter", "round", "bevel"]) {
+        const contours = strokeOutline(cusp, false, 0.2, "butt", join);
+        expectClosed(contours);
+      }
+    });
+
+    it("should return no contours if there is nothing to stroke", () => {
+      const edges = polyline(new Point(0, 0), new Point(4, 0));
+      expect(strokeOutline(edges, false, 0)).to.deep.equal([]);
+      expect(strokeOutline([], false, 2)).to.deep.equal([]);
+      expect(strokeOutline(polyline(new Point(1, 1), new Point(1, 1)), false, 2)).to.deep.equal([]);
+    });
+
+    it("should throw an error if the cap or the join is unknown", () => {
+      const edges = polyline(new Point(0, 0), new Point(4, 0), new Point(4, 4));
+      expect(() => { strokeOutline(edges, false, 2, "foo"); }).to.throw(Error, /unknown cap/);
+      expect(() => { strokeOutline(edges, false, 2, "butt", "foo"); }).to.throw(Error, /unknown join/);
+    });
+  });
+});
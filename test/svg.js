@@ -0,0 +1,315 @@
+import { expect } from "chai";
+
+import { Point } from "../lib/geom.js";
+import { Line, QuadraticBezier, CubicBezier } from "../lib/edges.js";
+import { Arc } from "../lib/arc.js";
+import { PathDataSyntaxError, parsePathData, stringifyPathData } from "../lib/svg.js";
+
+describe("svg", () => {
+  const EPS = 1e-8;
+
+  function expectPointCloseTo(p, x, y) {
+    expect(p).to.be.an.instanceOf(Point);
+    expect(p.x).to.be.closeTo(x, EPS);
+    expect(p.y).to.be.closeTo(y, EPS);
+  }
+
+  /**
+   * @test {PathDataSyntaxError}
+   */
+  describe("PathDataSyntaxError", () => {
+    /**
+     * @test {PathDataSyntaxError.constructor}
+     */
+    describe("constructor(message, position)", () => {
+      it("should create a new PathDataSyntaxError instance", () => {
+        const err = new PathDataSyntaxError("expected number", 3);
+        expect(err).to.be.an.instanceOf(PathDataSyntaxError);
+        expect(err).to.be.an.instanceOf(SyntaxError);
+        expect(err.name).to.equal("PathDataSyntaxError");
+        expect(err.message).to.equal("expected number at position 3");
+        expect(err.position).to.equal(3);
+      });
+    });
+  });
+
+  /**
+   * @test {parsePathData}
+   */
+  describe("parsePathData(d)", () => {
+    it("should return an empty array if the path data is empty", () => {
+      expect(parsePathData("")).to.be.an("array").of.length(0);
+      expect(parsePathData("  \n")).to.be.an("array").of.length(0);
+    });
+
+    it("should parse lineto commands", () => {
+      const subpaths = parsePathData("M 1 2 L 3 4 l 1 1 H 6 h -1 V 1 v 2");
+      expect(subpaths).to.be.an("array").of.length(1);
+      const { edges, closed } = subpaths[0];
+      expect(closed).to.be.false;
+      expect(edges).to.be.an("array").of.length(6);
+      for (const edge of edges) {
+        expect(edge).to.be.an.instanceOf(Line);
+      }
+      expectPointCloseTo(edges[0].start, 1, 2);
+      expectPointCloseTo(edges[0].end, 3, 4);
+      expectPointCloseTo(edges[1].end, 4, 5);
+      expectPointCloseTo(edges[2].end, 6, 5);
+      expectPointCloseTo(edges[3].end, 5, 5);
+      expectPointCloseTo(edges[4].end, 5, 1);
+      expectPointCloseTo(edges[5].end, 5, 3);
+    });
+
+    it("should parse curveto commands", () => {
+      const subpaths = parsePathData("M0 0C1 1 2 1 3 0S5 -1 6 0c1 1 2 1 3 0s2 -1 3 0");
+      expect(subpaths).to.be.an("array").of.length(1);
+      const { edges } = subpaths[0];
+      expect(edges).to.be.an("array").of.length(4);
+      for (const edge of edges) {
+        expect(edge).to.be.an.instanceOf(CubicBezier);
+      }
+      expectPointCloseTo(edges[1].start, 3, 0);
+      expectPointCloseTo(edges[1].control1, 4, -1);
+      expectPointCloseTo(edges[1].control2, 5, -1);
+      expectPointCloseTo(edges[1].end, 6, 0);
+      expectPointCloseTo(edges[2].control1, 7, 1);
+      expectPointCloseTo(edges[2].control2, 8, 1);
+      expectPointCloseTo(edges[2].end, 9, 0);
+      expectPointCloseTo(edges[3].control1, 10, -1);
+      expectPointCloseTo(edges[3].control2, 11, -1);
+      expectPointCloseTo(edges[3].end, 12, 0);
+    });
+
+    it("should parse quadratic curveto commands", () => {
+      const subpaths = parsePathData("M 0 0 Q 1 1 2 0 T 4 0 q 1 1 2 0 t 2 0 L 10 0 T 12 0");
+      expect(subpaths).to.be.an("array").of.length(1);
+      const { edges } = subpaths[0];
+      expect(edges).to.be.an("array").of.length(6);
+      expect(edges[1]).to.be.an.instanceOf(QuadraticBezier);
+      expectPointCloseTo(edges[1].control, 3, -1);
+      expectPointCloseTo(edges[1].end, 4, 0);
+      expectPointCloseTo(edges[2].control, 5, 1);
+      expectPointCloseTo(edges[3].control, 7, -1);
+      expectPointCloseTo(edges[3].end, 8, 0);
+      // the control point is the current point if the previous command is not Q or T
+      expect(edges[5]).to.be.an.instanceOf(QuadraticBezier);
+      expectPointCloseTo(edges[5].control, 10, 0);
+    });
+
+    it("should parse elliptical arc commands", () => {
+      const subpaths = parsePathData("M 0 0 A 1 1 0 0 0 2 0 a 1 1 0 1 0 -2 0");
+      expect(subpaths).to.be.an("array").of.length(1);
+      const { edges } = subpaths[0];
+      expect(edges).to.be.an("array").of.length(2);
+      for (const edge of edges) {
+        expect(edge).to.be.an.instanceOf(Arc);
+        expectPointCloseTo(edge.center, 1, 0);
+        expect(edge.radiusX).to.be.closeTo(1, EPS);
+        expect(edge.radiusY).to.be.closeTo(1, EPS);
+      }
+      expectPointCloseTo(edges[0].start, 0, 0);
+      expectPointCloseTo(edges[0].end, 2, 0);
+      expectPointCloseTo(edges[1].start, 2, 0);
+      expectPointCloseTo(edges[1].end, 0, 0);
+      // the first arc goes through the bottom, and the second one through the top
+      expectPointCloseTo(edges[0].pointAt(0.5), 1, 1);
+      expectPointCloseTo(edges[1].pointAt(0.5), 1, -1);
+    });
+
+    it("should treat an arc with zero radius as a line and omit an arc with identical endpoints", () => {
+      const subpaths = parsePathData("M 0 0 A 0 1 0 0 0 2 0 A 1 1 0 0 0 2 0");
+      expect(subpaths).to.be.an("array").of.length(1);
+      const { edges } = subpaths[0];
+      expect(edges).to.be.an("array").of.length(1);
+      expect(edges[0]).to.be.an.instanceOf(Line);
+      expectPointCloseTo(edges[0].end, 2, 0);
+    });
+
+    it("should scale up radii if they are too small", () => {
+      const subpaths = parsePathData("M 0 0 A 0.5 0.5 0 0 1 4 0");
+      const { edges } = subpaths[0];
+      expect(edges).to.be.an("array").of.length(1);
+      expect(edges[0]).to.be.an.instanceOf(Arc);
+      expectPointCloseTo(edges[0].center, 2, 0);
+      expect(edges[0].radiusX).to.be.closeTo(2, EPS);
+      expect(edges[0].radiusY).to.be.closeTo(2, EPS);
+      expectPointCloseTo(edges[0].end, 4, 0);
+    });
+
+    it("should split subpaths by moveto and closepath commands", () => {
+      const subpaths = parsePathData("M 0 0 L 1 0 L 1 1 Z L 0 1 M 5 5 L 6 6 z m 1 1 l 1 0");
+      expect(subpaths).to.be.an("array").of.length(4);
+      expect(subpaths[0].closed).to.be.true;
+      expect(subpaths[0].edges).to.be.an("array").of.length(3);
+      expectPointCloseTo(subpaths[0].edges[2].start, 1, 1);
+      expectPointCloseTo(subpaths[0].edges[2].end, 0, 0);
+      // a subpath after closepath starts at the start point of the previous one
+      expect(subpaths[1].closed).to.be.false;
+      expectPointCloseTo(subpaths[1].edges[0].start, 0, 0);
+      expectPointCloseTo(subpaths[1].edges[0].end, 0, 1);
+      expect(subpaths[2].closed).to.be.true;
+      expect(subpaths[2].edges).to.be.an("array").of.length(2);
+      expectPointCloseTo(subpaths[3].edges[0].start, 6, 6);
+      expectPointCloseTo(subpaths[3].edges[0].end, 7, 6);
+    });
+
+    it("should not add a closing line if the current point is already the start point", () => {
+      const subpaths = parsePathData("M 0 0 L 1 0 L 0 1 L 0 0 Z");
+      expect(subpaths).to.be.an("array").of.length(1);
+      expect(subpaths[0].closed).to.be.true;
+      expect(subpaths[0].edges).to.be.an("array").of.length(3);
+    });
+
+    it("should treat repeated arguments as implicit commands", () => {
+      {
+        const subpaths = parsePathData("M 0 0 1 0 1 1 m 1 1 1 0");
+        expect(subpaths).to.be.an("array").of.length(2);
+        expect(subpaths[0].edges).to.be.an("array").of.length(2);
+        expectPointCloseTo(subpaths[0].edges[1].end, 1, 1);
+        expect(subpaths[1].edges).to.be.an("array").of.length(1);
+        expectPointCloseTo(subpaths[1].edges[0].start, 2, 2);
+        expectPointCloseTo(subpaths[1].edges[0].end, 3, 2);
+      }
+      {
+        const subpaths = parsePathData("M0,0l1,0,0,1-1-1");
+        expect(subpaths[0].edges).to.be.an("array").of.length(3);
+        expectPointCloseTo(subpaths[0].edges[2].end, 0, 0);
+      }
+    });
+
+    it("should accept compact number and flag notation", () => {
+      const subpaths = parsePathData("M.5.5l1e1-.5E-1a1 1 0 0110.5.5");
+      const { edges } = subpaths[0];
+      expectPointCloseTo(edges[0].start, 0.5, 0.5);
+      expectPointCloseTo(edges[0].end, 10.5, 0.45);
+      expectPointCloseTo(edges[edges.length - 1].end, 21, 0.95);
+    });
+
+    it("should throw a PathDataSyntaxError with the position if the path data is malformed", () => {
+      const cases = [
+        ["L 1 2", 0],
+        ["  m 1 2 L 3", 11],
+        ["M 1 2 X 3 4", 6],
+        ["M 1 2 L 3 4,", 11],
+        ["M 1 2 A 1 1 0 2 0 3 4", 14],
+        ["M 1 2 Z 3 4", 8],
+        ["M 1 2 L 3 4e", 11]
+      ];
+      for (const [d, position] of cases) {
+        expect(() => parsePathData(d)).to.throw(PathDataSyntaxError);
+        try {
+          parsePathData(d);
+        }
+        catch (err) {
+          expect(err.position).to.equal(position);
+        }
+      }
+    });
+  });
+
+  /**
+   * @test {stringifyPathData}
+   */
+  describe("stringifyPathData(edges, precision = 3)", () => {
+    it("should return an empty string if there are no edges", () => {
+      expect(stringifyPathData([])).to.equal("");
+    });
+
+    it("should convert edges into path data", () => {
+      const edges = [
+        new Line(new Point(0, 0), new Point(1, 0)),
+        new QuadraticBezier(new Point(1, 0), new Point(1, 1), new Point(0, 1)),
+        new CubicBezier(new Point(0, 1), new Point(-10, 2), new Point(-10, 3), new Point(0, 3))
+      ];
+      expect(stringifyPathData(edges)).to.equal("M0 0H1Q1 1 0 1C-10 2-10 3 0 3");
+    });
+
+    it("should use horizontal and vertical lineto commands if possible", () => {
+      const edges = [
+        new Line(new Point(10, 10), new Point(20, 10)),
+        new Line(new Point(20, 10), new Point(20, 20)),
+        new Line(new Point(20, 20), new Point(30, 25))
+      ];
+      expect(stringifyPathData(edges)).to.equal("M10 10H20V20l10 5");
+    });
+
+    it("should choose shorter one of the absolute and relative commands", () => {
+      const edges = [
+        new Line(new Point(100, 100), new Point(101, 102)),
+        new Line(new Point(101, 102), new Point(0, 0))
+      ];
+      expect(stringifyPathData(edges)).to.equal("M100 100l1 2L0 0");
+    });
+
+    it("should omit repeated commands and unnecessary separators", () => {
+      const edges = [
+        new Line(new Point(0.5, 0.5), new Point(-0.5, 1.5)),
+        new Line(new Point(-0.5, 1.5), new Point(-1.5, 2.5)),
+        new Line(new Point(-1.5, 2.5), new Point(-2.5, 0.25))
+      ];
+      expect(stringifyPathData(edges)).to.equal("M.5.5l-1 1-1 1-1-2.25");
+    });
+
+    it("should start a new subpath if edges are not connected", () => {
+      const edges = [
+        new Line(new Point(0, 0), new Point(1, 1)),
+        new Line(new Point(5, 5), new Point(6, 7)),
+        new Line(new Point(6, 7), new Point(8, 8))
+      ];
+      expect(stringifyPathData(edges)).to.equal("M0 0 1 1M5 5 6 7 8 8");
+    });
+
+    it("should close a subpath by the closepath command if it ends at its start point", () => {
+      {
+        const edges = [
+          new Line(new Point(0, 0), new Point(2, 0)),
+          new Line(new Point(2, 0), new Point(2, 2)),
+          new Line(new Point(2, 2), new Point(0, 0)),
+          new Line(new Point(0, 0), new Point(-2, 0)),
+          new QuadraticBezier(new Point(-2, 0), new Point(-2, -2), new Point(0, 0))
+        ];
+        expect(stringifyPathData(edges)).to.equal("M0 0H2V2ZH-2q0-2 2 0Z");
+      }
+    });
+
+    it("should round numbers with the given precision", () => {
+      const edges = [
+        new Line(new Point(1 / 3, 2 / 3), new Point(1.00049, 10.0004))
+      ];
+      expect(stringifyPathData(edges)).to.equal("M.333.667 1 10");
+      expect(stringifyPathData(edges, 1)).to.equal("M.3.7 1 10");
+      expect(stringifyPathData(edges, 0)).to.equal("M0 1l1 9");
+    });
+
+    it("should convert arcs into elliptical arc commands", () => {
+      {
+        const edges = [
+          new Arc(new Point(1, 0), 1, 2, Math.PI / 2, Math.PI, -Math.PI / 2),
+          new Arc(new Point(1, 0), 1, 2, Math.PI / 2, Math.PI / 2, -Math.PI)
+        ];
+        expect(stringifyPathData(edges)).to.equal("M1-1A1 2 90 0 0-1 0 1 2 90 0 0 3 0");
+      }
+      {
+        // a full ellipse is split into two commands
+        const edges = [
+          new Arc(new Point(0, 0), 1, 1, 0, 0, 2 * Math.PI)
+        ];
+        expect(stringifyPathData(edges)).to.equal("M1 0A1 1 0 0 1-1 0 1 1 0 0 1 1 0Z");
+      }
+    });
+
+    it("should be parsed by parsePathData to the original edges", () => {
+      const d = "M10 10 20 20h5V15C1 2 3 4 5 6 7 8 6 7 7 8Q0 0 1 1 2 2 3 3A6 6 0 1 0 13 3ZM1 1 2 2";
+      const edges = parsePathData(d).reduce((acc, subpath) => acc.concat(subpath.edges), []);
+      expect(stringifyPathData(edges)).to.equal(d);
+    });
+
+    it("should throw a TypeError if an edge is not supported", () => {
+      const edge = {
+        start: new Point(0, 0),
+        end  : new Point(1, 1)
+      };
+      expect(() => stringifyPathData([edge])).to.throw(TypeError);
+    });
+  });
+});